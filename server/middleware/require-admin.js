@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Operaciones de escritura: exigen 'Authorization: Bearer <ADMIN_TOKEN>';
+// sin ADMIN_TOKEN definido quedan desactivadas
+module.exports = function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'Write operations disabled: ADMIN_TOKEN not set' });
+  }
+  // Comparacion en tiempo constante (sobre los hash, de igual longitud)
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  if (!crypto.timingSafeEqual(digest(req.get('Authorization') || ''), digest('Bearer ' + token))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
@@ -0,0 +1,24 @@
+// Simulacro: cabecera X-HidroAlerta-Simulation y campo `simulation` en las
+// respuestas JSON, para que ninguna consulta se confunda con datos reales.
+// Las listas no tienen donde llevar el estado: cada elemento lleva
+// `simulation: true`. Las rutas que no responden con res.json (GeoJSON,
+// raster) leen el estado de res.locals.simulation
+module.exports = function simulationFlag(replay) {
+  const mark = body => {
+    if (Array.isArray(body)) {
+      return body.map(item => item && typeof item === 'object' && !Array.isArray(item) && !('simulation' in item)
+        ? { simulation: true, ...item }
+        : item);
+    }
+    return body && typeof body === 'object' && !('simulation' in body)
+      ? { simulation: replay.status(), ...body }
+      : body;
+  };
+  return function(req, res, next) {
+    res.set('X-HidroAlerta-Simulation', 'true');
+    res.locals.simulation = replay.status();
+    const json = res.json.bind(res);
+    res.json = body => json(mark(body));
+    next();
+  };
+};
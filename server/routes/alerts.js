@@ -1,7 +1,35 @@
 const express = require('express');
+const AlertEngine = require('../services/alert-engine');
+const CapExporter = require('../services/cap-exporter');
+const { parseWindow, MAX_WINDOW_DAYS } = require('../services/timeseries-store');
 
-module.exports = function(state) {
+module.exports = function(state, alertEngine, store, notifier) {
   const router = express.Router();
+  const cap = new CapExporter({
+    sender: process.env.CAP_SENDER,
+    senderName: process.env.CAP_SENDER_NAME,
+    web: process.env.CAP_WEB
+  });
+
+  /**
+   * Eventos de una alerta en orden (el ultimo define el mensaje CAP
+   * vigente): los guardados desde su inicio mas los del ciclo en curso,
+   * aun sin guardar. El historial en memoria se recorta, el almacen no:
+   * la cuenca y el inicio salen del propio id, de modo que las
+   * alertas antiguas tambien se encuentran.
+   */
+  const eventsOf = async (alertId, to) => {
+    const recent = alertEngine.getHistory(1000).filter(ev => ev.alertId === alertId);
+    const parsed = AlertEngine.parseAlertId(alertId);
+    if (!parsed) return recent;
+    const from = parsed.onset;
+    const end = new Date(Math.min(new Date(to).getTime(), from.getTime() + MAX_WINDOW_DAYS.daily * 86400000));
+    if (from > end) return recent;
+    const stored = (await store.query('alerts', { id: parsed.basinId, from, to: end }))
+      .filter(ev => ev.alertId === alertId);
+    const seen = new Set(stored.map(ev => ev.timestamp + ev.type));
+    return stored.concat(recent.filter(ev => !seen.has(ev.timestamp + ev.type)));
+  };
 
   router.get('/', (req, res) => {
     res.json({ count: state.alerts.length, alerts: state.alerts });
@@ -22,5 +50,80 @@ module.exports = function(state) {
     res.json({ count: filtered.length, alerts: filtered });
   });
 
+  // GET /api/alerts/history?from=&to=&basinId=&type=&limit=
+  // Eventos de transicion (new | escalated | downgraded | ended)
+  router.get('/history', async (req, res) => {
+    // Pocos eventos por dia: admite la ventana de las consultas diarias
+    const range = parseWindow(req.query, req.now, { defaultHours: 7 * 24, resample: false, maxDays: MAX_WINDOW_DAYS.daily });
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { from, to } = range;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 500;
+    const { basinId, type } = req.query;
+    if (isNaN(limit) || limit <= 0) {
+      return res.status(400).json({ error: 'limit debe ser un entero positivo' });
+    }
+    try {
+      let events = (await store.query('alerts', { id: basinId, from, to })).filter(ev => ev.alertId);
+      if (type) events = events.filter(ev => ev.type === type);
+      events = events.slice(-limit);
+      res.json({ from: from.toISOString(), to: to.toISOString(), count: events.length, events });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/alerts/lifecycle/:alertId - Alerta activa con sus escaladas
+  router.get('/lifecycle/:alertId', (req, res) => {
+    const alert = state.alerts.find(a => a.id === req.params.alertId);
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    const events = alertEngine.getHistory(1000).filter(ev => ev.alertId === alert.id);
+    res.json({ ...alert, events });
+  });
+
+  // GET /api/alerts/notifications?limit= - Registro de envios externos
+  router.get('/notifications', (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const log = notifier.getLog(limit);
+    res.json({ enabled: notifier.enabled, recipients: notifier.recipients.length, count: log.length, log });
+  });
+
+  // GET /api/alerts/cap - Indice Atom de los mensajes CAP 1.2 vigentes
+  // (alertas activas y canceladas en las ultimas 24 h)
+  router.get('/cap', async (req, res) => {
+    const base = req.protocol + '://' + req.get('host') + req.baseUrl;
+    const since = req.now - 24 * 3600000;
+    const latest = new Map();
+    alertEngine.getHistory(1000).forEach(ev => latest.set(ev.alertId, ev));
+    try {
+      const entries = [];
+      for (const ev of latest.values()) {
+        if (ev.type === 'ended' && new Date(ev.timestamp).getTime() < since) continue;
+        const events = await eventsOf(ev.alertId, req.now);
+        entries.push({
+          event: ev,
+          identifier: cap.identifier(ev, events.length - 1),
+          url: base + '/' + encodeURIComponent(ev.alertId) + '/cap'
+        });
+      }
+      res.type('application/atom+xml').send(cap.feed(entries, base + '/cap', new Date(req.now)));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/alerts/:id/cap - Documento CAP 1.2 del ultimo estado de una alerta
+  router.get('/:id/cap', async (req, res) => {
+    try {
+      const events = await eventsOf(req.params.id, req.now);
+      if (events.length === 0) return res.status(404).json({ error: 'Alert not found' });
+      const event = events[events.length - 1];
+      const basin = state.basins.get(event.basinId);
+      const alert = state.alerts.find(a => a.id === event.alertId);
+      res.type('application/cap+xml').send(cap.build(event, events.slice(0, -1), basin, alert));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   return router;
 };
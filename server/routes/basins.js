@@ -1,6 +1,7 @@
 const express = require('express');
+const { parseWindow } = require('../services/timeseries-store');
 
-module.exports = (state, hydro) => {
+module.exports = (state, hydro, store, geometry, gauges) => {
   const router = express.Router();
 
   // GET /api/basins - Todas las cuencas con estado actual
@@ -16,18 +17,52 @@ module.exports = (state, hydro) => {
       currentFlow: b.currentFlow,
       precipitation: b.precipitation,
       intensity: b.intensity,
+      accumulations: b.accumulations,
       subcatchmentCount: (b.subcatchments || []).length,
       alerts: b.alerts,
+      degraded: b.degraded,
+      degradedReasons: b.degradedReasons,
+      observed: b.observed || null,
+      interpolationStatus: b.spatialEstimate ? b.spatialEstimate.interpolationStatus : null,
       hydroResult: b.hydroResult ? {
         method: b.hydroResult.method,
         peakFlow: b.hydroResult.peakFlow,
         peakTime: b.hydroResult.peakTime,
+        forecastPeakFlow: b.hydroResult.forecastPeakFlow,
+        forecastPeakTime: b.hydroResult.forecastPeakTime,
+        rawPeakFlow: b.hydroResult.raw ? b.hydroResult.raw.peakFlow : null,
+        assimilation: b.hydroResult.assimilation || null,
         subcatchmentResults: b.hydroResult.subcatchmentResults
       } : null
     }));
     res.json(basins);
   });
 
+  // GET /api/basins/geometry - Poligonos de cuencas y subcuencas (GeoJSON)
+  router.get('/geometry', (req, res) => {
+    const features = [];
+    for (const b of state.basins.values()) {
+      features.push(geometry.toFeature(b, { kind: 'basin', type: b.type }));
+      (b.subcatchments || []).forEach(sub => {
+        features.push(geometry.toFeature(sub, { kind: 'subcatchment', basinId: b.id, area: sub.area }));
+      });
+    }
+    res.json({ type: 'FeatureCollection', features });
+  });
+
+  // GET /api/basins/:id/geometry - Poligono de una cuenca y sus subcuencas
+  router.get('/:id/geometry', (req, res) => {
+    const basin = state.basins.get(req.params.id);
+    if (!basin) return res.status(404).json({ error: 'Cuenca no encontrada' });
+    res.json({
+      type: 'FeatureCollection',
+      features: [geometry.toFeature(basin, { kind: 'basin', type: basin.type })].concat(
+        (basin.subcatchments || []).map(sub =>
+          geometry.toFeature(sub, { kind: 'subcatchment', basinId: basin.id, area: sub.area }))
+      )
+    });
+  });
+
   // GET /api/basins/:id - Cuenca especifica con detalle completo
   router.get('/:id', (req, res) => {
     const basin = state.basins.get(req.params.id);
@@ -42,27 +77,77 @@ module.exports = (state, hydro) => {
         slope: sub.slope,
         tc: sub.tc,
         bounds: sub.bounds,
+        geometrySource: sub.geometrySource,
         center: sub.center,
         routingToOutlet: sub.routingToOutlet
       }))
     });
   });
 
-  // GET /api/basins/:id/hydrograph - Hidrograma compuesto
+  // GET /api/basins/:id/hydrograph - Hidrograma compuesto y caudal observado en el aforo de control
   router.get('/:id/hydrograph', (req, res) => {
     const basin = state.basins.get(req.params.id);
     if (!basin) return res.status(404).json({ error: 'Cuenca no encontrada' });
     if (!basin.hydroResult) return res.json({ hydrograph: [], message: 'Sin datos hidrologicos' });
+    const hr = basin.hydroResult;
+    const hydrograph = hr.compositeHydrograph || [];
+    // El ajuste del modelo se mide sobre la simulacion sin corregir
+    const simulated = hr.raw ? hr.raw.compositeHydrograph : hydrograph;
+    const gauge = gauges.controlGauge(basin.id);
+    const start = hydrograph.length > 0 && typeof hydrograph[0].time === 'string' ? hydrograph[0].time : undefined;
     res.json({
       basinId: basin.id,
       method: basin.hydroResult.method,
       peakFlow: basin.hydroResult.peakFlow,
       peakTime: basin.hydroResult.peakTime,
       hydrograph: basin.hydroResult.compositeHydrograph,
-      subcatchmentResults: basin.hydroResult.subcatchmentResults
+      forecastHydrograph: basin.hydroResult.forecastHydrograph || null,
+      forecastPeakFlow: basin.hydroResult.forecastPeakFlow || null,
+      forecastPeakTime: basin.hydroResult.forecastPeakTime || null,
+      subcatchmentResults: basin.hydroResult.subcatchmentResults,
+      observed: gauge ? {
+        gaugeId: gauge.id,
+        gaugeName: gauge.name,
+        latest: gauges.latest(gauge.id),
+        series: gauges.observedSeries(gauge.id, start)
+      } : null,
+      comparison: gauge ? gauges.compare(simulated, gauge.id) : null,
+      assimilation: hr.assimilation || null,
+      rawHydrograph: hr.raw ? hr.raw.compositeHydrograph : null,
+      rawForecastHydrograph: hr.raw ? hr.raw.forecastHydrograph : null,
+      rawPeakFlow: hr.raw ? hr.raw.peakFlow : null
     });
   });
 
+  // GET /api/basins/:id/history?from=&to=&resample= - Evolucion del caudal calculado
+  router.get('/:id/history', async (req, res) => {
+    const basin = state.basins.get(req.params.id);
+    if (!basin) return res.status(404).json({ error: 'Cuenca no encontrada' });
+    const range = parseWindow(req.query, req.now);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { from, to, resample } = range;
+    try {
+      const series = await store.series('basins', basin.id, { from, to, resample }, {
+        currentFlow: 'max',
+        peakFlow: 'max',
+        rawCurrentFlow: 'max',
+        rawPeakFlow: 'max',
+        precipitation: 'last',
+        intensity: 'max'
+      });
+      res.json({
+        basinId: basin.id,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        resample: resample || null,
+        count: series.length,
+        series
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // GET /api/basins/:id/subcatchments - Detalle de subcuencas
   router.get('/:id/subcatchments', (req, res) => {
     const basin = state.basins.get(req.params.id);
@@ -75,7 +160,9 @@ module.exports = (state, hydro) => {
         currentIntensity: hydroSub?.intensity || 0,
         peakFlow: hydroSub?.peakFlow || 0,
         routedPeak: hydroSub?.routedPeak || 0,
-        effectiveRainfall: hydroSub?.effectiveRainfall || 0
+        effectiveRainfall: hydroSub?.effectiveRainfall || 0,
+        amc: hydroSub?.amc || 'II',
+        cnAdjusted: hydroSub?.cnAdjusted || sub.cn
       };
     });
     res.json(subs);
@@ -0,0 +1,70 @@
+const express = require('express');
+const { parseWindow } = require('../services/timeseries-store');
+const requireAdmin = require('../middleware/require-admin');
+
+module.exports = (gauges, store) => {
+  const router = express.Router();
+
+  // GET /api/gauges - Aforos con su ultima lectura (?basinId=)
+  router.get('/', (req, res) => {
+    const { basinId } = req.query;
+    const list = gauges.list().filter(g => !basinId || g.basinId === basinId);
+    res.json({ count: list.length, gauges: list });
+  });
+
+  // GET /api/gauges/:id - Aforo con la serie reciente en memoria
+  router.get('/:id', (req, res) => {
+    const gauge = gauges.get(req.params.id);
+    if (!gauge) return res.status(404).json({ error: 'Aforo no encontrado' });
+    res.json({ ...gauges.describe(gauge), series: gauges.observedSeries(gauge.id) });
+  });
+
+  // GET /api/gauges/:id/history?from=&to=&resample= - Nivel y caudal observados
+  router.get('/:id/history', async (req, res) => {
+    const gauge = gauges.get(req.params.id);
+    if (!gauge) return res.status(404).json({ error: 'Aforo no encontrado' });
+    const range = parseWindow(req.query, req.now);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { from, to, resample } = range;
+    try {
+      const series = await store.series('gauges', gauge.id, { from, to, resample }, {
+        stage: 'max',
+        discharge: 'max'
+      });
+      res.json({
+        gaugeId: gauge.id,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        resample: resample || null,
+        count: series.length,
+        series
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /api/gauges/:id/observations - Lecturas {timestamp, stage, discharge} (una o array)
+  router.post('/:id/observations', requireAdmin, async (req, res) => {
+    const gauge = gauges.get(req.params.id);
+    if (!gauge) return res.status(404).json({ error: 'Aforo no encontrado' });
+    const body = req.body || {};
+    const readings = Array.isArray(body) ? body : Array.isArray(body.observations) ? body.observations : [body];
+    const future = readings.filter(r => gauges.isFuture(r));
+    if (future.length > 0) {
+      return res.status(400).json({ error: 'Lecturas con fecha futura: ' + future.map(r => r.timestamp).join(', ') });
+    }
+    const records = gauges.ingest(gauge.id, readings);
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'Sin lecturas validas nuevas (timestamp y stage o discharge)' });
+    }
+    try {
+      await store.appendGauges(records);
+      res.status(201).json({ gaugeId: gauge.id, accepted: records.length, records });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,158 @@
+const express = require('express');
+
+/**
+ * Salida GeoJSON (FeatureCollection) para el mapa y clientes SIG.
+ * Todas las rutas aceptan ?bbox=oeste,sur,este,norte (grados, WGS84).
+ */
+module.exports = (state, geometry) => {
+  const router = express.Router();
+
+  const LEVELS = ['green', 'yellow', 'orange', 'red'];
+
+  function parseBbox(value) {
+    if (value === undefined) return null;
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 4 || parts.some(isNaN)) return undefined;
+    const [west, south, east, north] = parts;
+    if (west > east || south > north) return undefined;
+    return { west, south, east, north };
+  }
+
+  function intersects(a, b) {
+    return a.west <= b.east && a.east >= b.west && a.south <= b.north && a.north >= b.south;
+  }
+
+  function featureBbox(geom) {
+    if (geom.type !== 'Point') return geometry.bbox(geom);
+    const [lon, lat] = geom.coordinates;
+    return { west: lon, east: lon, south: lat, north: lat };
+  }
+
+  function send(req, res, features) {
+    const bbox = parseBbox(req.query.bbox);
+    if (bbox === undefined) {
+      return res.status(400).json({ error: 'bbox debe ser oeste,sur,este,norte' });
+    }
+    const filtered = bbox
+      ? features.filter(f => f.geometry && intersects(featureBbox(f.geometry), bbox))
+      : features;
+    // Simulacro: estado en la coleccion y marca en cada elemento, que los
+    // clientes SIG suelen leer sin la coleccion
+    const simulation = res.locals.simulation;
+    res.type('application/geo+json').send(JSON.stringify({
+      type: 'FeatureCollection',
+      features: simulation
+        ? filtered.map(f => ({ ...f, properties: { ...f.properties, simulation: true } }))
+        : filtered,
+      numberMatched: features.length,
+      numberReturned: filtered.length,
+      timeStamp: state.lastUpdate,
+      simulation
+    }));
+  }
+
+  // Nivel de alerta vigente de una cuenca (el mas alto de sus alertas)
+  function alertLevel(basin) {
+    return (basin.alerts || []).reduce((lvl, a) =>
+      LEVELS.indexOf(a.level) > LEVELS.indexOf(lvl) ? a.level : lvl, 'green');
+  }
+
+  // GET /api/geo/basins - Cuencas con caudal, precipitacion y nivel de alerta
+  router.get('/basins', (req, res) => {
+    const features = Array.from(state.basins.values()).map(b => geometry.toFeature(b, {
+      type: b.type,
+      area: b.area,
+      currentFlow: b.currentFlow || 0,
+      precipitation: b.precipitation || 0,
+      intensity: b.intensity || 0,
+      accumulations: b.accumulations || null,
+      thresholds: b.thresholds,
+      alertLevel: alertLevel(b),
+      forecastPeakFlow: b.hydroResult ? b.hydroResult.forecastPeakFlow || null : null,
+      controlPoint: b.controlPoint,
+      subcatchmentCount: (b.subcatchments || []).length
+    }));
+    send(req, res, features);
+  });
+
+  // GET /api/geo/subcatchments - Subcuencas con su lluvia y caudal transitado
+  router.get('/subcatchments', (req, res) => {
+    const features = [];
+    for (const b of state.basins.values()) {
+      const results = new Map(((b.hydroResult && b.hydroResult.subcatchmentResults) || [])
+        .map(sr => [sr.subId, sr]));
+      const level = alertLevel(b);
+      for (const sub of b.subcatchments || []) {
+        const sr = results.get(sub.id) || {};
+        features.push(geometry.toFeature(sub, {
+          basinId: b.id,
+          area: sub.area,
+          cn: sub.cn,
+          cnAdjusted: sr.cnAdjusted || null,
+          amc: sr.amc || null,
+          precipitation: sr.precipitation || 0,
+          intensity: sr.intensity || 0,
+          accumulations: sr.accumulations || null,
+          currentFlow: sr.currentFlow || 0,
+          routedFlow: sr.routedFlow || 0,
+          routedPeak: sr.routedPeak || 0,
+          alertLevel: level
+        }));
+      }
+    }
+    send(req, res, features);
+  });
+
+  // GET /api/geo/stations - Estaciones (puntos) con la ultima lectura
+  router.get('/stations', (req, res) => {
+    const features = Array.from(state.stations.values()).map(st => ({
+      type: 'Feature',
+      id: st.id,
+      geometry: { type: 'Point', coordinates: [st.lon, st.lat] },
+      properties: {
+        id: st.id,
+        name: st.name,
+        province: st.province,
+        network: st.network,
+        altitude: st.altitude,
+        online: st.online !== false,
+        observedAt: st.timestamp,
+        precipitation: st.precipitation,
+        intensity: st.intensity,
+        temperature: st.temperature,
+        accumulations: st.accumulations || null
+      }
+    }));
+    send(req, res, features);
+  });
+
+  // GET /api/geo/alerts - Alertas activas sobre el poligono de su cuenca
+  router.get('/alerts', (req, res) => {
+    const features = state.alerts.map(a => {
+      const basin = state.basins.get(a.basinId);
+      const feature = basin
+        ? geometry.toFeature(basin, {})
+        : { type: 'Feature', geometry: null, properties: {} };
+      feature.id = a.id;
+      feature.properties = {
+        id: a.id,
+        basinId: a.basinId,
+        basinName: a.basinName,
+        level: a.level,
+        status: a.status,
+        peakLevel: a.peakLevel,
+        onset: a.onset,
+        message: a.message,
+        flow: a.flow,
+        precipitation: a.precipitation,
+        intensity: a.intensity,
+        leadTimeMinutes: a.forecast ? a.forecast.leadTimeMinutes : null,
+        timestamp: a.timestamp
+      };
+      return feature;
+    });
+    send(req, res, features);
+  });
+
+  return router;
+};
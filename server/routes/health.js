@@ -0,0 +1,27 @@
+const express = require('express');
+
+module.exports = function(state, health) {
+  const router = express.Router();
+
+  // GET /api/health - Estado de las fuentes y cuencas degradadas (503 si todo caido)
+  router.get('/', (req, res) => {
+    const report = health.report();
+    const degradedBasins = Array.from(state.basins.values())
+      .filter(b => b.degraded)
+      .map(b => ({ id: b.id, name: b.name, reasons: b.degradedReasons }));
+    res.status(report.status === 'down' ? 503 : 200).json({
+      ...report,
+      lastUpdate: state.lastUpdate,
+      degradedBasins
+    });
+  });
+
+  // GET /api/health/:source - Detalle de una fuente (suremet_MU, aemet_radar...)
+  router.get('/:source', (req, res) => {
+    const source = health.report().sources.find(s => s.name === req.params.source);
+    if (!source) return res.status(404).json({ error: 'Fuente no encontrada' });
+    res.json(source);
+  });
+
+  return router;
+};
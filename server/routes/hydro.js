@@ -1,5 +1,8 @@
 const express = require('express');
 
+// Duracion maxima de la tormenta de diseno (h): 288 pasos de 15 min
+const MAX_STORM_HOURS = 72;
+
 module.exports = function(state, hydro) {
   const router = express.Router();
 
@@ -12,13 +15,43 @@ module.exports = function(state, hydro) {
     res.json({ basin: basin.name, ...result });
   });
 
+  // POST /api/hydro/design-storm - Respuesta de la cuenca a una tormenta de diseno
+  // body: {basinId, Pd (mm/dia), I1Id, duration (h), peakPosition}
+  router.post('/design-storm', (req, res) => {
+    const { basinId, Pd, I1Id, duration, peakPosition } = req.body;
+    const basin = state.basins.get(basinId);
+    if (!basin) return res.status(404).json({ error: 'Basin not found' });
+    if (!(Pd > 0)) return res.status(400).json({ error: 'Pd (mm) must be positive' });
+    // 5.2-IC: I1/Id entre 8 y 12 en la peninsula; margen amplio para otros mapas
+    if (I1Id !== undefined && !(I1Id > 1 && I1Id <= 20)) {
+      return res.status(400).json({ error: 'I1Id must be greater than 1 and at most 20' });
+    }
+    if (duration !== undefined && !(duration > 0 && duration <= MAX_STORM_HOURS)) {
+      return res.status(400).json({ error: 'duration (h) must be greater than 0 and at most ' + MAX_STORM_HOURS });
+    }
+    if (peakPosition !== undefined && !(peakPosition >= 0 && peakPosition <= 1)) {
+      return res.status(400).json({ error: 'peakPosition must be between 0 and 1' });
+    }
+    const hyetograph = hydro.alternatingBlockStorm({ Pd, I1Id, duration, peakPosition, dt: 0.25 });
+    const precipBySub = {};
+    (basin.subcatchments || []).forEach(sub => { precipBySub[sub.id] = { hyetograph }; });
+    const result = hydro.calculateBasinDistributed(basin, {
+      ...precipBySub,
+      mean: hyetograph.reduce((a, b) => a + b, 0),
+      maxIntensity: Math.max(...hyetograph) / 0.25
+    });
+    res.json({ basin: basin.name, hyetograph, dt: 0.25, ...result });
+  });
+
   // GET /api/hydro/methods - Metodos disponibles
   router.get('/methods', (req, res) => {
     res.json({
       methods: [
         { id: 'scs-cn', name: 'SCS Curve Number (NRCS TR-55)', description: 'Calcula escorrentia efectiva mediante numero de curva' },
         { id: 'rational', name: 'Metodo Racional Modificado', description: 'Q = C*I*A/3.6 para caudal punta' },
-        { id: 'clark', name: 'Hidrograma Unitario de Clark', description: 'Genera hidrograma usando tc y coef. almacenamiento' }
+        { id: 'clark', name: 'Hidrograma Unitario de Clark', description: 'Genera hidrograma usando tc y coef. almacenamiento' },
+        { id: 'hyetograph', name: 'Hietograma + convolucion', description: 'Perdidas SCS-CN incrementales por paso convolucionadas con el HU de Clark' },
+        { id: 'alternating-block', name: 'Bloques alternos (IDF 5.2-IC)', description: 'Tormenta de diseno a partir de Pd e I1/Id' }
       ],
       tcFormula: 'Temez: tc = 0.3*(L/S^0.25)^0.76'
     });
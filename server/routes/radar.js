@@ -1,6 +1,6 @@
 const express = require('express');
 
-module.exports = function(state, radar) {
+module.exports = function(state, radar, nowcast) {
   const router = express.Router();
 
   router.get('/', (req, res) => {
@@ -16,6 +16,21 @@ module.exports = function(state, radar) {
     res.json({ dBZ, type, rainRate: Math.round(rainRate * 100) / 100, classification });
   });
 
+  // GET /api/radar/nowcast?lead=60 - Movimiento de ecos y campo previsto
+  router.get('/nowcast', (req, res) => {
+    const summary = nowcast.summary();
+    const lead = parseInt(req.query.lead, 10);
+    if (!lead) return res.json(summary);
+    const frame = state.nowcastFrames.find(f => f.leadMinutes === lead);
+    if (!frame) return res.status(404).json({ error: 'Plazo de prevision no disponible', ...summary });
+    res.json({
+      ...summary,
+      leadMinutes: frame.leadMinutes,
+      time: frame.time,
+      cells: frame.cells.filter(c => c.dBZ > 0)
+    });
+  });
+
   router.get('/zr-relations', (req, res) => {
     res.json(radar.zrRelations);
   });
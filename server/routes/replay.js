@@ -0,0 +1,39 @@
+const express = require('express');
+const requireAdmin = require('../middleware/require-admin');
+
+module.exports = function(replay) {
+  const router = express.Router();
+
+  // Fuera de un simulacro solo responde el estado
+  const requireReplay = (req, res, next) => {
+    if (!replay) return res.status(404).json({ error: 'El servidor no esta en modo simulacro' });
+    next();
+  };
+
+  // GET /api/replay - Estado del simulacro (hora virtual, velocidad, progreso); null en vivo
+  router.get('/', (req, res) => {
+    res.json({ simulation: replay ? replay.status() : null });
+  });
+
+  // POST /api/replay/pause
+  router.post('/pause', requireReplay, requireAdmin, (req, res) => {
+    if (!replay.pause()) return res.status(400).json({ error: 'El simulacro no esta en marcha' });
+    res.json({ simulation: replay.status() });
+  });
+
+  // POST /api/replay/resume
+  router.post('/resume', requireReplay, requireAdmin, (req, res) => {
+    if (!replay.resume()) return res.status(400).json({ error: 'El simulacro no esta en pausa' });
+    res.json({ simulation: replay.status() });
+  });
+
+  // POST /api/replay/speed - {speed}: minutos simulados por minuto real
+  router.post('/speed', requireReplay, requireAdmin, (req, res) => {
+    const speed = parseFloat((req.body || {}).speed);
+    if (!(speed > 0)) return res.status(400).json({ error: 'speed debe ser un numero positivo' });
+    replay.setSpeed(speed);
+    res.json({ simulation: replay.status() });
+  });
+
+  return router;
+};
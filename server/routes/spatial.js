@@ -1,15 +1,45 @@
 const express = require('express');
+const RasterExporter = require('../services/raster-export');
+const SpatialInterpolator = require('../services/spatial-interpolator');
+
+const FIELDS = ['intensity', 'precipitation'];
 
 module.exports = (state, spatial, radar) => {
   const router = express.Router();
+  const exporter = new RasterExporter(radar);
+
+  // Campo regional del ultimo ciclo y variable pedida (?field=)
+  function regionalValues(req, res) {
+    const field = state.precipField;
+    if (!field) {
+      res.status(503).json({ error: 'Campo regional no disponible todavia' });
+      return null;
+    }
+    const name = req.query.field || 'intensity';
+    if (!FIELDS.includes(name)) {
+      res.status(400).json({ error: 'field debe ser intensity o precipitation' });
+      return null;
+    }
+    // Durante un simulacro el fichero descargado tambien lo indica
+    const simulation = res.locals.simulation || null;
+    const filename = 'hidroalerta_' + (simulation ? 'simulacro_' : '') + name;
+    return { field, name, values: field[name], simulation, filename };
+  }
 
-  // GET /api/spatial/basin/:id - Precipitacion por subcuenca
+  // GET /api/spatial/basin/:id?interpolation=&merge= - Precipitacion por subcuenca
   router.get('/basin/:id', (req, res) => {
     const basin = state.basins.get(req.params.id);
     if (!basin) return res.status(404).json({ error: 'Cuenca no encontrada' });
+    const { interpolation, merge } = req.query;
+    if (interpolation && !SpatialInterpolator.METHODS.includes(interpolation)) {
+      return res.status(400).json({ error: 'interpolation debe ser ' + SpatialInterpolator.METHODS.join(', ') });
+    }
+    if (merge && !SpatialInterpolator.MERGE_METHODS.includes(merge)) {
+      return res.status(400).json({ error: 'merge debe ser ' + SpatialInterpolator.MERGE_METHODS.join(', ') });
+    }
     const stations = Array.from(state.stations.values());
     const result = spatial.estimateSubcatchmentPrecip(
-      basin, stations, radar, state.radarGrid
+      basin, stations, radar, state.radarGrid, interpolation, merge
     );
     res.json(result);
   });
@@ -23,6 +53,36 @@ module.exports = (state, spatial, radar) => {
     res.json(result);
   });
 
+  // GET /api/spatial/variogram - Variogramas ajustados en el ultimo ciclo
+  router.get('/variogram', (req, res) => {
+    res.json(spatial.variograms);
+  });
+
+  // GET /api/spatial/merge - Validacion cruzada (LOO) de la fusion radar-estaciones
+  router.get('/merge', (req, res) => {
+    if (!spatial.mergeValidation) {
+      return res.status(503).json({ error: 'Validacion no disponible (sin radar o sin estaciones con lluvia)' });
+    }
+    res.json(spatial.mergeValidation);
+  });
+
+  // GET /api/spatial/elevation?lat=&lon= - Altitud usada por la correccion orografica
+  router.get('/elevation', (req, res) => {
+    const lat = parseFloat(req.query.lat), lon = parseFloat(req.query.lon);
+    const dem = spatial.dem.summary();
+    if (req.query.lat === undefined && req.query.lon === undefined) return res.json(dem);
+    if (isNaN(lat) || isNaN(lon)) return res.status(400).json({ error: 'lat y lon deben ser numericos' });
+    const fromDem = spatial.dem.elevation(lat, lon);
+    if (fromDem !== null) return res.json({ lat, lon, elevation: Math.round(fromDem), source: 'dem', dem });
+    const stations = Array.from(state.stations.values()).filter(st => Number.isFinite(st.altitude));
+    res.json({
+      lat, lon,
+      elevation: stations.length > 0 ? Math.round(spatial.elevationAt(lat, lon, stations)) : null,
+      source: 'stations',
+      dem
+    });
+  });
+
   // GET /api/spatial/summary - Resumen de todas las cuencas
   router.get('/summary', (req, res) => {
     const summary = [];
@@ -35,11 +95,64 @@ module.exports = (state, spatial, radar) => {
         intensity: basin.intensity || 0,
         currentFlow: basin.currentFlow || 0,
         subcatchmentCount: (basin.subcatchments || []).length,
-        method: basin.spatialEstimate?.method || 'none'
+        method: basin.spatialEstimate?.method || 'none',
+        interpolation: spatial.configuredMethod(basin),
+        interpolationStatus: spatial.methodStatus(basin),
+        merge: basin.spatialEstimate?.merge || null
       });
     }
     res.json(summary);
   });
 
+  // GET /api/spatial/field - Metadatos del campo regional de precipitacion
+  router.get('/field', (req, res) => {
+    const field = state.precipField;
+    if (!field) return res.status(503).json({ error: 'Campo regional no disponible todavia' });
+    const { precipitation, intensity, ...meta } = field;
+    res.json({
+      ...meta,
+      fields: FIELDS,
+      formats: {
+        ascii: '/api/spatial/field.asc?field=intensity',
+        geotiff: '/api/spatial/field.tif?field=intensity',
+        tiles: '/api/spatial/tiles/{z}/{x}/{y}.png?field=intensity'
+      }
+    });
+  });
+
+  // GET /api/spatial/field.asc?field=intensity|precipitation - ESRI ASCII grid
+  router.get('/field.asc', (req, res) => {
+    const r = regionalValues(req, res);
+    if (!r) return;
+    res.type('text/plain')
+      .set('Content-Disposition', 'attachment; filename="' + r.filename + '.asc"')
+      .send(exporter.toAsciiGrid(r.field, r.values));
+  });
+
+  // GET /api/spatial/field.tif?field=intensity|precipitation - GeoTIFF Float32
+  router.get('/field.tif', (req, res) => {
+    const r = regionalValues(req, res);
+    if (!r) return;
+    res.type('image/tiff')
+      .set('Content-Disposition', 'attachment; filename="' + r.filename + '.tif"')
+      .send(exporter.toGeoTiff(r.field, r.values, r.simulation ? {
+        SIMULATION: 'true', SIMULATION_NAME: r.simulation.name, SIMULATION_TIME: r.simulation.virtualTime
+      } : null));
+  });
+
+  // GET /api/spatial/tiles/:z/:x/:y.png?field= - Teselas XYZ para el mapa
+  router.get('/tiles/:z/:x/:y.png', (req, res) => {
+    const z = parseInt(req.params.z, 10), x = parseInt(req.params.x, 10), y = parseInt(req.params.y, 10);
+    const n = Math.pow(2, z);
+    if (isNaN(z) || isNaN(x) || isNaN(y) || z < 0 || z > 18 || x < 0 || y < 0 || x >= n || y >= n) {
+      return res.status(400).json({ error: 'Tesela fuera de rango' });
+    }
+    const r = regionalValues(req, res);
+    if (!r) return;
+    res.type('image/png')
+      .set('Cache-Control', 'max-age=60')
+      .send(exporter.tile(r.field, r.values, z, x, y));
+  });
+
   return router;
 };
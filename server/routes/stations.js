@@ -1,18 +1,72 @@
 const express = require('express');
+const { parseWindow } = require('../services/timeseries-store');
+const requireAdmin = require('../middleware/require-admin');
 
-module.exports = function(state) {
+module.exports = function(state, store, qc) {
   const router = express.Router();
 
   // GET /api/stations - Todas las estaciones
   router.get('/', (req, res) => {
     const stations = Array.from(state.stations.values());
-    const { province, online } = req.query;
+    const { province, network, online } = req.query;
     let filtered = stations;
     if (province) filtered = filtered.filter(s => s.province === province);
+    if (network) filtered = filtered.filter(s => s.network === network);
     if (online !== undefined) filtered = filtered.filter(s => s.online === (online === 'true'));
     res.json({ count: filtered.length, stations: filtered, lastUpdate: state.lastUpdate });
   });
 
+  // GET /api/stations/qc?status=suspect|rejected - Estaciones con flags de calidad
+  router.get('/qc', (req, res) => {
+    const { status } = req.query;
+    if (status && !['suspect', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'status must be suspect or rejected' });
+    }
+    const order = { rejected: 0, suspect: 1 };
+    const stations = Array.from(state.stations.values())
+      .filter(s => s.qc && s.qc.status !== 'ok' && (!status || s.qc.status === status))
+      .sort((a, b) => order[a.qc.status] - order[b.qc.status] || a.id.localeCompare(b.id))
+      .map(s => ({
+        id: s.id,
+        name: s.name,
+        province: s.province,
+        network: s.network,
+        status: s.qc.status,
+        flags: s.qc.flags,
+        precipitation: s.precipitation,
+        intensity: s.intensity,
+        timestamp: s.timestamp
+      }));
+    res.json({ lastRun: qc.lastRun, count: stations.length, stations });
+  });
+
+  // GET /api/stations/blacklist - Estaciones excluidas manualmente
+  router.get('/blacklist', (req, res) => {
+    res.json(qc.getBlacklist());
+  });
+
+  // POST /api/stations/:id/blacklist {reason} - Excluir una estacion (desde el siguiente ciclo)
+  router.post('/:id/blacklist', requireAdmin, async (req, res) => {
+    if (!state.stations.has(req.params.id)) return res.status(404).json({ error: 'Station not found' });
+    try {
+      const entry = await qc.addToBlacklist(req.params.id, req.body && req.body.reason);
+      res.status(201).json({ id: req.params.id, ...entry });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE /api/stations/:id/blacklist - Volver a usar una estacion
+  router.delete('/:id/blacklist', requireAdmin, async (req, res) => {
+    try {
+      const removed = await qc.removeFromBlacklist(req.params.id);
+      if (!removed) return res.status(404).json({ error: 'Station not blacklisted' });
+      res.status(204).end();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // GET /api/stations/:id - Estacion por ID
   router.get('/:id', (req, res) => {
     const station = state.stations.get(req.params.id);
@@ -20,6 +74,33 @@ module.exports = function(state) {
     res.json(station);
   });
 
+  // GET /api/stations/:id/history?from=&to=&resample=5min|hourly|daily
+  router.get('/:id/history', async (req, res) => {
+    const range = parseWindow(req.query, req.now);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const { from, to, resample } = range;
+    try {
+      const series = await store.series('stations', req.params.id, { from, to, resample }, {
+        precipitation: 'last',
+        intensity: 'max',
+        temperature: 'mean',
+        humidity: 'mean',
+        pressure: 'mean',
+        windSpeed: 'max'
+      });
+      res.json({
+        stationId: req.params.id,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        resample: resample || null,
+        count: series.length,
+        series
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // GET /api/stations/province/:code
   router.get('/province/:code', (req, res) => {
     const stations = Array.from(state.stations.values()).filter(s => s.province === req.params.code.toUpperCase());
@@ -6,12 +6,31 @@ const cors = require('cors');
 const cron = require('node-cron');
 const path = require('path');
 
-const SuremetScraper = require('./services/suremet-scraper');
+const StationSources = require('./services/station-sources');
 const HydroEngine = require('./services/hydro-engine');
 const RadarAemet = require('./services/radar-aemet');
+const RadarNowcast = require('./services/radar-nowcast');
 const AlertEngine = require('./services/alert-engine');
 const SpatialInterpolator = require('./services/spatial-interpolator');
+const TimeSeriesStore = require('./services/timeseries-store');
+const RainAccumulator = require('./services/rain-accumulator');
+const BasinSimulator = require('./services/basin-simulator');
+const NotificationDispatcher = require('./services/notification-dispatcher');
+const Geometry = require('./services/geometry');
+const Dem = require('./services/dem');
+const StationQC = require('./services/station-qc');
+const SourceHealth = require('./services/source-health');
+const GaugeNetwork = require('./services/gauge-network');
+const FlowAssimilator = require('./services/flow-assimilator');
+const StormReplay = require('./services/storm-replay');
 const basins = require('./config/basins.json');
+const radarConfig = require('./config/radar.json');
+const sourcesConfig = require('./config/sources.json');
+const gaugesConfig = require('./config/gauges.json');
+
+// Simulacro: episodio grabado con reloj virtual en lugar de las fuentes en vivo
+const replay = StormReplay.fromEnv();
+const now = () => replay ? replay.now() : Date.now();
 
 const app = express();
 const server = http.createServer(app);
@@ -20,6 +39,12 @@ const wss = new WebSocket.Server({ server });
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
+// Hora de referencia de las consultas (virtual durante un simulacro)
+app.use('/api', (req, res, next) => {
+  req.now = now();
+  next();
+});
+if (replay) app.use('/api', require('./middleware/simulation-flag')(replay));
 
 const state = {
   stations: new Map(),
@@ -27,52 +52,191 @@ const state = {
   alerts: [],
   lastUpdate: null,
   radarData: null,
-  radarGrid: null
+  radarGrid: null,
+  radarFrame: null,
+  precipField: null,
+  nowcastFrames: []
 };
 
+// Poligonos GeoJSON de cuencas/subcuencas (rectangulo bounds si faltan)
+const geometry = new Geometry(process.env.GEOMETRY_DIR);
+const loadedShapes = geometry.attach(basins);
+
+// DEM para la correccion orografica (altitud de estaciones si falta)
+const dem = new Dem(process.env.DEM_PATH);
+try {
+  dem.load();
+} catch (err) {
+  console.error('[DEM] Error leyendo ' + dem.file + ':', err.message);
+}
+
 basins.forEach(b => state.basins.set(b.id, {
-  ...b, currentFlow: 0, alerts: [], hydroResult: null, spatialEstimate: null
+  ...b, currentFlow: 0, alerts: [], hydroResult: null, spatialEstimate: null,
+  degraded: true, degradedReasons: ['no_data_yet']
 }));
 
-const scraper = new SuremetScraper();
-const hydro = new HydroEngine();
+// Salud de las fuentes: feeds de estaciones (ciclo 5 min) y radar (10 min)
+const health = new SourceHealth({ now });
+health.register('aemet_radar', {
+  label: 'Radar AEMET', maxAgeMinutes: 30,
+  enabled: replay ? replay.has('aemet_radar') : !!process.env.AEMET_API_KEY
+});
+
+const hydro = new HydroEngine({ now });
 const radar = new RadarAemet(process.env.AEMET_API_KEY);
-const alertEngine = new AlertEngine();
-const spatial = new SpatialInterpolator();
+const nowcast = new RadarNowcast(geometry);
+const alertEngine = new AlertEngine({
+  hysteresis: process.env.ALERT_HYSTERESIS !== undefined ? parseFloat(process.env.ALERT_HYSTERESIS) : undefined,
+  minDurationMinutes: process.env.ALERT_MIN_DURATION_MIN !== undefined
+    ? parseFloat(process.env.ALERT_MIN_DURATION_MIN) : undefined,
+  now
+});
+const spatial = new SpatialInterpolator(geometry, dem, { now });
+const store = new TimeSeriesStore(replay ? replay.dataDir : process.env.DATA_DIR);
+const stationRain = new RainAccumulator();
+// Redes de estaciones (config/sources.json) con fusion de co-localizadas
+const sources = new StationSources(sourcesConfig, health, {
+  recordDir: replay ? null : process.env.SOURCE_RECORD_DIR,
+  domain: radarConfig.domain,
+  parseTimestamp: ts => qc.parseTimestamp(ts),
+  replay
+});
+const qc = new StationQC({
+  blacklistFile: path.join(store.dir, 'station-blacklist.json'),
+  staleMinutesByNetwork: sources.staleMinutesByNetwork(),
+  now
+});
+// Aforos de los puntos de control (caudal observado frente al simulado)
+const gauges = new GaugeNetwork(gaugesConfig, health, {
+  parseTimestamp: ts => qc.parseTimestamp(ts),
+  recorder: sources.recordDir ? (feed, raw, ext) => sources.record(feed, raw, ext) : null,
+  replay,
+  now
+});
+const assimilator = new FlowAssimilator(gauges);
+const subcatchmentRain = new RainAccumulator({ retentionHours: 6 * 24 }); // 5 dias + dia en curso (AMC)
+const simulator = new BasinSimulator(hydro, subcatchmentRain);
+const notifier = NotificationDispatcher.fromEnv(process.env, {
+  stateFile: path.join(store.dir, 'notifications-sent.json')
+});
+// Un simulacro no avisa a nadie salvo que se pida (REPLAY_NOTIFICATIONS=true)
+if (replay && process.env.REPLAY_NOTIFICATIONS !== 'true') notifier.enabled = false;
 
 function broadcast(type, data) {
-  const msg = JSON.stringify({ type, data, timestamp: new Date().toISOString() });
+  const msg = JSON.stringify({
+    type,
+    data,
+    timestamp: new Date(now()).toISOString(),
+    simulation: replay ? replay.status() : undefined
+  });
   wss.clients.forEach(client => {
     if (client.readyState === WebSocket.OPEN) client.send(msg);
   });
 }
 
+// Transiciones de alerta: se difunden al momento y se guardan con el ciclo
+const pendingAlertEvents = [];
+alertEngine.on('transition', (event) => {
+  if (replay) event.simulation = true;
+  pendingAlertEvents.push(event);
+  broadcast('alert_event', event);
+  notifier.handle(event);
+  console.log('[ALERT] ' + event.type + ' ' + event.basinId + ': ' +
+    event.previousLevel + ' -> ' + event.level);
+});
+
 /**
  * CICLO DE ACTUALIZACION - Modelo semi-distribuido
- * 1. Datos SUREMET -> 2. Precipitacion por subcuenca -> 3. Hidrograma+routing -> 4. Alertas
+ * 1. Datos de estaciones -> 2. Precipitacion por subcuenca -> 3. Hidrograma+routing -> 4. Alertas
  */
 async function updateCycle() {
   try {
     console.log('[UPDATE] Iniciando ciclo...');
-    const stationData = await scraper.fetchAllStations();
-    stationData.forEach(s => state.stations.set(s.id, s));
-    state.lastUpdate = new Date().toISOString();
+    const stationData = await sources.fetchAllStations();
+    const gaugeRecords = await gauges.poll();
+    state.lastUpdate = new Date(now()).toISOString();
+
+    // Control de calidad: las rechazadas no entran en acumulados ni interpolacion
+    const qcSummary = qc.check(stationData, {
+      now: Date.parse(state.lastUpdate),
+      radarAt: state.radarGrid ? (lat, lon) => spatial.radarAt(lat, lon, state.radarGrid, radar) : null
+    });
+    if (qcSummary.rejected > 0 || qcSummary.suspect > 0) {
+      console.log('[QC] Rechazadas: ' + qcSummary.rejected + ', sospechosas: ' + qcSummary.suspect);
+    }
+    const validStations = stationData.filter(s => s.qc.usable);
+
+    // Radar antiguo no se fusiona ni se usa para prevision
+    const radarFresh = health.isFresh('aemet_radar');
+    const radarGrid = radarFresh ? state.radarGrid : null;
+
+    stationData.forEach(s => {
+      if (s.online && s.qc.usable) stationRain.update(s.id, s.precipitation, state.lastUpdate);
+      const acc = stationRain.windowsFor(s.id, state.lastUpdate);
+      s.accumulations = acc ? acc.totals : null;
+      s.accumulationCoverage = acc ? acc.coverageHours : 0;
+      state.stations.set(s.id, s);
+    });
+
+    // Variogramas del ciclo para las cuencas con interpolacion kriging
+    spatial.fitVariograms(validStations);
+
+    // Campo regional continuo (capa de lluvia y exportacion raster)
+    state.precipField = spatial.regionalField(radarConfig.domain, validStations, radar, radarFresh ? state.radarFrame : null);
+
+    // Validacion cruzada de las variantes de fusion radar-estaciones
+    const validation = spatial.crossValidateMerge(validStations, radarGrid, radar);
+    if (validation) {
+      console.log('[MERGE] LOO ' + validation.stations + ' estaciones: mejor ' + validation.best +
+        ' (RMSE ' + validation.methods[validation.best].rmse + ' mm/h), activa ' + validation.active);
+    }
 
     for (const [id, basin] of state.basins) {
       // Precipitacion por subcuenca (interpolacion espacial + fusion radar)
       const precipBySubcatchment = spatial.estimateSubcatchmentPrecip(
-        basin, stationData, radar, state.radarGrid
+        basin, validStations, radar, radarGrid
       );
+      accumulateSubcatchments(basin, precipBySubcatchment, state.lastUpdate);
 
-      // Modelo semi-distribuido: subcuencas -> routing -> superposicion
-      const hydroResult = hydro.calculateBasinDistributed(basin, precipBySubcatchment);
+      // Lluvia prevista por nowcasting radar (0-3 h)
+      const forecastRain = radarFresh && state.nowcastFrames.length > 0
+        ? nowcast.subcatchmentForecast(basin, state.nowcastFrames, radar)
+        : null;
+
+      // Simulacion continua: estado de subcuencas y tramos entre ciclos,
+      // corregida con el caudal observado en el aforo de control (AR(1))
+      const hydroResult = assimilator.correct(
+        basin, simulator.run(basin, precipBySubcatchment, state.lastUpdate, forecastRain)
+      );
 
-      basin.currentFlow = hydroResult.peakFlow;
+      // Caudal actual; la punta prevista la evalua el motor de alertas
+      basin.currentFlow = hydroResult.currentFlow !== undefined
+        ? hydroResult.currentFlow
+        : hydroResult.peakFlow;
       basin.precipitation = precipBySubcatchment.mean;
       basin.intensity = precipBySubcatchment.maxIntensity;
+      basin.accumulations = precipBySubcatchment.accumulations;
       basin.hydroResult = hydroResult;
       basin.spatialEstimate = precipBySubcatchment;
 
+      // Ultima lectura del aforo de control
+      const gauge = gauges.controlGauge(id);
+      const reading = gauge ? gauges.latest(gauge.id) : null;
+      if (reading) {
+        const { id: gaugeId, ...observed } = reading;
+        basin.observed = { gaugeId, ...observed };
+      } else {
+        basin.observed = null;
+      }
+
+      // Entradas no al dia: el resultado puede ser un falso "sin lluvia"
+      const reasons = health.degradedReasons(
+        sources.feedsIn(basin.bounds, 0.15).concat('aemet_radar')
+      );
+      if (precipBySubcatchment.stationsUsed === 0 && !radarGrid) reasons.push('no_valid_stations');
+      basin.degraded = reasons.length > 0;
+      basin.degradedReasons = reasons;
+
       if (precipBySubcatchment.mean > 0) {
         console.log('[HYDRO] ' + basin.name +
           ': P=' + precipBySubcatchment.mean +
@@ -83,6 +247,11 @@ async function updateCycle() {
 
     // 3. Evaluar alertas
     state.alerts = alertEngine.evaluate(state.basins);
+    for (const [id, basin] of state.basins) {
+      basin.alerts = state.alerts.filter(a => a.basinId === id);
+    }
+
+    await persistCycle(stationData, gaugeRecords);
 
     // 4. Broadcast
     broadcast('update', {
@@ -95,6 +264,7 @@ async function updateCycle() {
         currentFlow: b.currentFlow,
         precipitation: b.precipitation,
         intensity: b.intensity,
+        accumulations: b.accumulations,
         thresholds: b.thresholds,
         controlPoint: b.controlPoint,
         bounds: b.bounds,
@@ -103,13 +273,21 @@ async function updateCycle() {
           method: b.hydroResult.method,
           peakFlow: b.hydroResult.peakFlow,
           peakTime: b.hydroResult.peakTime,
+          forecastPeakFlow: b.hydroResult.forecastPeakFlow,
+          forecastPeakTime: b.hydroResult.forecastPeakTime,
+          rawPeakFlow: b.hydroResult.raw ? b.hydroResult.raw.peakFlow : null,
+          assimilation: b.hydroResult.assimilation || null,
           subcatchmentResults: b.hydroResult.subcatchmentResults
         } : null,
-        alerts: b.alerts
+        alerts: b.alerts,
+        degraded: b.degraded,
+        degradedReasons: b.degradedReasons,
+        observed: b.observed || null
       })),
       alerts: state.alerts,
       lastUpdate: state.lastUpdate
     });
+    broadcast('health', health.report());
 
     console.log('[UPDATE] Ciclo completo. Estaciones: ' + state.stations.size +
       ', Cuencas: ' + state.basins.size);
@@ -118,11 +296,113 @@ async function updateCycle() {
   }
 }
 
+/**
+ * Acumulados por ventana de cada subcuenca a partir de su precipitacion
+ * interpolada, y media ponderada por area para la cuenca.
+ */
+function accumulateSubcatchments(basin, precipBySubcatchment, time) {
+  const subs = basin.subcatchments || [];
+  const basinTotals = {};
+  let totalArea = 0, weightedPrecip = 0;
+  for (const sub of subs) {
+    const pData = precipBySubcatchment[sub.id];
+    if (!pData) continue;
+    if (pData.rainRate !== undefined) {
+      // Estimacion solo radar: intensidad integrada; el acumulado del dia sale del acumulador
+      subcatchmentRain.updateRate(sub.id, pData.rainRate, time);
+      pData.precip = subcatchmentRain.today(sub.id);
+    } else {
+      subcatchmentRain.update(sub.id, pData.precip, time);
+    }
+    weightedPrecip += pData.precip * sub.area;
+    const acc = subcatchmentRain.windowsFor(sub.id, time);
+    pData.accumulations = acc.totals;
+    pData.accumulationCoverage = acc.coverageHours;
+    pData.antecedentPrecip = subcatchmentRain.antecedent(sub.id, time, 5);
+    for (const [w, mm] of Object.entries(acc.totals)) {
+      basinTotals[w] = (basinTotals[w] || 0) + mm * sub.area;
+    }
+    totalArea += sub.area;
+  }
+  if (totalArea > 0) {
+    Object.keys(basinTotals).forEach(w => {
+      basinTotals[w] = Math.round(basinTotals[w] / totalArea * 10) / 10;
+    });
+    precipBySubcatchment.accumulations = basinTotals;
+    precipBySubcatchment.mean = Math.round(weightedPrecip / totalArea * 10) / 10;
+  }
+}
+
+/**
+ * Reconstruye los acumuladores de lluvia con el historico guardado
+ * (72 h estaciones, 6 dias subcuencas para AMC) al reiniciar.
+ */
+async function restoreAccumulators() {
+  const t = now();
+  const stationRecords = await store.query('stations', { from: new Date(t - 72 * 3600000), to: new Date(t) });
+  stationRain.seed(stationRecords.filter(r => r.qc !== 'rejected'));
+  const basinRecords = await store.query('basins', { from: new Date(t - 6 * 86400000), to: new Date(t) });
+  subcatchmentRain.seed(basinRecords.flatMap(r => (r.subcatchments || []).map(sc => ({
+    id: sc.subId, timestamp: r.timestamp, precipitation: sc.precipitation
+  }))));
+  gauges.seed(await store.query('gauges', { from: new Date(t - gauges.historyHours * 3600000), to: new Date(t) }));
+}
+
+/**
+ * Guarda muestras, lecturas de aforos, resultados y transiciones de alerta del ciclo en el almacen.
+ * Un fallo de disco no debe interrumpir el ciclo de alerta.
+ */
+async function persistCycle(stationData, gaugeRecords) {
+  try {
+    await store.appendStations(stationData, state.lastUpdate);
+    await store.appendGauges(gaugeRecords);
+    for (const basin of state.basins.values()) {
+      if (basin.hydroResult) await store.appendBasinResult(basin, basin.hydroResult, state.lastUpdate);
+    }
+    await store.appendAlerts(pendingAlertEvents.splice(0));
+  } catch (err) {
+    console.error('[STORE] Error guardando ciclo:', err.message);
+  }
+}
+
+/**
+ * Imagen radar grabada vigente en la hora virtual del simulacro
+ */
+function replayRadarData() {
+  try {
+    const snapshot = replay.snapshot('aemet_radar', true);
+    return radar.fromImage(snapshot.data, snapshot.time);
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
 async function updateRadar() {
   try {
-    if (process.env.AEMET_API_KEY) {
-      state.radarData = await radar.fetchRadarData();
+    if (replay ? replay.has('aemet_radar') : process.env.AEMET_API_KEY) {
+      const started = Date.now();
+      const { frame, image, ...radarData } = replay ? replayRadarData() : await radar.fetchRadarData();
+      const latencyMs = Date.now() - started;
+      if (image && sources.recordDir) await sources.record('aemet_radar', image, radar.imageExtension(image));
+      if (frame) {
+        health.success('aemet_radar', { latencyMs, count: frame.cells.length, dataTime: frame.timestamp });
+      } else {
+        health.failure('aemet_radar', radarData.error || 'Imagen radar no decodificada', { latencyMs });
+      }
+      if (frame) {
+        state.radarGrid = frame.cells;
+        state.radarFrame = frame;
+        nowcast.addFrame(frame);
+        state.nowcastFrames = nowcast.forecast();
+        radarData.grid = {
+          resolution: frame.resolution, bounds: frame.bounds,
+          rows: frame.rows, cols: frame.cols,
+          echoCells: frame.cells.filter(c => c.dBZ > 0).length
+        };
+      }
+      state.radarData = radarData;
       broadcast('radar', state.radarData);
+      broadcast('health', health.report());
     }
   } catch (err) {
     console.error('[RADAR] Error:', err.message);
@@ -130,21 +410,33 @@ async function updateRadar() {
 }
 
 // Rutas API
-app.use('/api/stations', require('./routes/stations')(state));
-app.use('/api/basins', require('./routes/basins')(state, hydro));
+app.use('/api/stations', require('./routes/stations')(state, store, qc));
+app.use('/api/basins', require('./routes/basins')(state, hydro, store, geometry, gauges));
+app.use('/api/gauges', require('./routes/gauges')(gauges, store));
 app.use('/api/hydro', require('./routes/hydro')(state, hydro));
-app.use('/api/radar', require('./routes/radar')(state, radar));
-app.use('/api/alerts', require('./routes/alerts')(state));
+app.use('/api/radar', require('./routes/radar')(state, radar, nowcast));
+app.use('/api/alerts', require('./routes/alerts')(state, alertEngine, store, notifier));
 app.use('/api/spatial', require('./routes/spatial')(state, spatial, radar));
+app.use('/api/geo', require('./routes/geo')(state, geometry));
+app.use('/api/health', require('./routes/health')(state, health));
+app.use('/api/replay', require('./routes/replay')(replay));
 
 // SPA fallback
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// Programacion de actualizaciones
-cron.schedule('*/5 * * * *', updateCycle);  // Cada 5 min
-cron.schedule('*/10 * * * *', updateRadar); // Cada 10 min
+// Programacion de actualizaciones (en un simulacro las marca StormReplay)
+if (!replay) {
+  cron.schedule('*/5 * * * *', updateCycle);  // Cada 5 min
+  cron.schedule('*/10 * * * *', updateRadar); // Cada 10 min
+  cron.schedule('30 3 * * *', () => {          // Limpieza diaria del almacen
+    const removed = store.prune(parseInt(process.env.DATA_RETENTION_DAYS, 10) || 365);
+    if (removed > 0) console.log('[STORE] Ficheros eliminados por retencion: ' + removed);
+  });
+} else {
+  replay.on('state', status => broadcast('replay', status));
+}
 
 // WebSocket
 wss.on('connection', (ws) => {
@@ -159,11 +451,16 @@ wss.on('connection', (ws) => {
         thresholds: b.thresholds, controlPoint: b.controlPoint,
         bounds: b.bounds,
         subcatchmentCount: (b.subcatchments || []).length,
-        alerts: b.alerts
+        alerts: b.alerts,
+        degraded: b.degraded,
+        degradedReasons: b.degradedReasons,
+        observed: b.observed || null
       })),
       alerts: state.alerts,
+      health: health.report(),
       lastUpdate: state.lastUpdate
-    }
+    },
+    simulation: replay ? replay.status() : undefined
   }));
   ws.on('close', () => console.log('[WS] Cliente desconectado'));
 });
@@ -176,6 +473,26 @@ server.listen(PORT, () => {
   const totalSubs = Array.from(state.basins.values())
     .reduce((sum, b) => sum + (b.subcatchments || []).length, 0);
   console.log('[SERVER] Subcuencas totales: ' + totalSubs);
-  updateCycle();
-  updateRadar();
+  console.log('[SERVER] Poligonos GeoJSON: ' + loadedShapes.basins + ' cuencas, ' +
+    loadedShapes.subcatchments + ' subcuencas (resto con rectangulo bounds)');
+  console.log('[SERVER] Altitud de celdas: ' +
+    (dem.source === 'dem' ? 'DEM ' + dem.file : 'sin DEM, correccion orografica desactivada (IDW/kriging)'));
+  console.log('[SERVER] Redes de estaciones: ' +
+    (sources.active().map(a => a.network).join(', ') || 'ninguna activa'));
+  if (replay) {
+    console.log('[REPLAY] SIMULACRO ' + replay.name + ': ' + new Date(replay.from).toISOString() + ' -> ' +
+      new Date(replay.to).toISOString() + ' a x' + replay.speed + ', feeds ' + replay.status().feeds.join(', ') +
+      ', almacen ' + store.dir + (notifier.enabled ? ', CON notificaciones' : ', sin notificaciones'));
+  }
+  store.query('alerts', { from: new Date(now() - 7 * 86400000), to: new Date(now()) })
+    .then(alerts => alertEngine.restoreHistory(alerts))
+    .catch(err => console.error('[STORE] Error leyendo historial:', err.message));
+  const restored = restoreAccumulators()
+    .catch(err => console.error('[STORE] Error reconstruyendo acumulados:', err.message));
+  if (replay) {
+    restored.then(() => replay.start({ cycle: updateCycle, radar: updateRadar }));
+  } else {
+    restored.then(() => updateCycle());
+    updateRadar();
+  }
 });
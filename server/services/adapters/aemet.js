@@ -0,0 +1,112 @@
+const axios = require('axios');
+const StationAdapter = require('./base');
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'Europe/Madrid', year: 'numeric', month: '2-digit', day: '2-digit'
+});
+
+/**
+ * AEMET OpenData - observacion convencional de todas las estaciones
+ * (/observacion/convencional/todas). Devuelve registros horarios de las
+ * ultimas 24 h por estacion (idema):
+ *   - intensity: `prec` de la ultima hora (mm/h)
+ *   - precipitation: suma de `prec` de las horas del dia local (contador
+ *     desde medianoche, como SUREMET)
+ *   - `fint` viene en UTC sin zona
+ * Solo se conservan las estaciones dentro de `bounds`.
+ */
+class AemetAdapter extends StationAdapter {
+  constructor(config) {
+    super(config);
+    this.network = 'aemet';
+    this.tag = 'AEMET';
+    this.extension = 'json';
+    this.apiKey = this.config.apiKey || process.env.AEMET_API_KEY;
+    this.baseUrl = this.config.url || 'https://opendata.aemet.es/opendata/api';
+    this.bounds = this.config.bounds || null;
+    // Publicacion horaria con retraso: el ultimo dato puede tener 1-2 h
+    this.staleMinutes = this.config.staleMinutes || 150;
+  }
+
+  ready() {
+    return !!this.apiKey;
+  }
+
+  feeds() {
+    return [{
+      name: 'aemet_stations',
+      label: 'AEMET estaciones',
+      maxAgeMinutes: this.config.maxAgeMinutes || 150
+    }];
+  }
+
+  async fetchRaw() {
+    if (!this.apiKey) throw new Error('AEMET_API_KEY no configurada');
+    const resp = await axios.get(`${this.baseUrl}/observacion/convencional/todas`, {
+      headers: { api_key: this.apiKey }, timeout: 15000
+    });
+    if (!resp.data || !resp.data.datos) throw new Error(resp.data?.descripcion || 'Sin URL de datos');
+    // Los datos se sirven en ISO-8859-15
+    const data = await axios.get(resp.data.datos, { timeout: 20000, responseType: 'arraybuffer' });
+    return Buffer.from(data.data).toString('latin1');
+  }
+
+  utcTime(fint) {
+    return /[zZ]|[+-]\d{2}:?\d{2}$/.test(fint) ? Date.parse(fint) : Date.parse(fint + 'Z');
+  }
+
+  inBounds(lat, lon) {
+    const b = this.bounds;
+    return !b || (lat >= b.south && lat <= b.north && lon >= b.west && lon <= b.east);
+  }
+
+  async parse(raw) {
+    const records = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!Array.isArray(records)) return [];
+
+    const byStation = new Map();
+    for (const r of records) {
+      if (!r.idema || !r.fint) continue;
+      const t = this.utcTime(r.fint);
+      if (isNaN(t)) continue;
+      if (!byStation.has(r.idema)) byStation.set(r.idema, []);
+      byStation.get(r.idema).push({ ...r, t });
+    }
+
+    const stations = [];
+    for (const [idema, rows] of byStation) {
+      rows.sort((a, b) => a.t - b.t);
+      const last = rows[rows.length - 1];
+      const lat = this.number(last.lat), lon = this.number(last.lon);
+      if (lat === null || lon === null || !this.inBounds(lat, lon)) continue;
+      // La hora que termina en fint pertenece al dia de (fint - 1 ms)
+      const today = dayFormatter.format(last.t - 1);
+      const precipitation = rows
+        .filter(r => dayFormatter.format(r.t - 1) === today)
+        .reduce((s, r) => s + (this.number(r.prec) || 0), 0);
+      const wind = this.number(last.vv);
+      stations.push({
+        id: 'aemet_' + idema,
+        name: last.ubi || idema,
+        province: null,
+        lat,
+        lon,
+        altitude: this.number(last.alt) || 0,
+        temperature: this.number(last.ta),
+        tempMax: this.number(last.tamax),
+        tempMin: this.number(last.tamin),
+        humidity: this.number(last.hr),
+        pressure: this.number(last.pres),
+        precipitation: Math.round(precipitation * 10) / 10,
+        intensity: this.number(last.prec) || 0,
+        windSpeed: wind !== null ? Math.round(wind * 3.6 * 10) / 10 : 0,
+        windDir: this.number(last.dv) || 0,
+        timestamp: new Date(last.t).toISOString(),
+        online: true
+      });
+    }
+    return stations;
+  }
+}
+
+module.exports = AemetAdapter;
@@ -0,0 +1,23 @@
+const MappedFeedAdapter = require('./mapped-feed');
+
+/**
+ * AVAMET - red de aficionados de la Comunitat Valenciana (cubre Alicante y
+ * el norte de Murcia). URL, formato y columnas en config/sources.json (o
+ * AVAMET_URL); `windFactor` convierte la velocidad a km/h si el feed usa m/s.
+ */
+class AvametAdapter extends MappedFeedAdapter {
+  constructor(config) {
+    super(config, {
+      name: 'avamet',
+      label: 'AVAMET',
+      url: process.env.AVAMET_URL,
+      idPrefix: 'avamet_',
+      province: 'A',
+      maxAgeMinutes: 20
+    });
+    this.network = 'avamet';
+    this.tag = 'AVAMET';
+  }
+}
+
+module.exports = AvametAdapter;
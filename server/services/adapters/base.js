@@ -0,0 +1,85 @@
+/**
+ * Adaptador de Red de Estaciones - HidroAlerta SE
+ *
+ * Interfaz comun de las fuentes de estaciones. Cada adaptador declara sus
+ * `feeds()` (una peticion y una fuente de salud cada uno), descarga el
+ * contenido crudo con `fetchRaw(feed)` y lo convierte con `parse(raw, feed)`
+ * en estaciones con la forma comun:
+ *
+ *   {id, name, province, lat, lon, altitude, temperature, tempMax, tempMin,
+ *    humidity, pressure, precipitation (mm desde medianoche local),
+ *    intensity (mm/h), windSpeed (km/h), windDir, timestamp, online}
+ *
+ * `parse` no hace red: se puede probar con ficheros grabados
+ * (SOURCE_RECORD_DIR y tools/parse-fixture.js).
+ */
+class StationAdapter {
+  constructor(config) {
+    this.config = config || {};
+    this.network = 'generic';
+    this.tag = 'SOURCE';
+    this.extension = 'txt';
+    this.priority = this.config.priority || 5;
+    this.staleMinutes = this.config.staleMinutes || 60;
+  }
+
+  /**
+   * false si falta configuracion imprescindible (clave, URL): el adaptador
+   * queda desactivado
+   */
+  ready() {
+    return true;
+  }
+
+  /**
+   * @returns {Array<Object>} [{name, label, maxAgeMinutes, ...}]
+   */
+  feeds() {
+    return [];
+  }
+
+  async fetchRaw() {
+    throw new Error('fetchRaw no implementado');
+  }
+
+  async parse() {
+    throw new Error('parse no implementado');
+  }
+
+  /**
+   * Descarga y convierte todos los feeds. Un feed que falla devuelve []
+   * y queda registrado en `health`.
+   * @param {SourceHealth} [health]
+   * @param {Function} [recorder] - (feedName, raw, extension) para grabar fixtures
+   * @param {Function} [source] - feed -> contenido crudo en lugar de fetchRaw (simulacro)
+   */
+  async fetch(health, recorder, source) {
+    const results = await Promise.all(this.feeds().map(async feed => {
+      const started = Date.now();
+      try {
+        const raw = source ? await source(feed) : await this.fetchRaw(feed);
+        if (recorder) await recorder(feed.name, raw, this.extension);
+        const stations = (await this.parse(raw, feed))
+          .map(st => ({ ...st, network: this.network, feed: feed.name }));
+        if (health) health.success(feed.name, { latencyMs: Date.now() - started, count: stations.length });
+        return stations;
+      } catch (err) {
+        console.error(`[${this.tag}] Error fetching ${feed.name}: ${err.message}`);
+        if (health) health.failure(feed.name, err, { latencyMs: Date.now() - started });
+        return [];
+      }
+    }));
+    return results.flat();
+  }
+
+  /**
+   * Numero de un campo de texto; admite coma decimal. null si no lo es.
+   */
+  number(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = typeof value === 'number' ? value : parseFloat(String(value).trim().replace(',', '.'));
+    return Number.isFinite(n) ? n : null;
+  }
+}
+
+module.exports = StationAdapter;
@@ -0,0 +1,35 @@
+const MappedFeedAdapter = require('./mapped-feed');
+
+/**
+ * Feed de aforos (nivel y/o caudal observados), p. ej. un export SAIH de
+ * las estaciones de aforo del Segura. Mismo formato configurable que los
+ * feeds de estaciones (url, format, delimiter, records) con columnas:
+ *   id        - codigo del aforo en el feed (`code` en config/gauges.json);
+ *               sin columna id todas las filas son del unico aforo del feed
+ *   timestamp - fecha de la observacion
+ *   stage     - nivel (m)
+ *   discharge - caudal (m3/s), si el feed lo publica
+ */
+class GaugeFeedAdapter extends MappedFeedAdapter {
+  constructor(config) {
+    super(config, { maxAgeMinutes: 30 });
+    this.network = 'gauge';
+    this.tag = 'GAUGE';
+    this.fields = {
+      id: 'id', timestamp: 'timestamp', stage: 'stage', discharge: 'discharge',
+      ...(this.config.fields || {})
+    };
+  }
+
+  async parse(raw) {
+    const f = this.fields;
+    return this.records(raw).map(r => ({
+      code: r[f.id] !== undefined && r[f.id] !== null ? String(r[f.id]) : null,
+      timestamp: r[f.timestamp],
+      stage: this.number(r[f.stage]),
+      discharge: this.number(r[f.discharge])
+    })).filter(r => r.timestamp && (r.stage !== null || r.discharge !== null));
+  }
+}
+
+module.exports = GaugeFeedAdapter;
@@ -0,0 +1,118 @@
+const axios = require('axios');
+const StationAdapter = require('./base');
+
+const FIELDS = [
+  'id', 'name', 'lat', 'lon', 'altitude', 'timestamp', 'precipitation', 'intensity',
+  'temperature', 'tempMax', 'tempMin', 'humidity', 'pressure', 'windSpeed', 'windDir'
+];
+
+/**
+ * Feed tabular (CSV o JSON) con columnas configurables. Base de las redes
+ * oficiales sin esquema fijo publicado; en config/sources.json:
+ *
+ *   name       - nombre del feed (fuente de salud y prefijo de fixtures)
+ *   url        - descarga (obligatoria)
+ *   format     - 'csv' | 'json'
+ *   delimiter  - separador CSV (';' por defecto; admite coma decimal)
+ *   records    - ruta con puntos al array de registros en JSON ('' = raiz)
+ *   fields     - {campoComun: columnaDelFeed}; precipitation debe ser el
+ *                acumulado desde medianoche local e intensity mm/h
+ *   idPrefix   - prefijo de id para no chocar con otras redes
+ */
+class MappedFeedAdapter extends StationAdapter {
+  constructor(config, defaults) {
+    config = config || {};
+    defaults = defaults || {};
+    // url vacia en sources.json -> la del entorno
+    super({ ...defaults, ...config, url: config.url || defaults.url });
+    this.feedName = this.config.name;
+    this.label = this.config.label || this.feedName;
+    this.format = this.config.format || 'csv';
+    this.delimiter = this.config.delimiter || ';';
+    this.fields = { ...Object.fromEntries(FIELDS.map(f => [f, f])), ...(this.config.fields || {}) };
+    this.idPrefix = this.config.idPrefix !== undefined ? this.config.idPrefix : this.feedName + '_';
+    this.extension = this.format;
+  }
+
+  ready() {
+    return !!this.config.url;
+  }
+
+  feeds() {
+    return [{ name: this.feedName, label: this.label, maxAgeMinutes: this.config.maxAgeMinutes || 30 }];
+  }
+
+  async fetchRaw() {
+    if (!this.config.url) throw new Error('URL no configurada');
+    const resp = await axios.get(this.config.url, {
+      timeout: 15000, responseType: 'text', headers: this.config.headers || {}
+    });
+    return resp.data;
+  }
+
+  splitCsvLine(line) {
+    const out = [];
+    let cur = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') {
+        if (quoted && line[i + 1] === '"') { cur += '"'; i++; } else quoted = !quoted;
+      } else if (ch === this.delimiter && !quoted) {
+        out.push(cur.trim()); cur = '';
+      } else {
+        cur += ch;
+      }
+    }
+    out.push(cur.trim());
+    return out;
+  }
+
+  /**
+   * Registros como objetos {columna: valor}
+   */
+  records(raw) {
+    if (this.format === 'json') {
+      let data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      for (const key of (this.config.records || '').split('.').filter(Boolean)) data = data ? data[key] : null;
+      return Array.isArray(data) ? data : [];
+    }
+    const lines = String(raw).split(/\r?\n/).filter(l => l.trim());
+    if (lines.length < 2) return [];
+    const header = this.splitCsvLine(lines[0]);
+    return lines.slice(1).map(line => {
+      const values = this.splitCsvLine(line);
+      return Object.fromEntries(header.map((h, i) => [h, values[i]]));
+    });
+  }
+
+  async parse(raw) {
+    const f = this.fields;
+    const n = key => r => this.number(r[f[key]]);
+    return this.records(raw).map(r => {
+      const wind = n('windSpeed')(r);
+      return {
+        id: this.idPrefix + r[f.id],
+        name: r[f.name] || String(r[f.id]),
+        province: this.config.province || null,
+        lat: n('lat')(r) || 0,
+        lon: n('lon')(r) || 0,
+        altitude: n('altitude')(r) || 0,
+        temperature: n('temperature')(r),
+        tempMax: n('tempMax')(r),
+        tempMin: n('tempMin')(r),
+        humidity: n('humidity')(r),
+        pressure: n('pressure')(r),
+        precipitation: n('precipitation')(r) || 0,
+        intensity: n('intensity')(r) || 0,
+        windSpeed: wind !== null ? wind * (this.config.windFactor || 1) : 0,
+        windDir: n('windDir')(r) || 0,
+        timestamp: r[f.timestamp] || new Date().toISOString(),
+        online: true
+      };
+    }).filter(s => s.lat !== 0 && s.lon !== 0);
+  }
+}
+
+MappedFeedAdapter.FIELDS = FIELDS;
+
+module.exports = MappedFeedAdapter;
@@ -0,0 +1,23 @@
+const MappedFeedAdapter = require('./mapped-feed');
+
+/**
+ * SAIH de la Confederacion Hidrografica del Segura - pluviometros oficiales.
+ * No hay esquema publico estable: URL, formato y columnas se configuran en
+ * config/sources.json (o SAIH_CHS_URL) segun el export disponible.
+ */
+class SaihChsAdapter extends MappedFeedAdapter {
+  constructor(config) {
+    super(config, {
+      name: 'saih_chs',
+      label: 'SAIH CHS',
+      url: process.env.SAIH_CHS_URL,
+      idPrefix: 'saih_',
+      province: null,
+      maxAgeMinutes: 30
+    });
+    this.network = 'saih';
+    this.tag = 'SAIH';
+  }
+}
+
+module.exports = SaihChsAdapter;
@@ -0,0 +1,68 @@
+const axios = require('axios');
+const { parseStringPromise } = require('xml2js');
+const StationAdapter = require('./base');
+
+const PROVINCES = ['MU', 'AL', 'GR', 'AB', 'A', 'J'];
+const BASE_URL = 'https://suremet.es/xml_completo.php';
+
+/**
+ * SUREMET - red de aficionados, XML por provincia (xml_completo.php?pr=)
+ */
+class SuremetAdapter extends StationAdapter {
+  constructor(config) {
+    super(config);
+    this.network = 'suremet';
+    this.tag = 'SUREMET';
+    this.extension = 'xml';
+    this.provinces = this.config.provinces || PROVINCES;
+    this.baseUrl = this.config.url || BASE_URL;
+    this.staleMinutes = this.config.staleMinutes || 60;
+  }
+
+  feeds() {
+    return this.provinces.map(code => ({
+      name: 'suremet_' + code,
+      label: 'SUREMET ' + code,
+      maxAgeMinutes: this.config.maxAgeMinutes || 20,
+      province: code
+    }));
+  }
+
+  async fetchRaw(feed) {
+    const resp = await axios.get(`${this.baseUrl}?pr=${feed.province}`, {
+      timeout: 15000, responseType: 'text'
+    });
+    return resp.data;
+  }
+
+  async parse(raw, feed) {
+    const code = feed ? feed.province : null;
+    const parsed = await parseStringPromise(raw, { explicitArray: false });
+    const stations = parsed?.estaciones?.estacion;
+    if (!stations) return [];
+    const arr = Array.isArray(stations) ? stations : [stations];
+    return arr.map(s => ({
+      id: s.nombre || s.id,
+      name: s.nombre || 'Unknown',
+      province: code,
+      lat: parseFloat(s.latitud) || 0,
+      lon: parseFloat(s.longitud) || 0,
+      altitude: parseFloat(s.altitud) || 0,
+      temperature: parseFloat(s.temperatura) || null,
+      tempMax: parseFloat(s.temp_max) || null,
+      tempMin: parseFloat(s.temp_min) || null,
+      humidity: parseFloat(s.humedad) || null,
+      pressure: parseFloat(s.presion) || null,
+      precipitation: parseFloat(s.precipitacion) || 0,
+      intensity: parseFloat(s.intensidad) || 0,
+      windSpeed: parseFloat(s.viento_velocidad) || 0,
+      windDir: parseFloat(s.viento_direccion) || 0,
+      timestamp: s.fecha || new Date().toISOString(),
+      online: s.estado !== 'offline'
+    })).filter(s => s.lat !== 0 && s.lon !== 0);
+  }
+}
+
+SuremetAdapter.PROVINCES = PROVINCES;
+
+module.exports = SuremetAdapter;
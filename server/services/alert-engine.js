@@ -1,57 +1,314 @@
+const EventEmitter = require('events');
+
 /**
  * Motor de Alertas - HidroAlerta SE
- * Evalua umbrales de precipitacion, caudal e intensidad por cuenca
+ * Evalua umbrales de precipitacion, caudal e intensidad por cuenca, y el
+ * tramo futuro del hidrograma (proyeccion o prevision radar) para avisar
+ * con antelacion de cuando se superara cada umbral.
+ *
+ * Cada alerta es una entidad con ciclo de vida (inicio, escaladas, nivel
+ * maximo, fin). Para bajar de nivel los valores deben caer por debajo del
+ * umbral reducido en `hysteresis` y el nivel debe haberse mantenido al
+ * menos `minDurationMinutes`. Cada transicion se emite como evento
+ * 'transition' de tipo new | escalated | downgraded | ended, numerado
+ * (`seq`) dentro de su alerta: es el numero de mensaje CAP y se guarda con
+ * el evento para que sobreviva a reinicios.
+ */
+
+const LEVELS = ['green', 'yellow', 'orange', 'red'];
+const MESSAGES = {
+  yellow: 'AVISO AMARILLO: Precipitaciones significativas',
+  orange: 'ALERTA NARANJA: Riesgo alto de crecida',
+  red: 'ALERTA ROJA: Riesgo extremo de riada'
+};
+const FORECAST_NAMES = {
+  yellow: 'AVISO AMARILLO PREVISTO',
+  orange: 'ALERTA NARANJA PREVISTA',
+  red: 'ALERTA ROJA PREVISTA'
+};
+
+/**
+ * Id de alerta: cuenca y minuto UTC de inicio, `<cuenca>-YYYYMMDDTHHMM`
+ */
+function alertIdFor(basinId, iso) {
+  return basinId + '-' + iso.replace(/[-:]/g, '').slice(0, 13);
+}
+
+/**
+ * Cuenca e inicio (truncado al minuto) de un id de alerta, para buscar
+ * sus eventos en el almacen. null si el id no tiene ese formato.
  */
-class AlertEngine {
-  constructor() {
+function parseAlertId(alertId) {
+  const m = /^(.+)-(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})$/.exec(alertId || '');
+  if (!m) return null;
+  return { basinId: m[1], onset: new Date(Date.UTC(+m[2], +m[3] - 1, +m[4], +m[5], +m[6])) };
+}
+
+const clockFormatter = new Intl.DateTimeFormat('es-ES', {
+  timeZone: 'Europe/Madrid', hour: '2-digit', minute: '2-digit'
+});
+
+class AlertEngine extends EventEmitter {
+  /**
+   * @param {Object} opts - {hysteresis (fraccion, 0.1), minDurationMinutes (30),
+   *   now (hora en ms, virtual durante un simulacro)}
+   */
+  constructor(opts) {
+    super();
+    opts = opts || {};
+    this.hysteresis = opts.hysteresis !== undefined ? opts.hysteresis : 0.1;
+    this.minDurationMinutes = opts.minDurationMinutes !== undefined ? opts.minDurationMinutes : 30;
+    this.now = opts.now || Date.now;
+    this.active = new Map();
     this.history = [];
+    this.sequence = new Map(); // alertId -> seq del siguiente evento
+  }
+
+  /**
+   * Nivel de caudal alcanzado por `flow` segun los umbrales de la cuenca
+   */
+  flowLevel(flow, thresholds) {
+    if (flow >= thresholds.red) return 'red';
+    if (flow >= thresholds.orange) return 'orange';
+    if (flow >= thresholds.yellow) return 'yellow';
+    return 'green';
+  }
+
+  /**
+   * Analiza el tramo futuro del hidrograma: punta prevista, hora de
+   * superacion de cada umbral y antelacion hasta el nivel previsto.
+   * Usa la prevision radar si existe; si no, la proyeccion sin lluvia.
+   */
+  evaluateForecast(basin, thresholds, nowMs) {
+    const hr = basin.hydroResult;
+    let source = 'radar_nowcast';
+    let series = hr.forecastHydrograph;
+    if (!series || series.length === 0) {
+      source = 'projection';
+      series = (hr.compositeHydrograph || []).filter(p => p.projected);
+    }
+    if (series.length === 0 || typeof series[0].time !== 'string') return null;
+
+    const current = basin.currentFlow || 0;
+    let peak = { flow: current, time: new Date(nowMs).toISOString() };
+    const exceedances = { yellow: null, orange: null, red: null };
+    for (const lvl of Object.keys(exceedances)) {
+      if (current >= thresholds[lvl]) exceedances[lvl] = new Date(nowMs).toISOString();
+    }
+    for (const p of series) {
+      if (p.flow > peak.flow) peak = p;
+      for (const lvl of Object.keys(exceedances)) {
+        if (!exceedances[lvl] && p.flow >= thresholds[lvl]) exceedances[lvl] = p.time;
+      }
+    }
+
+    const level = this.flowLevel(peak.flow, thresholds);
+    const leadTimeMinutes = level === 'green'
+      ? null
+      : Math.max(0, Math.round((new Date(exceedances[level]) - nowMs) / 60000));
+
+    return {
+      source,
+      level,
+      peakFlow: Math.round(peak.flow * 100) / 100,
+      peakTime: peak.time,
+      exceedances,
+      leadTimeMinutes
+    };
+  }
+
+  forecastMessage(basin, forecast) {
+    const at = clockFormatter.format(new Date(forecast.exceedances[forecast.level]));
+    return FORECAST_NAMES[forecast.level] + ' a las ' + at + ' en ' + basin.name +
+      ' (punta ' + forecast.peakFlow + ' m3/s a las ' +
+      clockFormatter.format(new Date(forecast.peakTime)) + ')';
+  }
+
+  /**
+   * Nivel de una cuenca con los umbrales escalados por `scale`
+   * (scale < 1 para comprobar la histeresis al bajar de nivel)
+   */
+  classify(basin, scale, nowMs) {
+    const base = basin.thresholds || { yellow: 50, orange: 150, red: 300 };
+    const thresholds = {
+      yellow: base.yellow * scale, orange: base.orange * scale, red: base.red * scale
+    };
+    const flow = basin.currentFlow || 0;
+    const precip = basin.precipitation || 0;
+    const intensity = basin.intensity || 0;
+
+    let level = 'green';
+    if (flow >= thresholds.red || intensity >= 60 * scale || precip >= 100 * scale) {
+      level = 'red';
+    } else if (flow >= thresholds.orange || intensity >= 30 * scale || precip >= 50 * scale) {
+      level = 'orange';
+    } else if (flow >= thresholds.yellow || intensity >= 15 * scale || precip >= 20 * scale) {
+      level = 'yellow';
+    }
+    let message = level === 'green' ? 'Normal' : MESSAGES[level];
+
+    // Tramo futuro: aviso anticipado si se preve superar un umbral mayor
+    const forecast = this.evaluateForecast(basin, thresholds, nowMs);
+    let status = 'active';
+    if (forecast && LEVELS.indexOf(forecast.level) > LEVELS.indexOf(level)) {
+      if (level === 'green') {
+        level = forecast.level;
+        status = 'forecast';
+        message = this.forecastMessage(basin, forecast);
+      } else {
+        message += '. ' + this.forecastMessage(basin, forecast);
+      }
+    }
+    return { level, status, message, forecast };
   }
 
   evaluate(basins) {
-    const alerts = [];
-    const now = new Date().toISOString();
+    const nowMs = this.now();
+    const now = new Date(nowMs).toISOString();
+    const events = [];
 
     for (const [id, basin] of basins) {
       if (!basin.hydroResult) continue;
-      const thresholds = basin.thresholds || { yellow: 50, orange: 150, red: 300 };
-      const flow = basin.currentFlow || 0;
-      const precip = basin.precipitation || 0;
-      const intensity = basin.intensity || 0;
-
-      let level = 'green';
-      let message = 'Normal';
-
-      if (flow >= thresholds.red || intensity >= 60 || precip >= 100) {
-        level = 'red';
-        message = 'ALERTA ROJA: Riesgo extremo de riada';
-      } else if (flow >= thresholds.orange || intensity >= 30 || precip >= 50) {
-        level = 'orange';
-        message = 'ALERTA NARANJA: Riesgo alto de crecida';
-      } else if (flow >= thresholds.yellow || intensity >= 15 || precip >= 20) {
-        level = 'yellow';
-        message = 'AVISO AMARILLO: Precipitaciones significativas';
-      }
+      const raw = this.classify(basin, 1, nowMs);
+      const hold = this.classify(basin, 1 - this.hysteresis, nowMs);
+      const event = this.transition(id, basin, raw, hold, nowMs);
+      if (event) events.push(event);
 
-      if (level !== 'green') {
-        alerts.push({
-          basinId: id,
-          basinName: basin.name,
-          level,
-          message,
-          flow: Math.round(flow * 100) / 100,
-          precipitation: Math.round(precip * 10) / 10,
-          intensity: Math.round(intensity * 10) / 10,
+      const alert = this.active.get(id);
+      if (alert) {
+        Object.assign(alert, {
+          status: raw.level === alert.level ? raw.status : alert.status,
+          message: raw.level === alert.level ? raw.message : alert.message,
+          flow: Math.round((basin.currentFlow || 0) * 100) / 100,
+          precipitation: Math.round((basin.precipitation || 0) * 10) / 10,
+          intensity: Math.round((basin.intensity || 0) * 10) / 10,
+          forecast: raw.forecast,
           timestamp: now
         });
+        alert.peakFlow = Math.max(alert.peakFlow, alert.flow);
       }
     }
 
-    // Sort by severity
-    const order = { red: 0, orange: 1, yellow: 2 };
-    alerts.sort((a, b) => order[a.level] - order[b.level]);
-    this.history.push(...alerts);
+    events.forEach(ev => {
+      this.history.push(ev);
+      this.emit('transition', ev);
+    });
     if (this.history.length > 1000) this.history = this.history.slice(-500);
-    return alerts;
+
+    // Sort by severity (observadas antes que previstas del mismo nivel)
+    const order = { red: 0, orange: 1, yellow: 2 };
+    return Array.from(this.active.values())
+      .map(a => ({ ...a, escalations: a.escalations.slice() }))
+      .sort((a, b) => order[a.level] - order[b.level] ||
+        (a.status === 'forecast') - (b.status === 'forecast'));
+  }
+
+  /**
+   * Maquina de estados de la alerta de una cuenca. Sube de nivel en cuanto
+   * se supera un umbral; baja solo con histeresis y duracion minima.
+   * @returns {Object|null} evento de transicion
+   */
+  transition(id, basin, raw, hold, nowMs) {
+    const now = new Date(nowMs).toISOString();
+    const alert = this.active.get(id);
+    const rank = lvl => LEVELS.indexOf(lvl);
+
+    if (!alert) {
+      if (raw.level === 'green') return null;
+      const created = {
+        id: alertIdFor(id, now),
+        basinId: id,
+        basinName: basin.name,
+        level: raw.level,
+        status: raw.status,
+        message: raw.message,
+        onset: now,
+        lastChange: now,
+        peakLevel: raw.level,
+        peakFlow: 0,
+        escalations: [],
+        endedAt: null
+      };
+      this.active.set(id, created);
+      return this.buildEvent('new', created, 'green', now);
+    }
+
+    if (rank(raw.level) > rank(alert.level)) {
+      const previous = alert.level;
+      alert.escalations.push({ from: previous, to: raw.level, at: now });
+      Object.assign(alert, { level: raw.level, status: raw.status, message: raw.message, lastChange: now });
+      if (rank(raw.level) > rank(alert.peakLevel)) alert.peakLevel = raw.level;
+      return this.buildEvent('escalated', alert, previous, now);
+    }
+
+    const heldMinutes = (nowMs - new Date(alert.lastChange).getTime()) / 60000;
+    if (rank(hold.level) < rank(alert.level) && heldMinutes >= this.minDurationMinutes) {
+      const previous = alert.level;
+      if (hold.level === 'green') {
+        alert.level = 'green';
+        alert.endedAt = now;
+        alert.lastChange = now;
+        this.active.delete(id);
+        return this.buildEvent('ended', alert, previous, now);
+      }
+      Object.assign(alert, { level: hold.level, status: hold.status, message: hold.message, lastChange: now });
+      return this.buildEvent('downgraded', alert, previous, now);
+    }
+    return null;
+  }
+
+  buildEvent(type, alert, previousLevel, timestamp) {
+    const seq = this.sequence.get(alert.id) || 0;
+    if (type === 'ended') this.sequence.delete(alert.id);
+    else this.sequence.set(alert.id, seq + 1);
+    return {
+      type,
+      alertId: alert.id,
+      seq,
+      basinId: alert.basinId,
+      basinName: alert.basinName,
+      level: alert.level,
+      previousLevel,
+      peakLevel: alert.peakLevel,
+      onset: alert.onset,
+      message: alert.message,
+      timestamp
+    };
+  }
+
+  getActive(id) {
+    return this.active.get(id) || null;
+  }
+
+  /**
+   * Recupera el historial de transiciones persistido (arranque del
+   * servidor) y reconstruye las alertas que seguian abiertas.
+   */
+  restoreHistory(events) {
+    events = events.filter(ev => ev.alertId);
+    this.history = events.slice(-500);
+    this.active.clear();
+    this.sequence.clear();
+    for (const ev of events) {
+      // Eventos guardados antes de numerarlos: se cuentan en orden
+      const seq = ev.seq !== undefined ? ev.seq : this.sequence.get(ev.alertId) || 0;
+      if (ev.type === 'ended') {
+        this.active.delete(ev.basinId);
+        this.sequence.delete(ev.alertId);
+        continue;
+      }
+      this.sequence.set(ev.alertId, seq + 1);
+      const alert = this.active.get(ev.basinId) || {
+        id: ev.alertId, basinId: ev.basinId, basinName: ev.basinName,
+        onset: ev.onset, peakLevel: ev.level, peakFlow: 0, escalations: [], endedAt: null
+      };
+      if (ev.type === 'escalated') alert.escalations.push({ from: ev.previousLevel, to: ev.level, at: ev.timestamp });
+      Object.assign(alert, {
+        level: ev.level, status: 'active', message: ev.message,
+        lastChange: ev.timestamp, peakLevel: ev.peakLevel || alert.peakLevel
+      });
+      this.active.set(ev.basinId, alert);
+    }
   }
 
   getHistory(limit) {
@@ -59,4 +316,6 @@ class AlertEngine {
   }
 }
 
+AlertEngine.parseAlertId = parseAlertId;
+
 module.exports = AlertEngine;
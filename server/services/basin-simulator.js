@@ -0,0 +1,278 @@
+/**
+ * Simulacion Continua por Eventos - HidroAlerta SE
+ *
+ * Mantiene el estado hidrologico de cada cuenca entre ciclos en lugar de
+ * recalcular un hidrograma desde t=0 cada 5 minutos:
+ *   - SCS-CN incremental: lluvia y escorrentia acumuladas del evento
+ *   - Clark: histograma tiempo-area pendiente + embalse lineal
+ *   - Muskingum: entrada/salida previas de cada tramo hasta la salida
+ *
+ * La lluvia se lee del acumulador de subcuencas (RainAccumulator) en
+ * pasos de 15 min anclados al reloj. El hidrograma compuesto es una serie
+ * real con horas ISO: pasado simulado + proyeccion sin lluvia adicional.
+ */
+class BasinSimulator {
+  /**
+   * @param {HydroEngine} hydro - motor con los metodos hidrologicos
+   * @param {RainAccumulator} rainLedger - acumulador de lluvia por subcuenca
+   */
+  constructor(hydro, rainLedger) {
+    this.hydro = hydro;
+    this.rainLedger = rainLedger;
+    this.dt = 0.25;                // paso (h)
+    this.warmupHours = 24;         // arranque en frio: simula las ultimas 24 h
+    this.maxCatchupHours = 6;      // si el estado es mas viejo, arranque en frio
+    this.interEventHours = 12;     // horas sin lluvia que cierran un evento SCS
+    this.historyHours = 72;        // pasado que se conserva en la serie
+    this.projectionHours = 48;     // horizonte maximo de la proyeccion
+    this.states = new Map();
+  }
+
+  get stepMs() {
+    return this.dt * 3600000;
+  }
+
+  createSubState(sub) {
+    const routing = sub.routingToOutlet;
+    const reaches = routing && routing.K ? (routing.reaches || 1) : 0;
+    const timeArea = this.hydro.clarkTimeArea(sub, this.dt);
+    return {
+      cumP: 0,
+      cumPe: 0,
+      dryHours: 0,
+      timeArea,
+      pending: new Array(timeArea.length).fill(0),
+      reservoir: 0,
+      reaches: Array.from({ length: reaches }, () => ({ I: 0, O: 0 })),
+      localFlow: 0,
+      routedFlow: 0
+    };
+  }
+
+  createState(basin, startMs) {
+    const subs = {};
+    (basin.subcatchments || []).forEach(sub => { subs[sub.id] = this.createSubState(sub); });
+    return { clock: startMs, series: [], subs };
+  }
+
+  /**
+   * Avanza una subcuenca un paso con `rain` mm de lluvia
+   */
+  stepSubcatchment(sub, s, rain, cn) {
+    const dt = this.dt;
+
+    // 1. SCS-CN incremental dentro del evento
+    if (rain > 0) {
+      s.dryHours = 0;
+    } else {
+      s.dryHours += dt;
+      if (s.dryHours >= this.interEventHours) { s.cumP = 0; s.cumPe = 0; }
+    }
+    s.cumP += rain;
+    const cumPe = this.hydro.scsCurveNumber(s.cumP, cn);
+    const pe = Math.max(0, cumPe - s.cumPe);
+    s.cumPe = Math.max(s.cumPe, cumPe);
+
+    // 2. Traslacion por histograma tiempo-area
+    const rate = (pe / 1000) * sub.area * 1e6 / (dt * 3600);
+    for (let k = 0; k < s.timeArea.length; k++) s.pending[k] += rate * s.timeArea[k];
+    const inflow = s.pending.shift();
+    s.pending.push(0);
+
+    // 3. Embalse lineal de Clark
+    const tc = this.hydro.calculateTc(sub);
+    const R = sub.storageCoeff || tc * 0.7;
+    const C1 = dt / (R + 0.5 * dt);
+    s.reservoir = Math.max(0, C1 * inflow + (1 - C1) * s.reservoir);
+    s.localFlow = s.reservoir;
+
+    // 4. Transito Muskingum hasta el punto de control
+    let q = s.reservoir;
+    const routing = sub.routingToOutlet;
+    for (const reach of s.reaches) {
+      const coef = this.hydro.muskingumCoefficients(routing.K, routing.X || 0.2, dt);
+      if (!coef) continue;
+      const out = Math.max(0, coef.C0 * q + coef.C1 * reach.I + coef.C2 * reach.O);
+      reach.I = q;
+      reach.O = out;
+      q = out;
+    }
+    s.routedFlow = q;
+    return q;
+  }
+
+  /**
+   * Avanza todas las subcuencas un paso y devuelve el caudal en el
+   * punto de control. rainFn(subId, from, to) -> mm.
+   */
+  stepBasin(basin, state, cnBySub, rainFn) {
+    const from = state.clock;
+    const to = from + this.stepMs;
+    let total = 0;
+    for (const sub of basin.subcatchments || []) {
+      const rain = rainFn(sub.id, from, to);
+      total += this.stepSubcatchment(sub, state.subs[sub.id], rain, cnBySub[sub.id]);
+    }
+    state.clock = to;
+    return total;
+  }
+
+  /**
+   * Estado de la cuenca avanzado hasta `nowMs` con la lluvia observada
+   */
+  advance(basin, nowMs, cnBySub) {
+    const target = Math.floor(nowMs / this.stepMs) * this.stepMs;
+    let state = this.states.get(basin.id);
+    if (!state || target - state.clock > this.maxCatchupHours * 3600000 || state.clock > target) {
+      state = this.createState(basin, target - this.warmupHours * 3600000);
+      this.states.set(basin.id, state);
+    }
+
+    const observed = (subId, from, to) => this.rainLedger.rainBetween(subId, from, to);
+    while (state.clock < target) {
+      const flow = this.stepBasin(basin, state, cnBySub, observed);
+      state.series.push({ time: state.clock, flow });
+    }
+
+    const cutoff = target - this.historyHours * 3600000;
+    while (state.series.length > 0 && state.series[0].time < cutoff) state.series.shift();
+    return state;
+  }
+
+  /**
+   * Proyeccion desde el estado actual sin modificarlo.
+   * rainFn opcional para lluvia prevista; por defecto, sin mas lluvia.
+   */
+  project(basin, state, cnBySub, rainFn) {
+    rainFn = rainFn || (() => 0);
+    const sim = {
+      clock: state.clock,
+      subs: JSON.parse(JSON.stringify(state.subs))
+    };
+    const steps = Math.round(this.projectionHours / this.dt);
+    const projection = [];
+    for (let i = 0; i < steps; i++) {
+      const flow = this.stepBasin(basin, sim, cnBySub, rainFn);
+      projection.push({ time: sim.clock, flow, subs: this.subFlows(sim) });
+      if (i >= 4 / this.dt && flow < 0.01) break;
+    }
+    return projection;
+  }
+
+  subFlows(state) {
+    const flows = {};
+    for (const [id, s] of Object.entries(state.subs)) flows[id] = { local: s.localFlow, routed: s.routedFlow };
+    return flows;
+  }
+
+  /**
+   * Funcion de lluvia a partir de series previstas {subId: [{start, end, mm}]}
+   */
+  forecastRainFn(forecastRain) {
+    return (subId, from, to) => {
+      let sum = 0;
+      for (const seg of forecastRain[subId] || []) {
+        const overlap = Math.min(seg.end, to) - Math.max(seg.start, from);
+        if (overlap > 0) sum += seg.mm * overlap / (seg.end - seg.start);
+      }
+      return sum;
+    };
+  }
+
+  /**
+   * Ciclo de simulacion de una cuenca: ingiere la lluvia hasta `now`,
+   * proyecta el hidrograma y devuelve un resultado con la misma forma que
+   * HydroEngine.calculateBasinDistributed (horas ISO en lugar de relativas).
+   * Con `forecastRain` (nowcasting radar) anade ademas el hidrograma previsto.
+   */
+  run(basin, subcatchmentPrecip, now, forecastRain) {
+    const subs = basin.subcatchments || [];
+    if (subs.length === 0) return this.hydro.calculateBasinDistributed(basin, subcatchmentPrecip);
+
+    const nowMs = new Date(now).getTime();
+    const cnBySub = {}, amcBySub = {};
+    for (const sub of subs) {
+      const pData = subcatchmentPrecip[sub.id] || {};
+      const resolved = this.hydro.resolveCurveNumber(sub, pData.antecedentPrecip, nowMs);
+      cnBySub[sub.id] = resolved.cnAdjusted;
+      amcBySub[sub.id] = resolved.amc;
+    }
+
+    const state = this.advance(basin, nowMs, cnBySub);
+    const projection = this.project(basin, state, cnBySub);
+    const forecast = forecastRain
+      ? this.project(basin, state, cnBySub, this.forecastRainFn(forecastRain))
+      : null;
+
+    const round = q => Math.round(q * 100) / 100;
+    const compositeHydrograph = state.series
+      .map(p => ({ time: new Date(p.time).toISOString(), flow: round(p.flow) }))
+      .concat(projection.map(p => ({ time: new Date(p.time).toISOString(), flow: round(p.flow), projected: true })));
+
+    const currentFlow = state.series.length > 0 ? state.series[state.series.length - 1].flow : 0;
+    const peakOf = (series) => {
+      let peak = { flow: currentFlow, time: state.clock };
+      for (const p of series) if (p.flow > peak.flow) peak = p;
+      return peak;
+    };
+    const { flow: peakFlow, time: peakTime } = peakOf(projection);
+    const forecastPeak = forecast ? peakOf(forecast) : null;
+
+    const subcatchmentResults = subs.map(sub => {
+      const s = state.subs[sub.id];
+      const pData = subcatchmentPrecip[sub.id] || { precip: 0, intensity: 0 };
+      const cn = cnBySub[sub.id];
+      const rational = this.hydro.rationalMethod({ ...sub, cn }, pData.intensity || 0);
+      const localPeak = Math.max(s.localFlow, ...projection.map(p => p.subs[sub.id].local));
+      const routedPeak = Math.max(s.routedFlow, ...projection.map(p => p.subs[sub.id].routed));
+      return {
+        subId: sub.id,
+        subName: sub.name,
+        area: sub.area,
+        precipitation: pData.precip || 0,
+        intensity: pData.intensity || 0,
+        eventPrecipitation: Math.round(s.cumP * 10) / 10,
+        effectiveRainfall: s.cumPe,
+        currentFlow: Math.round(s.localFlow * 10) / 10,
+        rationalFlow: Math.round(rational * 10) / 10,
+        peakFlow: Math.round(Math.max(rational, localPeak) * 10) / 10,
+        routedFlow: Math.round(s.routedFlow * 10) / 10,
+        routedPeak: Math.round(routedPeak * 10) / 10,
+        tc: this.hydro.calculateTc(sub),
+        cn: sub.cn,
+        amc: amcBySub[sub.id],
+        cnAdjusted: cn,
+        antecedentPrecip: pData.antecedentPrecip === undefined ? null : pData.antecedentPrecip,
+        precipUncertainty: pData.uncertainty || null,
+        accumulations: pData.accumulations || null
+      };
+    });
+
+    return {
+      basinId: basin.id,
+      basinName: basin.name,
+      type: basin.type,
+      method: 'continuous_semi_distributed',
+      dt: this.dt,
+      simulationTime: new Date(state.clock).toISOString(),
+      currentFlow: Math.round(currentFlow * 10) / 10,
+      peakFlow: Math.round(peakFlow * 10) / 10,
+      peakTime: new Date(peakTime).toISOString(),
+      compositeHydrograph,
+      forecastHydrograph: forecast
+        ? forecast.map(p => ({ time: new Date(p.time).toISOString(), flow: round(p.flow) }))
+        : null,
+      forecastPeakFlow: forecastPeak ? Math.round(forecastPeak.flow * 10) / 10 : null,
+      forecastPeakTime: forecastPeak ? new Date(forecastPeak.time).toISOString() : null,
+      subcatchmentResults,
+      timestamp: new Date(nowMs).toISOString()
+    };
+  }
+
+  reset(basinId) {
+    if (basinId) this.states.delete(basinId);
+    else this.states.clear();
+  }
+}
+
+module.exports = BasinSimulator;
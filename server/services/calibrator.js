@@ -0,0 +1,356 @@
+const BasinSimulator = require('./basin-simulator');
+const RainAccumulator = require('./rain-accumulator');
+const SceUa = require('./sce-ua');
+
+const monthFormatter = new Intl.DateTimeFormat('en-GB', { timeZone: 'Europe/Madrid', month: 'numeric' });
+
+/**
+ * Parametros calibrables por subcuenca y sus limites por defecto a partir
+ * del valor actual de basins.json (v)
+ */
+const PARAMS = {
+  cn: { get: s => s.cn, bounds: v => [Math.max(30, v - 20), Math.min(98, v + 20)] },
+  tc: { get: (s, hydro) => hydro.calculateTc(s), bounds: v => [v * 0.5, v * 2] },
+  storageCoeff: {
+    get: (s, hydro) => s.storageCoeff || hydro.calculateTc(s) * 0.7,
+    bounds: v => [v * 0.3, v * 3]
+  },
+  K: { get: s => s.routingToOutlet && s.routingToOutlet.K, bounds: v => [v * 0.3, v * 3], routing: true },
+  X: { get: s => s.routingToOutlet && (s.routingToOutlet.X || 0.2), bounds: () => [0, 0.5], routing: true },
+  reaches: {
+    get: s => s.routingToOutlet && (s.routingToOutlet.reaches || 1),
+    bounds: v => [1, Math.max(6, v * 2)],
+    routing: true,
+    integer: true
+  }
+};
+
+/**
+ * Calibracion de Parametros - HidroAlerta SE
+ *
+ * Ajusta por subcuenca CN, tc, coeficiente de almacenamiento de Clark y
+ * K/X/tramos de Muskingum para que el caudal simulado en el aforo de
+ * control reproduzca el observado en un conjunto de eventos historicos:
+ *
+ *   - lluvia por subcuenca y caudal observado salen del almacen
+ *     (data/basins y data/gauges), igual que los graba el servidor
+ *   - cada evaluacion simula los eventos con el mismo esquema que la
+ *     simulacion continua (BasinSimulator, pasos de 15 min, arranque seco)
+ *   - objetivo NSE o KGE sobre todos los pasos con observacion
+ *   - optimizacion global SCE-UA
+ *
+ * No toca el servidor ni basins.json: devuelve una propuesta de parametros
+ * con la habilidad antes y despues.
+ */
+class Calibrator {
+  /**
+   * @param {HydroEngine} hydro
+   * @param {Object} [opts] - {objective: 'nse'|'kge', params: [..], subcatchments: [ids]}
+   */
+  constructor(hydro, opts) {
+    opts = opts || {};
+    this.hydro = hydro;
+    this.simulator = new BasinSimulator(hydro, null);
+    this.objective = opts.objective || 'kge';
+    this.params = opts.params || Object.keys(PARAMS);
+    this.subcatchments = opts.subcatchments || null;
+    this.warmupHours = 24;   // lluvia previa al evento que se simula antes de comparar
+    this.maxGapMinutes = 60;
+    this.minPairs = 8;
+  }
+
+  // ==================== EVENTOS ====================
+
+  /**
+   * Prepara un evento {name, from, to} desde el almacen: lluvia por
+   * subcuenca en pasos del simulador (desde `from` - warmupHours), lluvia
+   * antecedente de 5 dias y caudal observado en el aforo.
+   */
+  async loadEvent(store, basin, gaugeId, event) {
+    const from = new Date(event.from).getTime();
+    const to = new Date(event.to).getTime();
+    if (isNaN(from) || isNaN(to) || from >= to) throw new Error('Evento con from/to invalido: ' + (event.name || event.from));
+    const stepMs = this.simulator.stepMs;
+    const start = Math.floor((from - this.warmupHours * 3600000) / stepMs) * stepMs;
+
+    const ledger = new RainAccumulator({ retentionHours: (to - start) / 3600000 + 7 * 24 });
+    const records = await store.query('basins', { id: basin.id, from: new Date(start - 6 * 86400000), to: new Date(to) });
+    ledger.seed(records.flatMap(r => (r.subcatchments || []).map(sc => ({
+      id: sc.subId, timestamp: r.timestamp, precipitation: sc.precipitation
+    }))));
+
+    const steps = Math.ceil((to - start) / stepMs);
+    const rain = {};
+    const antecedent = {};
+    for (const sub of basin.subcatchments || []) {
+      rain[sub.id] = Float64Array.from({ length: steps }, (_, i) =>
+        ledger.rainBetween(sub.id, start + i * stepMs, start + (i + 1) * stepMs));
+      antecedent[sub.id] = ledger.antecedent(sub.id, start, 5);
+    }
+
+    const gaugeRecords = await store.query('gauges', { id: gaugeId, from: new Date(from), to: new Date(to) });
+    const readings = gaugeRecords
+      .filter(r => typeof r.discharge === 'number')
+      .map(r => ({ t: new Date(r.timestamp).getTime(), q: r.discharge }));
+
+    // Observado en los pasos del simulador (solo dentro de [from, to])
+    const observed = new Array(steps).fill(null);
+    for (let i = 0; i < steps; i++) {
+      const t = start + (i + 1) * stepMs;
+      if (t >= from && t <= to) observed[i] = this.interpolate(readings, t);
+    }
+
+    const month = Number(monthFormatter.format(from));
+    const totalRain = Object.values(rain).reduce((s, arr) => s + arr.reduce((a, b) => a + b, 0), 0);
+    return {
+      name: event.name || new Date(from).toISOString(),
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      start,
+      steps,
+      month,
+      rain,
+      antecedent,
+      observed,
+      observations: observed.filter(v => v !== null).length,
+      meanSubcatchmentRain: Math.round(totalRain / Math.max(1, Object.keys(rain).length) * 10) / 10
+    };
+  }
+
+  interpolate(readings, t) {
+    let i = 0;
+    while (i < readings.length && readings[i].t < t) i++;
+    const after = readings[i], before = readings[i - 1];
+    if (after && after.t === t) return after.q;
+    if (before && after && after.t - before.t <= this.maxGapMinutes * 60000) {
+      return before.q + (after.q - before.q) * (t - before.t) / (after.t - before.t);
+    }
+    return null;
+  }
+
+  // ==================== PARAMETROS ====================
+
+  /**
+   * Vector de parametros: [{subId, param, value, lower, upper, integer}]
+   */
+  parameterSpace(basin, bounds) {
+    bounds = bounds || {};
+    const space = [];
+    for (const sub of basin.subcatchments || []) {
+      if (this.subcatchments && !this.subcatchments.includes(sub.id)) continue;
+      for (const name of this.params) {
+        const def = PARAMS[name];
+        if (!def) throw new Error('Parametro no calibrable: ' + name);
+        if (def.routing && !(sub.routingToOutlet && sub.routingToOutlet.K)) continue;
+        const value = def.get(sub, this.hydro);
+        if (value === undefined || value === null) continue;
+        const [lower, upper] = bounds[name] || def.bounds(value);
+        space.push({ subId: sub.id, param: name, value, lower, upper, integer: !!def.integer });
+      }
+    }
+    return space;
+  }
+
+  /**
+   * Copia de la cuenca con el vector x aplicado
+   */
+  applyParams(basin, space, x) {
+    const subs = new Map((basin.subcatchments || []).map(sub => [sub.id, {
+      ...sub,
+      routingToOutlet: sub.routingToOutlet ? { ...sub.routingToOutlet } : sub.routingToOutlet
+    }]));
+    space.forEach((p, i) => {
+      const sub = subs.get(p.subId);
+      const v = p.integer ? Math.round(x[i]) : x[i];
+      if (PARAMS[p.param].routing) sub.routingToOutlet[p.param] = v;
+      else sub[p.param] = v;
+    });
+    return { ...basin, subcatchments: Array.from(subs.values()) };
+  }
+
+  // ==================== SIMULACION Y HABILIDAD ====================
+
+  /**
+   * Caudal simulado en el punto de control en cada paso del evento
+   */
+  simulate(basin, event) {
+    const sim = this.simulator;
+    const state = sim.createState(basin, event.start);
+    const cnBySub = {};
+    for (const sub of basin.subcatchments || []) {
+      const p5 = event.antecedent[sub.id];
+      const amc = p5 === null || p5 === undefined ? 'II' : this.hydro.antecedentMoistureClass(p5, event.month);
+      cnBySub[sub.id] = this.hydro.adjustCurveNumber(sub.cn, amc);
+    }
+    const rainFn = (subId, from) => {
+      const series = event.rain[subId];
+      return series ? series[Math.round((from - event.start) / sim.stepMs)] || 0 : 0;
+    };
+    const flows = new Float64Array(event.steps);
+    for (let i = 0; i < event.steps; i++) flows[i] = sim.stepBasin(basin, state, cnBySub, rainFn);
+    return flows;
+  }
+
+  pairs(basin, events) {
+    const pairs = [];
+    for (const event of events) {
+      const flows = this.simulate(basin, event);
+      event.observed.forEach((obs, i) => {
+        if (obs !== null) pairs.push({ sim: flows[i], obs });
+      });
+    }
+    return pairs;
+  }
+
+  /**
+   * NSE, KGE (r, alpha, beta), PBIAS, RMSE y error de punta (%)
+   */
+  metrics(pairs) {
+    const n = pairs.length;
+    if (n < 2) return { n, nse: null, kge: null };
+    const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+    const sim = pairs.map(p => p.sim), obs = pairs.map(p => p.obs);
+    const ms = mean(sim), mo = mean(obs);
+    let sse = 0, sst = 0, cov = 0, vs = 0;
+    for (let i = 0; i < n; i++) {
+      sse += (sim[i] - obs[i]) ** 2;
+      sst += (obs[i] - mo) ** 2;
+      cov += (sim[i] - ms) * (obs[i] - mo);
+      vs += (sim[i] - ms) ** 2;
+    }
+    const r = vs > 0 && sst > 0 ? cov / Math.sqrt(vs * sst) : 0;
+    const alpha = sst > 0 ? Math.sqrt(vs / sst) : null;
+    const beta = mo > 0 ? ms / mo : null;
+    const kge = alpha !== null && beta !== null
+      ? 1 - Math.sqrt((r - 1) ** 2 + (alpha - 1) ** 2 + (beta - 1) ** 2)
+      : null;
+    const peakObs = Math.max(...obs), peakSim = Math.max(...sim);
+    const round = v => v === null ? null : Math.round(v * 1000) / 1000;
+    return {
+      n,
+      nse: sst > 0 ? round(1 - sse / sst) : null,
+      kge: round(kge),
+      r: round(r),
+      alpha: round(alpha),
+      beta: round(beta),
+      pbias: mo > 0 ? round(100 * (ms - mo) / mo) : null,
+      rmse: round(Math.sqrt(sse / n)),
+      peakObserved: round(peakObs),
+      peakSimulated: round(peakSim),
+      peakError: peakObs > 0 ? round(100 * (peakSim - peakObs) / peakObs) : null
+    };
+  }
+
+  skill(basin, events) {
+    return {
+      overall: this.metrics(this.pairs(basin, events)),
+      events: events.map(ev => ({ name: ev.name, ...this.metrics(this.pairs(basin, [ev])) }))
+    };
+  }
+
+  // ==================== CALIBRACION ====================
+
+  /**
+   * @param {Object} basin - cuenca de basins.json
+   * @param {Array} events - eventos preparados (loadEvent)
+   * @param {Object} [opts] - {maxEvaluations, seed, complexes, bounds}
+   * @returns {Object} propuesta {parameters, previous, skill: {before, after}, optimizer}
+   */
+  calibrate(basin, events, opts) {
+    opts = opts || {};
+    const usable = events.filter(ev => ev.observations >= this.minPairs);
+    if (usable.length === 0) throw new Error('Ningun evento tiene ' + this.minPairs + ' o mas pasos con caudal observado');
+    const space = this.parameterSpace(basin, opts.bounds);
+    if (space.length === 0) throw new Error('Sin parametros que calibrar');
+
+    const objective = this.objective;
+    const score = x => {
+      const m = this.metrics(this.pairs(this.applyParams(basin, space, x), usable));
+      const v = m[objective];
+      return v === null ? Infinity : 1 - v;
+    };
+    const optimizer = new SceUa({
+      maxEvaluations: opts.maxEvaluations,
+      seed: opts.seed,
+      complexes: opts.complexes
+    });
+    const result = optimizer.minimize(
+      score,
+      space.map(p => p.lower),
+      space.map(p => p.upper),
+      space.map(p => Math.min(p.upper, Math.max(p.lower, p.value)))
+    );
+    const calibrated = this.applyParams(basin, space, result.x);
+
+    return {
+      basinId: basin.id,
+      objective,
+      generatedAt: new Date().toISOString(),
+      events: usable.map(ev => ({
+        name: ev.name, from: ev.from, to: ev.to, observations: ev.observations, meanSubcatchmentRain: ev.meanSubcatchmentRain
+      })),
+      skipped: events.filter(ev => !usable.includes(ev)).map(ev => ({ name: ev.name, observations: ev.observations })),
+      parameters: this.parameterTable(calibrated, space),
+      previous: this.parameterTable(basin, space),
+      bounds: space.map(p => ({ subId: p.subId, param: p.param, lower: round3(p.lower), upper: round3(p.upper) })),
+      skill: {
+        before: this.skill(basin, usable),
+        after: this.skill(calibrated, usable)
+      },
+      optimizer: {
+        method: 'sce-ua',
+        evaluations: result.evaluations,
+        loops: result.loops,
+        converged: result.converged,
+        reason: result.reason
+      }
+    };
+  }
+
+  /**
+   * {subId: {cn, tc, storageCoeff, routingToOutlet: {K, X, reaches}}} con
+   * los parametros calibrados
+   */
+  parameterTable(basin, space) {
+    const table = {};
+    for (const p of space) {
+      const sub = basin.subcatchments.find(s => s.id === p.subId);
+      if (!table[p.subId]) table[p.subId] = {};
+      const def = PARAMS[p.param];
+      const value = p.integer ? Math.round(def.get(sub, this.hydro)) : round3(def.get(sub, this.hydro));
+      if (def.routing) {
+        table[p.subId].routingToOutlet = { ...(table[p.subId].routingToOutlet || {}), [p.param]: value };
+      } else {
+        table[p.subId][p.param] = value;
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Copia de basins.json con la propuesta aplicada a una cuenca
+   */
+  static applyProposal(basins, proposal) {
+    return basins.map(b => b.id !== proposal.basinId ? b : {
+      ...b,
+      subcatchments: (b.subcatchments || []).map(sub => {
+        const p = proposal.parameters[sub.id];
+        if (!p) return sub;
+        const { routingToOutlet, ...rest } = p;
+        return {
+          ...sub,
+          ...rest,
+          routingToOutlet: routingToOutlet ? { ...sub.routingToOutlet, ...routingToOutlet } : sub.routingToOutlet
+        };
+      })
+    });
+  }
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+Calibrator.PARAMS = PARAMS;
+
+module.exports = Calibrator;
@@ -0,0 +1,194 @@
+const { Builder } = require('xml2js');
+
+/**
+ * Exportacion CAP 1.2 (Common Alerting Protocol) - HidroAlerta SE
+ *
+ * Un documento CAP por transicion de alerta (AlertEngine):
+ *   new -> msgType Alert, escalated/downgraded -> Update, ended -> Cancel.
+ * Los Update/Cancel referencian los mensajes previos de la misma alerta.
+ * El nivel amarillo/naranja/rojo se traduce a severity, y el estado
+ * (observada/prevista) a urgency y certainty. Los eventos de un simulacro
+ * salen con status Exercise.
+ */
+
+const CAP_NS = 'urn:oasis:names:tc:emergency:cap:1.2';
+const MSG_TYPES = { new: 'Alert', escalated: 'Update', downgraded: 'Update', ended: 'Cancel' };
+const SEVERITY = { yellow: 'Moderate', orange: 'Severe', red: 'Extreme' };
+const EVENT_NAMES = {
+  yellow: 'Aviso amarillo por crecida',
+  orange: 'Alerta naranja por crecida',
+  red: 'Alerta roja por riada'
+};
+const INSTRUCTIONS = {
+  yellow: 'Extreme la precaucion en cauces, ramblas y pasos inundables.',
+  orange: 'No cruce cauces ni vados inundados. Alejese de ramblas y zonas bajas.',
+  red: 'Siga las indicaciones de Proteccion Civil. Busque zonas altas y no utilice vehiculos en zonas inundables.'
+};
+
+class CapExporter {
+  /**
+   * @param {Object} opts - {sender, senderName, web}
+   */
+  constructor(opts) {
+    opts = opts || {};
+    this.sender = opts.sender || 'hidroalerta-se@localhost';
+    this.senderName = opts.senderName || 'HidroAlerta SE';
+    this.web = opts.web || null;
+    this.builder = new Builder({ xmldec: { version: '1.0', encoding: 'UTF-8' } });
+  }
+
+  /**
+   * Fecha CAP: sin milisegundos y con desfase explicito (no 'Z')
+   */
+  capTime(time) {
+    return new Date(time).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+  }
+
+  /**
+   * Identificador del mensaje: numero del evento dentro de su alerta
+   * (`event.seq`); `seq` solo para eventos guardados sin numerar
+   */
+  identifier(event, seq) {
+    return 'hidroalerta-se.' + event.alertId + '.' + (event.seq !== undefined ? event.seq : seq);
+  }
+
+  /**
+   * Poligono CAP ("lat,lon lat,lon ...", cerrado) de un rectangulo
+   */
+  boundsPolygon(b) {
+    const ring = [[b.south, b.west], [b.north, b.west], [b.north, b.east], [b.south, b.east], [b.south, b.west]];
+    return ring.map(p => p[0] + ',' + p[1]).join(' ');
+  }
+
+  /**
+   * Poligonos CAP de una geometria GeoJSON (anillos exteriores)
+   */
+  geometryPolygons(geometry) {
+    const polys = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polys.map(poly => poly[0].map(([lon, lat]) => lat + ',' + lon).join(' '));
+  }
+
+  /**
+   * Area de la alerta: poligono de la cuenca, o de sus subcuencas, o en
+   * ultimo caso su rectangulo
+   */
+  area(basin) {
+    const subs = basin.subcatchments || [];
+    let polygons = [];
+    const real = item => item.geometry && item.geometrySource === 'geojson';
+    if (real(basin)) {
+      polygons = this.geometryPolygons(basin.geometry);
+    } else if (subs.some(real)) {
+      // Las subcuencas sin poligono entran con su rectangulo
+      polygons = subs.filter(s => s.geometry).flatMap(s => this.geometryPolygons(s.geometry));
+    } else if (basin.bounds) {
+      polygons = [this.boundsPolygon(basin.bounds)];
+    } else {
+      polygons = subs.filter(s => s.bounds).map(s => this.boundsPolygon(s.bounds));
+    }
+    const area = { areaDesc: basin.name };
+    if (polygons.length > 0) area.polygon = polygons;
+    return area;
+  }
+
+  /**
+   * Documento CAP de una transicion.
+   * @param {Object} event - evento de AlertEngine
+   * @param {Array} previous - eventos anteriores de la misma alerta
+   * @param {Object} basin - cuenca (nombre, bounds, subcuencas)
+   * @param {Object} alert - alerta activa (flow, forecast...) si sigue abierta
+   * @returns {string} XML
+   */
+  build(event, previous, basin, alert) {
+    const msgType = MSG_TYPES[event.type] || 'Alert';
+    const cancel = msgType === 'Cancel';
+    const level = cancel ? event.previousLevel : event.level;
+    const forecast = !cancel && alert && alert.status === 'forecast';
+
+    const doc = {
+      $: { xmlns: CAP_NS },
+      identifier: this.identifier(event, previous.length),
+      sender: this.sender,
+      sent: this.capTime(event.timestamp),
+      status: event.simulation ? 'Exercise' : 'Actual',
+      msgType,
+      scope: 'Public'
+    };
+    if (event.simulation) doc.note = 'SIMULACRO: reproduccion de un episodio pasado, no es una alerta real';
+    if (previous.length > 0) {
+      doc.references = previous
+        .map((ev, i) => this.sender + ',' + this.identifier(ev, i) + ',' + this.capTime(ev.timestamp))
+        .join(' ');
+    }
+
+    const info = {
+      language: 'es-ES',
+      category: ['Met', 'Geo'],
+      event: EVENT_NAMES[level] || 'Crecida',
+      responseType: cancel ? 'AllClear' : (level === 'red' ? 'Evacuate' : 'Monitor'),
+      urgency: cancel ? 'Past' : (forecast ? 'Expected' : 'Immediate'),
+      severity: cancel ? 'Minor' : (SEVERITY[level] || 'Unknown'),
+      certainty: cancel ? 'Observed' : (forecast ? 'Likely' : 'Observed'),
+      onset: this.capTime(forecast && alert.forecast && alert.forecast.exceedances[level]
+        ? alert.forecast.exceedances[level]
+        : event.onset),
+      senderName: this.senderName,
+      headline: cancel ? 'Fin de alerta en ' + event.basinName : event.message.split('. ')[0],
+      description: this.description(event, alert, cancel)
+    };
+    if (!cancel && INSTRUCTIONS[level]) info.instruction = INSTRUCTIONS[level];
+    if (this.web) info.web = this.web;
+    info.parameter = [
+      { valueName: 'nivel', value: level },
+      { valueName: 'nivelMaximo', value: event.peakLevel }
+    ];
+    info.area = this.area(basin || { name: event.basinName });
+    doc.info = info;
+
+    return this.builder.buildObject({ alert: doc });
+  }
+
+  description(event, alert, cancel) {
+    if (cancel) {
+      return 'Finaliza la alerta en ' + event.basinName + ' (nivel maximo ' + event.peakLevel +
+        ', iniciada ' + event.onset + ').';
+    }
+    let text = event.message + '.';
+    if (alert) {
+      text += ' Caudal actual ' + alert.flow + ' m3/s, precipitacion ' + alert.precipitation +
+        ' mm, intensidad ' + alert.intensity + ' mm/h.';
+      if (alert.forecast && alert.forecast.level !== 'green') {
+        text += ' Punta prevista ' + alert.forecast.peakFlow + ' m3/s a las ' + alert.forecast.peakTime + '.';
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Indice Atom de los mensajes CAP vigentes (un documento por alerta)
+   * @param {Array} entries - [{event, identifier, url}]
+   */
+  feed(entries, selfUrl, updated) {
+    return this.builder.buildObject({
+      feed: {
+        $: { xmlns: 'http://www.w3.org/2005/Atom' },
+        id: selfUrl,
+        title: this.senderName + ' - Alertas CAP',
+        updated: this.capTime(updated),
+        link: { $: { rel: 'self', href: selfUrl } },
+        author: { name: this.senderName },
+        entry: entries.map(e => ({
+          id: 'urn:' + e.identifier,
+          title: e.event.message.split('. ')[0] || e.event.basinName,
+          updated: this.capTime(e.event.timestamp),
+          link: { $: { rel: 'alternate', type: 'application/cap+xml', href: e.url } },
+          summary: e.event.basinName + ': ' + (MSG_TYPES[e.event.type] || 'Alert') + ' ' + e.event.level
+        }))
+      }
+    });
+  }
+}
+
+CapExporter.MSG_TYPES = MSG_TYPES;
+
+module.exports = CapExporter;
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Modelo Digital de Elevaciones - HidroAlerta SE
+ *
+ * Lee un DEM de baja resolucion en formato ESRI ASCII grid (.asc, WGS84,
+ * celdas en grados) desde config/dem/se_dem.asc o DEM_PATH, y devuelve la
+ * altitud de cualquier punto por interpolacion bilineal.
+ *
+ * Sin fichero (o fuera de su extension) la altitud se estima por IDW de
+ * la altitud de las estaciones cercanas (`source: 'stations'`), lo que
+ * solo aproxima el relieve entre estaciones.
+ */
+class Dem {
+  constructor(file) {
+    this.file = file || path.join(__dirname, '../config/dem/se_dem.asc');
+    this.grid = null;
+    this.source = 'stations';
+  }
+
+  /**
+   * Carga el fichero si existe. @returns {boolean}
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return false;
+    this.grid = this.parseAsciiGrid(fs.readFileSync(this.file, 'utf8'));
+    this.source = 'dem';
+    return true;
+  }
+
+  parseAsciiGrid(text) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const header = {};
+    let i = 0;
+    while (i < tokens.length && isNaN(parseFloat(tokens[i]))) {
+      header[tokens[i].toLowerCase()] = parseFloat(tokens[i + 1]);
+      i += 2;
+    }
+    const cols = header.ncols, rows = header.nrows, size = header.cellsize;
+    if (!cols || !rows || !size) throw new Error('Cabecera ESRI ASCII incompleta');
+    // xllcenter/yllcenter: desplazar media celda a la esquina
+    const west = header.xllcorner !== undefined ? header.xllcorner : header.xllcenter - size / 2;
+    const south = header.yllcorner !== undefined ? header.yllcorner : header.yllcenter - size / 2;
+    const values = new Float32Array(rows * cols);
+    for (let k = 0; k < rows * cols; k++) values[k] = parseFloat(tokens[i + k]);
+    return {
+      rows, cols, cellsize: size,
+      nodata: header.nodata_value !== undefined ? header.nodata_value : -9999,
+      bounds: { west, south, east: west + cols * size, north: south + rows * size },
+      values
+    };
+  }
+
+  value(r, c) {
+    const g = this.grid;
+    const v = g.values[r * g.cols + c];
+    return v === g.nodata || !Number.isFinite(v) ? null : v;
+  }
+
+  /**
+   * Altitud (m) del DEM en (lat, lon), bilineal entre centros de celda.
+   * null si no hay DEM o el punto queda fuera / sin dato.
+   */
+  elevation(lat, lon) {
+    const g = this.grid;
+    if (!g) return null;
+    const b = g.bounds;
+    if (lat < b.south || lat > b.north || lon < b.west || lon > b.east) return null;
+    const fr = Math.max(0, Math.min(g.rows - 1, (b.north - lat) / g.cellsize - 0.5));
+    const fc = Math.max(0, Math.min(g.cols - 1, (lon - b.west) / g.cellsize - 0.5));
+    const r0 = Math.floor(fr), c0 = Math.floor(fc);
+    const r1 = Math.min(g.rows - 1, r0 + 1), c1 = Math.min(g.cols - 1, c0 + 1);
+    const wr = fr - r0, wc = fc - c0;
+    const corners = [
+      [this.value(r0, c0), (1 - wr) * (1 - wc)], [this.value(r0, c1), (1 - wr) * wc],
+      [this.value(r1, c0), wr * (1 - wc)], [this.value(r1, c1), wr * wc]
+    ].filter(([v]) => v !== null);
+    if (corners.length === 0) return null;
+    const sw = corners.reduce((s, [, w]) => s + w, 0);
+    if (sw === 0) return corners[0][0];
+    return corners.reduce((s, [v, w]) => s + v * w, 0) / sw;
+  }
+
+  summary() {
+    if (!this.grid) return { source: this.source, file: this.file };
+    const { rows, cols, cellsize, bounds } = this.grid;
+    return { source: this.source, file: this.file, rows, cols, cellsize, bounds };
+  }
+}
+
+module.exports = Dem;
@@ -0,0 +1,148 @@
+/**
+ * Asimilacion de Caudal Observado - HidroAlerta SE
+ *
+ * Actualizacion de la salida (output updating) con un modelo de error
+ * AR(1) tras la simulacion de la cuenca. El error del modelo en el aforo de
+ * control (observado - simulado) esta muy autocorrelado: si el modelo va
+ * por debajo ahora, lo seguira estando las proximas horas. Con el ultimo
+ * error e0 en t0 el hidrograma corregido es
+ *
+ *   Q'(t) = max(0, Q(t) + e0 * phi^((t - t0) / dt))
+ *
+ * de modo que la proyeccion y la prevision radar parten del caudal
+ * observado y vuelven al simulado a medida que el error se disipa. phi se
+ * estima en cada ciclo con los errores de las ultimas horas (autocorrelacion
+ * de retardo 1); con pocos pares se usa `defaultPhi`.
+ *
+ * No modifica los almacenamientos de Clark/Muskingum del simulador: el
+ * error se recalcula cada ciclo sobre la simulacion sin corregir, que se
+ * conserva en `raw`.
+ */
+class FlowAssimilator {
+  /**
+   * @param {GaugeNetwork} gauges
+   */
+  constructor(gauges) {
+    this.gauges = gauges;
+    this.defaultPhi = 0.9;              // por paso de 15 min (vida media ~1.6 h)
+    this.minPhi = 0;
+    this.maxPhi = 0.98;
+    this.minPairsForPhi = 8;
+    this.phiWindowHours = 24;
+    this.maxObservationAgeMinutes = 60; // ultimo dato mas antiguo -> sin correccion
+  }
+
+  /**
+   * Corrige el resultado de la simulacion con el aforo de control de la
+   * cuenca. Devuelve el mismo resultado si no hay aforo, datos recientes o
+   * la cuenca desactiva la asimilacion (`"assimilation": false`).
+   * @param {Object} basin
+   * @param {Object} hydroResult - BasinSimulator.run / HydroEngine.calculateBasinDistributed
+   * @returns {Object} hydroResult con las series corregidas, `raw` y `assimilation`
+   */
+  correct(basin, hydroResult) {
+    if (!hydroResult || basin.assimilation === false) return hydroResult;
+    const gauge = this.gauges.controlGauge(basin.id);
+    if (!gauge) return hydroResult;
+
+    const skip = reason => ({ ...hydroResult, assimilation: { applied: false, gaugeId: gauge.id, reason } });
+    const hydrograph = hydroResult.compositeHydrograph || [];
+    if (hydrograph.length === 0 || typeof hydrograph[0].time !== 'string') return skip('no_timed_hydrograph');
+
+    const comparison = this.gauges.compare(hydrograph, gauge.id);
+    const pairs = comparison ? comparison.points.filter(p => p.observed !== null) : [];
+    if (pairs.length === 0) return skip('no_observations');
+
+    const last = pairs[pairs.length - 1];
+    const t0 = Date.parse(last.time);
+    const simTime = Date.parse(hydroResult.simulationTime || hydrograph.filter(h => !h.projected).pop().time);
+    if (simTime - t0 > this.maxObservationAgeMinutes * 60000) return skip('stale_observations');
+
+    const stepMs = (hydroResult.dt || 0.25) * 3600000;
+    const { phi, estimated } = this.estimatePhi(pairs, t0, stepMs);
+    const e0 = last.observed - last.simulated;
+    const observedByTime = new Map(pairs.map(p => [p.time, p.observed]));
+    const round = q => Math.round(q * 100) / 100;
+
+    const correctSeries = series => series.map(p => {
+      const t = Date.parse(p.time);
+      if (t <= t0) {
+        const obs = observedByTime.get(p.time);
+        return obs !== undefined ? { ...p, flow: obs } : p;
+      }
+      return { ...p, flow: round(Math.max(0, p.flow + e0 * Math.pow(phi, (t - t0) / stepMs))) };
+    });
+
+    const compositeHydrograph = correctSeries(hydrograph);
+    const forecastHydrograph = hydroResult.forecastHydrograph
+      ? correctSeries(hydroResult.forecastHydrograph)
+      : null;
+
+    const past = compositeHydrograph.filter(p => !p.projected);
+    const currentFlow = past.length > 0 ? past[past.length - 1].flow : hydroResult.currentFlow;
+    const peakOf = series => {
+      let peak = { flow: currentFlow, time: hydroResult.simulationTime };
+      for (const p of series) if (p.flow > peak.flow) peak = p;
+      return peak;
+    };
+    const peak = peakOf(compositeHydrograph.filter(p => p.projected));
+    const forecastPeak = forecastHydrograph ? peakOf(forecastHydrograph) : null;
+
+    return {
+      ...hydroResult,
+      currentFlow: Math.round(currentFlow * 10) / 10,
+      peakFlow: Math.round(peak.flow * 10) / 10,
+      peakTime: peak.time,
+      compositeHydrograph,
+      forecastHydrograph,
+      forecastPeakFlow: forecastPeak ? Math.round(forecastPeak.flow * 10) / 10 : hydroResult.forecastPeakFlow,
+      forecastPeakTime: forecastPeak ? forecastPeak.time : hydroResult.forecastPeakTime,
+      raw: {
+        currentFlow: hydroResult.currentFlow,
+        peakFlow: hydroResult.peakFlow,
+        peakTime: hydroResult.peakTime,
+        compositeHydrograph: hydrograph,
+        forecastHydrograph: hydroResult.forecastHydrograph || null,
+        forecastPeakFlow: hydroResult.forecastPeakFlow,
+        forecastPeakTime: hydroResult.forecastPeakTime
+      },
+      assimilation: {
+        applied: true,
+        method: 'ar1_output_updating',
+        gaugeId: gauge.id,
+        observationTime: last.time,
+        observedFlow: last.observed,
+        simulatedFlow: last.simulated,
+        error: round(e0),
+        phi: Math.round(phi * 1000) / 1000,
+        phiEstimated: estimated,
+        halfLifeHours: phi > 0 && phi < 1
+          ? Math.round(Math.log(0.5) / Math.log(phi) * stepMs / 3600000 * 10) / 10
+          : null,
+        pairs: pairs.length
+      }
+    };
+  }
+
+  /**
+   * phi = sum(e_t e_t-1) / sum(e_t-1^2) con pares consecutivos (un paso)
+   * de las ultimas `phiWindowHours`
+   */
+  estimatePhi(pairs, t0, stepMs) {
+    const from = t0 - this.phiWindowHours * 3600000;
+    const errors = pairs
+      .filter(p => Date.parse(p.time) >= from)
+      .map(p => ({ t: Date.parse(p.time), e: p.observed - p.simulated }));
+    let num = 0, den = 0, n = 0;
+    for (let i = 1; i < errors.length; i++) {
+      if (errors[i].t - errors[i - 1].t !== stepMs) continue;
+      num += errors[i].e * errors[i - 1].e;
+      den += errors[i - 1].e ** 2;
+      n++;
+    }
+    if (n < this.minPairsForPhi || den === 0) return { phi: this.defaultPhi, estimated: false };
+    return { phi: Math.min(this.maxPhi, Math.max(this.minPhi, num / den)), estimated: true };
+  }
+}
+
+module.exports = FlowAssimilator;
@@ -0,0 +1,306 @@
+const RatingCurve = require('./rating-curve');
+const GaugeFeedAdapter = require('./adapters/gauge-feed');
+
+/**
+ * Red de Aforos - HidroAlerta SE
+ *
+ * Nivel y caudal observados en los puntos de control de las cuencas (p. ej.
+ * aforos SAIH del Segura en la Contraparada o Guardamar), declarados en
+ * config/gauges.json:
+ *
+ *   feeds  - feeds de aforos (GaugeFeedAdapter), una fuente de salud cada uno
+ *   gauges - {id, name, basinId, river, lat, lon, feed, code, controlPoint,
+ *             ratingCurve}
+ *
+ * Si el feed publica caudal se usa tal cual (`dischargeSource: 'observed'`);
+ * si solo publica nivel, el caudal sale de la curva de gasto del aforo
+ * (`'rating'`). Las lecturas tambien pueden enviarse por la API. Se
+ * conserva en memoria la serie de las ultimas `historyHours` para comparar
+ * con el hidrograma simulado; el historico completo va al almacen.
+ */
+class GaugeNetwork {
+  /**
+   * @param {Object} config - config/gauges.json
+   * @param {SourceHealth} [health]
+   * @param {Object} [opts] - {parseTimestamp, recorder, replay, now} (now: hora
+   *   en ms, virtual durante un simulacro)
+   */
+  constructor(config, health, opts) {
+    opts = opts || {};
+    config = config || {};
+    this.health = health || null;
+    this.parseTimestamp = opts.parseTimestamp || (ts => { const t = Date.parse(ts); return isNaN(t) ? null : t; });
+    this.recorder = opts.recorder || null;
+    this.replay = opts.replay || null;
+    this.now = opts.now || Date.now;
+    this.historyHours = 72;
+    this.matchToleranceMinutes = 15;  // lectura aislada mas cercana
+    this.maxGapMinutes = 60;          // hueco maximo para interpolar entre lecturas
+    this.maxFutureMinutes = 5;        // desfase de reloj admitido en lecturas
+    this.biasTolerance = 10;          // % de sesgo considerado ajustado
+    this.minPairs = 4;
+
+    this.feeds = (config.feeds || []).map(cfg => {
+      const adapter = new GaugeFeedAdapter(cfg);
+      adapter.enabled = cfg.enabled !== false && (this.replay ? this.replay.covers(adapter) : adapter.ready());
+      if (this.health) {
+        adapter.feeds().forEach(feed => this.health.register(feed.name, {
+          label: feed.label, maxAgeMinutes: feed.maxAgeMinutes, enabled: adapter.enabled
+        }));
+      }
+      return adapter;
+    });
+
+    this.gauges = new Map();
+    for (const g of config.gauges || []) {
+      let curve = null, curveError = null;
+      if (g.ratingCurve) {
+        try {
+          curve = new RatingCurve(g.ratingCurve);
+        } catch (err) {
+          curveError = err.message;
+          console.error('[GAUGE] Curva de gasto de ' + g.id + ': ' + err.message);
+        }
+      }
+      this.gauges.set(g.id, { ...g, curve, curveError, series: [] });
+    }
+  }
+
+  // ==================== INGESTA ====================
+
+  /**
+   * Descarga los feeds activos y reparte las lecturas entre sus aforos
+   * @returns {Promise<Array>} registros nuevos (para el almacen)
+   */
+  async poll() {
+    const added = [];
+    for (const adapter of this.feeds.filter(a => a.enabled)) {
+      const readings = await adapter.fetch(this.health, this.recorder,
+        this.replay ? feed => this.replay.raw(feed.name) : null);
+      const gauges = Array.from(this.gauges.values()).filter(g => g.feed === adapter.feedName);
+      // Lo anterior a la ventana en memoria ya se guardo en ciclos previos
+      const cutoff = this.now() - this.historyHours * 3600000;
+      const recent = readings.filter(r => this.parseTimestamp(r.timestamp) >= cutoff);
+      for (const gauge of gauges) {
+        // Sin codigo solo si el feed es de un unico aforo
+        if (!gauge.code && gauges.length > 1) continue;
+        const own = recent.filter(r => !gauge.code || r.code === String(gauge.code));
+        added.push(...this.ingest(gauge.id, own));
+      }
+      const times = readings.map(r => this.parseTimestamp(r.timestamp)).filter(t => t !== null);
+      if (this.health && times.length > 0) this.health.observe(adapter.feedName, Math.max(...times));
+    }
+    return added;
+  }
+
+  /**
+   * true si la lectura tiene fecha posterior a la hora actual (mas el
+   * desfase admitido)
+   */
+  isFuture(reading) {
+    const t = this.parseTimestamp(reading && reading.timestamp);
+    return t !== null && t > this.now() + this.maxFutureMinutes * 60000;
+  }
+
+  /**
+   * Incorpora lecturas {timestamp, stage, discharge} de un aforo. Ignora
+   * fechas ilegibles, futuras y repetidas.
+   * @returns {Array} registros nuevos {timestamp, id, stage, discharge, dischargeSource, extrapolated}
+   */
+  ingest(gaugeId, readings) {
+    const gauge = this.gauges.get(gaugeId);
+    if (!gauge) throw new Error('Aforo desconocido: ' + gaugeId);
+    const known = new Set(gauge.series.map(p => p.t));
+    const cutoff = this.now() - this.historyHours * 3600000;
+    const added = [];
+
+    for (const r of readings || []) {
+      const t = this.parseTimestamp(r.timestamp);
+      if (t === null || known.has(t) || this.isFuture(r)) continue;
+      const stage = typeof r.stage === 'number' && Number.isFinite(r.stage) ? r.stage : null;
+      let discharge = typeof r.discharge === 'number' && Number.isFinite(r.discharge) ? r.discharge : null;
+      // Registros del almacen conservan su origen
+      let dischargeSource = discharge !== null ? (r.dischargeSource || 'observed') : null;
+      let extrapolated = !!r.extrapolated;
+      if (discharge === null && stage !== null && gauge.curve) {
+        const converted = gauge.curve.convert(stage);
+        if (converted) {
+          discharge = converted.discharge;
+          extrapolated = converted.extrapolated;
+          dischargeSource = 'rating';
+        }
+      }
+      if (stage === null && discharge === null) continue;
+      const record = {
+        timestamp: new Date(t).toISOString(),
+        id: gaugeId,
+        stage,
+        discharge,
+        dischargeSource,
+        extrapolated: extrapolated || undefined
+      };
+      known.add(t);
+      added.push(record);
+      if (t >= cutoff) gauge.series.push({ t, ...record });
+    }
+    if (added.length > 0) {
+      gauge.series.sort((a, b) => a.t - b.t);
+      while (gauge.series.length > 0 && gauge.series[0].t < cutoff) gauge.series.shift();
+    }
+    return added;
+  }
+
+  /**
+   * Reconstruye la serie en memoria desde el almacen al arrancar
+   */
+  seed(records) {
+    const byGauge = new Map();
+    for (const r of records) {
+      if (!this.gauges.has(r.id)) continue;
+      if (!byGauge.has(r.id)) byGauge.set(r.id, []);
+      byGauge.get(r.id).push(r);
+    }
+    for (const [id, recs] of byGauge) this.ingest(id, recs);
+  }
+
+  // ==================== CONSULTA ====================
+
+  get(gaugeId) {
+    return this.gauges.get(gaugeId) || null;
+  }
+
+  forBasin(basinId) {
+    return Array.from(this.gauges.values()).filter(g => g.basinId === basinId);
+  }
+
+  /**
+   * Aforo del punto de control de la cuenca (marcado `controlPoint` o el primero)
+   */
+  controlGauge(basinId) {
+    const gauges = this.forBasin(basinId);
+    return gauges.find(g => g.controlPoint) || gauges[0] || null;
+  }
+
+  latest(gaugeId) {
+    const gauge = this.gauges.get(gaugeId);
+    if (!gauge || gauge.series.length === 0) return null;
+    const { t, ...last } = gauge.series[gauge.series.length - 1];
+    return last;
+  }
+
+  /**
+   * Serie en memoria entre from y to (ms o ISO)
+   */
+  observedSeries(gaugeId, from, to) {
+    const gauge = this.gauges.get(gaugeId);
+    if (!gauge) return [];
+    const f = from !== undefined ? new Date(from).getTime() : -Infinity;
+    const e = to !== undefined ? new Date(to).getTime() : Infinity;
+    return gauge.series.filter(p => p.t >= f && p.t <= e).map(({ t, ...p }) => p);
+  }
+
+  /**
+   * Estado publico de un aforo (sin la serie)
+   */
+  describe(gauge) {
+    return {
+      id: gauge.id,
+      name: gauge.name,
+      basinId: gauge.basinId,
+      river: gauge.river || null,
+      lat: gauge.lat,
+      lon: gauge.lon,
+      feed: gauge.feed || null,
+      controlPoint: !!gauge.controlPoint,
+      ratingCurve: gauge.curve ? gauge.curve.type : null,
+      ratingCurveError: gauge.curveError,
+      samples: gauge.series.length,
+      latest: this.latest(gauge.id)
+    };
+  }
+
+  list() {
+    return Array.from(this.gauges.values()).map(g => this.describe(g));
+  }
+
+  // ==================== COMPARACION ====================
+
+  /**
+   * Caudal observado en `t` (ms): interpolado entre lecturas proximas o la
+   * lectura mas cercana dentro de la tolerancia. null si no hay dato.
+   */
+  observedAt(series, t) {
+    let i = 0;
+    while (i < series.length && series[i].t < t) i++;
+    const after = series[i], before = series[i - 1];
+    if (after && after.t === t) return after.discharge;
+    if (before && after && after.t - before.t <= this.maxGapMinutes * 60000) {
+      return before.discharge + (after.discharge - before.discharge) * (t - before.t) / (after.t - before.t);
+    }
+    const tol = this.matchToleranceMinutes * 60000;
+    const near = [before, after].filter(p => p && Math.abs(p.t - t) <= tol)
+      .sort((a, b) => Math.abs(a.t - t) - Math.abs(b.t - t))[0];
+    return near ? near.discharge : null;
+  }
+
+  /**
+   * Caudal simulado frente al observado en el aforo de control, sobre la
+   * parte simulada (no proyectada) del hidrograma compuesto.
+   * @param {Array} hydrograph - compositeHydrograph ({time ISO, flow, projected})
+   * @returns {{points: Array, stats: Object}|null} null si no hay aforo o
+   *   el hidrograma no tiene horas reales
+   */
+  compare(hydrograph, gaugeId) {
+    const gauge = this.gauges.get(gaugeId);
+    if (!gauge || !Array.isArray(hydrograph)) return null;
+    const simulated = hydrograph.filter(h => !h.projected && typeof h.time === 'string');
+    if (simulated.length === 0) return null;
+    const series = gauge.series.filter(p => p.discharge !== null);
+    const round = v => v === null ? null : Math.round(v * 100) / 100;
+
+    const points = simulated.map(h => {
+      const observed = this.observedAt(series, Date.parse(h.time));
+      return { time: h.time, simulated: h.flow, observed: round(observed) };
+    });
+    return { points, stats: this.stats(points.filter(p => p.observed !== null)) };
+  }
+
+  /**
+   * Sesgo, PBIAS, RMSE, NSE y puntas. tendency: over | under | ok
+   * (|PBIAS| <= biasTolerance) | null (pocos pares)
+   */
+  stats(pairs) {
+    const n = pairs.length;
+    if (n === 0) return { n: 0, tendency: null };
+    const sumSim = pairs.reduce((s, p) => s + p.simulated, 0);
+    const sumObs = pairs.reduce((s, p) => s + p.observed, 0);
+    const meanObs = sumObs / n;
+    const sse = pairs.reduce((s, p) => s + (p.simulated - p.observed) ** 2, 0);
+    const sst = pairs.reduce((s, p) => s + (p.observed - meanObs) ** 2, 0);
+    const pbias = sumObs > 0 ? 100 * (sumSim - sumObs) / sumObs : null;
+    const peakSimulated = Math.max(...pairs.map(p => p.simulated));
+    const peakObserved = Math.max(...pairs.map(p => p.observed));
+    const r2 = v => v === null ? null : Math.round(v * 100) / 100;
+
+    let tendency = null;
+    if (n >= this.minPairs) {
+      if (pbias === null) tendency = sumSim / n > 1 ? 'over' : 'ok';
+      else tendency = pbias > this.biasTolerance ? 'over' : pbias < -this.biasTolerance ? 'under' : 'ok';
+    }
+    return {
+      n,
+      meanSimulated: r2(sumSim / n),
+      meanObserved: r2(meanObs),
+      bias: r2((sumSim - sumObs) / n),
+      pbias: r2(pbias),
+      rmse: r2(Math.sqrt(sse / n)),
+      nse: sst > 0 ? r2(1 - sse / sst) : null,
+      peakSimulated: r2(peakSimulated),
+      peakObserved: r2(peakObserved),
+      peakRatio: peakObserved > 0 ? r2(peakSimulated / peakObserved) : null,
+      tendency
+    };
+  }
+}
+
+module.exports = GaugeNetwork;
@@ -0,0 +1,16 @@
+/**
+ * Distancia de circulo maximo (haversine) en km entre dos puntos WGS84.
+ * Compartida por interpolacion, kriging, control de calidad y la fusion de
+ * estaciones co-localizadas.
+ */
+const EARTH_RADIUS_KM = 6371;
+
+function haversine(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = { haversine, EARTH_RADIUS_KM };
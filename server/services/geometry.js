@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Geometria de Cuencas y Subcuencas - HidroAlerta SE
+ *
+ * Carga los poligonos reales desde GeoJSON (config/geometry/ o
+ * GEOMETRY_DIR):
+ *   basins.geojson         - FeatureCollection, properties.id = id de cuenca
+ *   subcatchments.geojson  - FeatureCollection, properties.id = id de subcuenca
+ * Las cuencas o subcuencas sin poligono usan su rectangulo `bounds`.
+ *
+ * Proporciona punto-en-poligono y la fraccion de cada celda de la grilla
+ * de interpolacion que cae dentro del poligono (mascara ponderada).
+ * Coordenadas GeoJSON en [lon, lat].
+ */
+class Geometry {
+  constructor(dir) {
+    this.dir = dir || path.join(__dirname, '../config/geometry');
+    this.samples = 4;               // submuestras por lado para la fraccion de celda
+    this.masks = new WeakMap();     // geometria -> {clave de grilla -> pesos}
+  }
+
+  /**
+   * Poligonos por id de un FeatureCollection. Un fichero ilegible o un
+   * poligono mal formado no impide arrancar: se registra y esas cuencas
+   * siguen con su rectangulo `bounds`.
+   */
+  readCollection(file) {
+    const full = path.join(this.dir, file);
+    const byId = new Map();
+    if (!fs.existsSync(full)) return byId;
+    let fc;
+    try {
+      fc = JSON.parse(fs.readFileSync(full, 'utf8'));
+    } catch (err) {
+      console.error('[GEOMETRY] Error leyendo ' + full + ', se usan rectangulos bounds:', err.message);
+      return byId;
+    }
+    for (const f of (fc && fc.features) || []) {
+      const id = f && f.properties && f.properties.id;
+      if (!id || !f.geometry) continue;
+      if (f.geometry.type !== 'Polygon' && f.geometry.type !== 'MultiPolygon') continue;
+      if (!this.isValid(f.geometry)) {
+        console.error('[GEOMETRY] Poligono invalido para ' + id + ' en ' + file + ', se usa su rectangulo bounds');
+        continue;
+      }
+      byId.set(id, f.geometry);
+    }
+    return byId;
+  }
+
+  /**
+   * Anillos exteriores con al menos 4 vertices [lon, lat] numericos
+   */
+  isValid(geometry) {
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) return false;
+    return this.polygons(geometry).every(poly => Array.isArray(poly) && Array.isArray(poly[0]) &&
+      poly[0].length >= 4 && poly[0].every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1])));
+  }
+
+  /**
+   * Asigna `geometry` y `geometrySource` ('geojson' | 'bounds') a cada
+   * cuenca y subcuenca. Con poligono real, `bounds` pasa a ser su envolvente.
+   * @returns {Object} {basins, subcatchments} numero de poligonos cargados
+   */
+  attach(basins) {
+    const basinShapes = this.readCollection('basins.geojson');
+    const subShapes = this.readCollection('subcatchments.geojson');
+    const assign = (item, shapes) => {
+      const shape = shapes.get(item.id);
+      if (shape) {
+        item.geometry = shape;
+        item.geometrySource = 'geojson';
+        item.bounds = this.bbox(shape);
+      } else if (item.bounds) {
+        item.geometry = this.fromBounds(item.bounds);
+        item.geometrySource = 'bounds';
+      }
+      return shape ? 1 : 0;
+    };
+    let nb = 0, ns = 0;
+    for (const basin of basins) {
+      (basin.subcatchments || []).forEach(sub => { ns += assign(sub, subShapes); });
+      nb += assign(basin, basinShapes);
+    }
+    return { basins: nb, subcatchments: ns };
+  }
+
+  fromBounds(b) {
+    return {
+      type: 'Polygon',
+      coordinates: [[[b.west, b.south], [b.east, b.south], [b.east, b.north], [b.west, b.north], [b.west, b.south]]]
+    };
+  }
+
+  polygons(geometry) {
+    return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  }
+
+  bbox(geometry) {
+    const b = { north: -90, south: 90, east: -180, west: 180 };
+    for (const poly of this.polygons(geometry)) {
+      for (const [lon, lat] of poly[0]) {
+        if (lat > b.north) b.north = lat;
+        if (lat < b.south) b.south = lat;
+        if (lon > b.east) b.east = lon;
+        if (lon < b.west) b.west = lon;
+      }
+    }
+    return b;
+  }
+
+  /**
+   * Ray casting sobre un anillo [[lon, lat], ...]
+   */
+  inRing(ring, lat, lon) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  /**
+   * Punto dentro de Polygon/MultiPolygon (respetando huecos)
+   */
+  contains(geometry, lat, lon) {
+    if (!geometry) return false;
+    for (const poly of this.polygons(geometry)) {
+      if (!this.inRing(poly[0], lat, lon)) continue;
+      let inHole = false;
+      for (let h = 1; h < poly.length; h++) {
+        if (this.inRing(poly[h], lat, lon)) { inHole = true; break; }
+      }
+      if (!inHole) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Fraccion (0-1) de la celda centrada en (lat, lon) de lado `res`
+   * grados que cae dentro del poligono
+   */
+  cellFraction(geometry, lat, lon, res) {
+    const n = this.samples;
+    let inside = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        const la = lat - res / 2 + (i + 0.5) * res / n;
+        const lo = lon - res / 2 + (j + 0.5) * res / n;
+        if (this.contains(geometry, la, lo)) inside++;
+      }
+    }
+    return inside / (n * n);
+  }
+
+  /**
+   * Pesos de una grilla de puntos [{lat, lon}] (cacheados por geometria).
+   * Si ningun punto cae dentro (poligono menor que una celda), el punto
+   * mas cercano al centro de la envolvente recibe peso 1.
+   */
+  cellWeights(geometry, grid, res) {
+    let cache = this.masks.get(geometry);
+    if (!cache) { cache = new Map(); this.masks.set(geometry, cache); }
+    const key = res + ':' + grid.length + ':' + (grid[0] ? grid[0].lat + ',' + grid[0].lon : '');
+    if (cache.has(key)) return cache.get(key);
+
+    const weights = grid.map(pt => this.cellFraction(geometry, pt.lat, pt.lon, res));
+    if (grid.length > 0 && weights.every(w => w === 0)) {
+      const b = this.bbox(geometry);
+      const cLat = (b.north + b.south) / 2, cLon = (b.east + b.west) / 2;
+      let best = 0, bestD = Infinity;
+      grid.forEach((pt, i) => {
+        const d = (pt.lat - cLat) ** 2 + (pt.lon - cLon) ** 2;
+        if (d < bestD) { bestD = d; best = i; }
+      });
+      weights[best] = 1;
+    }
+    cache.set(key, weights);
+    return weights;
+  }
+
+  toFeature(item, properties) {
+    return {
+      type: 'Feature',
+      id: item.id,
+      geometry: item.geometry || (item.bounds ? this.fromBounds(item.bounds) : null),
+      properties: { id: item.id, name: item.name, geometrySource: item.geometrySource || 'bounds', ...properties }
+    };
+  }
+}
+
+module.exports = Geometry;
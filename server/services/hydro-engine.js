@@ -10,6 +10,13 @@
  */
 
 class HydroEngine {
+  /**
+   * @param {Object} [opts] - {now: () => ms}, reloj de los resultados y de
+   *   la estacion AMC (el de la reproduccion durante un simulacro)
+   */
+  constructor(opts) {
+    this.now = (opts && opts.now) || Date.now;
+  }
 
   /**
    * Formula de Temez: tc = 0.3 * (L / S^0.25)^0.76 (horas)
@@ -31,6 +38,42 @@ class HydroEngine {
     return Math.pow(P - Ia, 2) / (P + 0.8 * S);
   }
 
+  /**
+   * Condicion de humedad antecedente (NRCS NEH-4, tabla 4.2) a partir de
+   * la lluvia de los 5 dias previos (mm). Umbrales distintos para la
+   * estacion de crecimiento vegetativo (abril-septiembre) y la de reposo.
+   */
+  antecedentMoistureClass(p5, month) {
+    const growing = month >= 4 && month <= 9;
+    const dry = growing ? 35.6 : 12.7;
+    const wet = growing ? 53.3 : 27.9;
+    if (p5 < dry) return 'I';
+    if (p5 > wet) return 'III';
+    return 'II';
+  }
+
+  /**
+   * Conversion del CN (AMC II) a AMC I / III:
+   *   CN(I) = 4.2*CN / (10 - 0.058*CN),  CN(III) = 23*CN / (10 + 0.13*CN)
+   */
+  adjustCurveNumber(cn, amc) {
+    if (amc === 'I') return Math.round(4.2 * cn / (10 - 0.058 * cn) * 10) / 10;
+    if (amc === 'III') return Math.round(Math.min(23 * cn / (10 + 0.13 * cn), 99) * 10) / 10;
+    return cn;
+  }
+
+  /**
+   * CN en uso para una subcuenca segun su lluvia antecedente (mm).
+   * Sin dato antecedente se mantiene el CN de basins.json (AMC II).
+   * `time` (por defecto this.now()) fija el mes de la estacion de crecimiento.
+   */
+  resolveCurveNumber(sub, antecedentPrecip, time) {
+    const amc = antecedentPrecip === undefined || antecedentPrecip === null
+      ? 'II'
+      : this.antecedentMoistureClass(antecedentPrecip, new Date(time || this.now()).getMonth() + 1);
+    return { amc, cnAdjusted: this.adjustCurveNumber(sub.cn, amc) };
+  }
+
   /**
    * Racional Modificado: Q = C * I * A / 3.6 (m3/s)
    */
@@ -53,23 +96,20 @@ class HydroEngine {
   /**
    * Hidrograma Unitario de Clark
    * Curva tiempo-area parabolica + embalse lineal
+   * Pe: escorrentia efectiva (mm) como pulso instantaneo, o serie de
+   *     incrementos por paso (hietograma efectivo) que se convoluciona
    * dt: paso temporal en horas (default 0.25 = 15 min)
    */
   clarkUnitHydrograph(sub, Pe, dt) {
     dt = dt || 0.25;
+    if (Array.isArray(Pe)) return this.convolveHyetograph(sub, Pe, dt);
     const tc = this.calculateTc(sub);
     const R = sub.storageCoeff || tc * 0.7;
     const totalTime = tc + R * 4;
     const nSteps = Math.ceil(totalTime / dt);
     const C1 = dt / (R + 0.5 * dt);
     const C2 = 1 - C1;
-
-    // Curva tiempo-area parabolica (S-curve)
-    const taf = (f) => {
-      if (f <= 0) return 0;
-      if (f >= 1) return 1;
-      return f <= 0.5 ? 2*f*f : 1 - 2*(1-f)*(1-f);
-    };
+    const taf = (f) => this.timeAreaFraction(f);
 
     // Fase 1: inflow desde curva tiempo-area
     const inflow = [];
@@ -96,10 +136,131 @@ class HydroEngine {
     return hydrograph;
   }
 
+  /**
+   * Curva tiempo-area parabolica (S-curve): fraccion de area que
+   * contribuye a la salida para t/tc = f
+   */
+  timeAreaFraction(f) {
+    if (f <= 0) return 0;
+    if (f >= 1) return 1;
+    return f <= 0.5 ? 2*f*f : 1 - 2*(1-f)*(1-f);
+  }
+
+  /**
+   * Histograma tiempo-area de Clark: fraccion de la escorrentia generada
+   * en un paso que llega al embalse lineal en cada paso posterior.
+   * Las ordenadas suman 1.
+   */
+  clarkTimeArea(sub, dt) {
+    const tc = this.calculateTc(sub);
+    const n = Math.max(1, Math.ceil(tc / dt));
+    const ordinates = [];
+    for (let k = 0; k < n; k++) {
+      ordinates.push(this.timeAreaFraction((k + 1) * dt / tc) - this.timeAreaFraction(k * dt / tc));
+    }
+    return ordinates;
+  }
+
+  /**
+   * Convolucion de un hietograma efectivo (mm por paso) con el hidrograma
+   * unitario de Clark de 1 mm: Q[n] = sum_k Pe[k] * HU[n-k]
+   */
+  convolveHyetograph(sub, peSeries, dt) {
+    const uh = this.clarkUnitHydrograph(sub, 1, dt).map(h => h.flow);
+    const n = peSeries.length + uh.length - 1;
+    const hydrograph = [];
+    for (let i = 0; i < n; i++) {
+      let q = 0;
+      for (let k = Math.max(0, i - uh.length + 1); k <= Math.min(i, peSeries.length - 1); k++) {
+        q += peSeries[k] * uh[i - k];
+      }
+      hydrograph.push({ time: Math.round(i * dt * 100) / 100, flow: Math.max(0, q) });
+    }
+    return hydrograph;
+  }
+
+  // ============================================================
+  //  HIETOGRAMAS
+  // ============================================================
+
+  /**
+   * Perdidas SCS-CN incrementales: para un hietograma (mm por paso)
+   * devuelve la escorrentia efectiva de cada paso como diferencia de
+   * la escorrentia acumulada, Pe[k] = Pe(sum P[0..k]) - Pe(sum P[0..k-1])
+   */
+  excessHyetograph(rainSeries, cn) {
+    let cumP = 0, cumPe = 0;
+    return rainSeries.map(p => {
+      cumP += Math.max(0, p || 0);
+      const next = this.scsCurveNumber(cumP, cn);
+      const pe = next - cumPe;
+      cumPe = next;
+      return pe;
+    });
+  }
+
+  /**
+   * Curva IDF de la Instruccion 5.2-IC (MOPU):
+   *   I(t) = Id * (I1/Id)^((28^0.1 - t^0.1) / (28^0.1 - 1))
+   * Id = Pd/24 (mm/h), Pd: precipitacion diaria de diseno, t en horas.
+   */
+  idfIntensity(Pd, I1Id, t) {
+    const Id = Pd / 24;
+    const exp = (Math.pow(28, 0.1) - Math.pow(t, 0.1)) / (Math.pow(28, 0.1) - 1);
+    return Id * Math.pow(I1Id, exp);
+  }
+
+  /**
+   * Tormenta de diseno por bloques alternos a partir de la IDF.
+   * @param {Object} opts - {Pd, I1Id (11 por defecto, sureste), duration (h),
+   *   dt (h), peakPosition (0-1, 0.5 = centrada)}
+   * @returns {Array<number>} mm por paso
+   */
+  alternatingBlockStorm(opts) {
+    const dt = opts.dt || 0.25;
+    const I1Id = opts.I1Id || 11;
+    const n = Math.max(1, Math.round((opts.duration || 6) / dt));
+    const peakPosition = opts.peakPosition === undefined ? 0.5 : opts.peakPosition;
+
+    // Bloques: incremento de la lluvia acumulada de la IDF, de mayor a menor
+    const blocks = [];
+    let prev = 0;
+    for (let k = 1; k <= n; k++) {
+      const P = this.idfIntensity(opts.Pd, I1Id, k * dt) * k * dt;
+      blocks.push(P - prev);
+      prev = P;
+    }
+
+    // Colocacion alterna alrededor del pico
+    const storm = new Array(n).fill(0);
+    const peakIdx = Math.min(n - 1, Math.floor(peakPosition * n));
+    let left = peakIdx, right = peakIdx + 1, takeRight = false;
+    storm[peakIdx] = blocks[0];
+    for (let b = 1; b < n; b++) {
+      if ((takeRight && right < n) || left <= 0) storm[right++] = blocks[b];
+      else storm[--left] = blocks[b];
+      takeRight = !takeRight;
+    }
+    return storm.map(p => Math.round(p * 100) / 100);
+  }
+
   // ============================================================
   //  TRANSITO MUSKINGUM
   // ============================================================
 
+  /**
+   * Coeficientes Muskingum de un tramo (null si K, X, dt no son validos)
+   */
+  muskingumCoefficients(K, X, dt) {
+    const denom = K - K * X + 0.5 * dt;
+    if (denom <= 0) return null;
+    return {
+      C0: (-K * X + 0.5 * dt) / denom,
+      C1: (K * X + 0.5 * dt) / denom,
+      C2: (K - K * X - 0.5 * dt) / denom
+    };
+  }
+
   /**
    * Propaga un hidrograma por un tramo de cauce usando Muskingum.
    * K: tiempo de transito del tramo (horas)
@@ -121,11 +282,9 @@ class HydroEngine {
     let current = hydrograph.map(h => h.flow);
 
     for (let r = 0; r < reaches; r++) {
-      const denom = K - K * X + 0.5 * dt;
-      if (denom <= 0) continue;
-      const C0 = (-K * X + 0.5 * dt) / denom;
-      const C1 = (K * X + 0.5 * dt) / denom;
-      const C2 = (K - K * X - 0.5 * dt) / denom;
+      const coef = this.muskingumCoefficients(K, X, dt);
+      if (!coef) continue;
+      const { C0, C1, C2 } = coef;
 
       const routed = [current[0]];
       for (let i = 1; i < current.length; i++) {
@@ -148,21 +307,38 @@ class HydroEngine {
   /**
    * Calcula hidrograma de UNA subcuenca con su precipitacion local.
    * @param {Object} sub - subcuenca con cn, area, tc, slope, etc.
-   * @param {number} precip - precipitacion local (mm) de interpolacion espacial
-   * @param {number} intensity - intensidad maxima local (mm/h)
+   * @param {number|Array<number>} precip - precipitacion local (mm) de
+   *   interpolacion espacial, o hietograma (mm por paso de 15 min) medido
+   *   o de diseno, con perdidas SCS-CN incrementales
+   * @param {number} intensity - intensidad maxima local (mm/h); con
+   *   hietograma, por defecto la del bloque maximo
+   * @param {number} [antecedentPrecip] - lluvia de los 5 dias previos (mm);
+   *   sin ella se usa el CN de basins.json (AMC II)
    * @returns {Object} resultado con hidrograma y caudal punta
    */
-  calculateSubcatchment(sub, precip, intensity) {
+  calculateSubcatchment(sub, precip, intensity, antecedentPrecip) {
     const dt = 0.25; // 15 min
     const tc = this.calculateTc(sub);
-    const Pe = this.scsCurveNumber(precip, sub.cn);
-    const Qrational = this.rationalMethod(sub, intensity);
+    const { amc, cnAdjusted } = this.resolveCurveNumber(sub, antecedentPrecip);
+    const hyetograph = Array.isArray(precip) ? precip : null;
+    let Pe, excess = null;
+    if (hyetograph) {
+      excess = this.excessHyetograph(hyetograph, cnAdjusted);
+      Pe = excess.reduce((a, b) => a + b, 0);
+      precip = Math.round(hyetograph.reduce((a, b) => a + b, 0) * 10) / 10;
+      if (intensity === undefined || intensity === null) {
+        intensity = Math.max(0, ...hyetograph) / dt;
+      }
+    } else {
+      Pe = this.scsCurveNumber(precip, cnAdjusted);
+    }
+    const Qrational = this.rationalMethod({ ...sub, cn: cnAdjusted }, intensity);
 
     let hydrograph = [];
     let Qpeak = 0;
 
     if (Pe > 0) {
-      hydrograph = this.clarkUnitHydrograph(sub, Pe, dt);
+      hydrograph = this.clarkUnitHydrograph(sub, excess || Pe, dt);
       Qpeak = Math.max(...hydrograph.map(h => h.flow));
     }
 
@@ -175,9 +351,13 @@ class HydroEngine {
       area: sub.area,
       tc,
       cn: sub.cn,
+      amc,
+      cnAdjusted,
+      antecedentPrecip: antecedentPrecip === undefined ? null : antecedentPrecip,
       precipitation: precip,
       intensity,
       effectiveRainfall: Pe,
+      hyetograph,
       rationalFlow: Math.round(Qrational * 10) / 10,
       clarkPeakFlow: Math.round(Qpeak * 10) / 10,
       peakFlow: Math.round(peakFlow * 10) / 10,
@@ -201,7 +381,7 @@ class HydroEngine {
    * Finalmente superpone todos los hidrogramas propagados.
    *
    * @param {Object} basin - cuenca con subcatchments[]
-   * @param {Object} subcatchmentPrecip - {subId: {precip, intensity}}
+   * @param {Object} subcatchmentPrecip - {subId: {precip, intensity, hyetograph?}}
    * @returns {Object} resultado completo con hidrograma agregado
    */
   calculateBasinDistributed(basin, subcatchmentPrecip) {
@@ -221,7 +401,11 @@ class HydroEngine {
 
     for (const sub of subs) {
       const pData = subcatchmentPrecip[sub.id] || { precip: 0, intensity: 0 };
-      const result = this.calculateSubcatchment(sub, pData.precip, pData.intensity);
+      const result = this.calculateSubcatchment(
+        sub, pData.hyetograph || pData.precip, pData.intensity, pData.antecedentPrecip
+      );
+      result.accumulations = pData.accumulations || null;
+      result.precipUncertainty = pData.uncertainty || null;
 
       // 2. Propagar al punto de control
       if (result.hydrograph.length > 0 && sub.routingToOutlet) {
@@ -286,9 +470,14 @@ class HydroEngine {
           ? Math.round(Math.max(...sr.routedHydrograph.map(h => h.flow)) * 10) / 10
           : 0,
         tc: sr.tc,
-        cn: sr.cn
+        cn: sr.cn,
+        amc: sr.amc,
+        cnAdjusted: sr.cnAdjusted,
+        antecedentPrecip: sr.antecedentPrecip,
+        accumulations: sr.accumulations,
+        precipUncertainty: sr.precipUncertainty
       })),
-      timestamp: new Date().toISOString()
+      timestamp: new Date(this.now()).toISOString()
     };
   }
 
@@ -323,7 +512,7 @@ class HydroEngine {
       subcatchmentResults: [],
       tc,
       effectiveRainfall: Pe,
-      timestamp: new Date().toISOString()
+      timestamp: new Date(this.now()).toISOString()
     };
   }
 
@@ -354,7 +543,7 @@ class HydroEngine {
       peakFlow,
       hydrograph,
       method: Qr > Qc ? 'rational' : 'clark',
-      timestamp: new Date().toISOString()
+      timestamp: new Date(this.now()).toISOString()
     };
   }
 }
@@ -0,0 +1,222 @@
+const { haversine } = require('./geo-distance');
+
+/**
+ * Kriging Ordinario - HidroAlerta SE
+ *
+ * 1. Semivariograma experimental de las estaciones (clases de distancia).
+ * 2. Ajuste automatico de un modelo esferico y otro exponencial
+ *    (nugget + sill * f(h / rango)); nugget y sill por minimos cuadrados
+ *    ponderados por numero de pares para cada rango candidato, y se queda
+ *    el modelo con menor error.
+ * 3. Sistema de kriging ordinario (con multiplicador de Lagrange)
+ *    factorizado una vez por conjunto de estaciones; cada punto devuelve
+ *    estimacion y varianza de kriging.
+ *
+ * Distancias en km (haversine).
+ */
+class Kriging {
+  constructor() {
+    this.lags = 12;
+    this.maxDistance = 100;     // km, alcance del variograma experimental
+    this.minPairs = 6;          // pares minimos por clase
+    this.maxPoints = 150;       // estaciones maximas por sistema
+    this.models = ['spherical', 'exponential'];
+  }
+
+  /**
+   * Agrupa estaciones en la misma posicion (matriz singular) promediando
+   */
+  dedupe(points, field) {
+    const byPos = new Map();
+    for (const p of points) {
+      const v = p[field];
+      if (v === null || v === undefined || !Number.isFinite(v)) continue;
+      const key = p.lat.toFixed(4) + ',' + p.lon.toFixed(4);
+      const acc = byPos.get(key) || { lat: p.lat, lon: p.lon, sum: 0, n: 0 };
+      acc.sum += v;
+      acc.n++;
+      byPos.set(key, acc);
+    }
+    return Array.from(byPos.values()).map(a => ({ lat: a.lat, lon: a.lon, value: a.sum / a.n }));
+  }
+
+  /**
+   * Semivariograma experimental: [{h, gamma, pairs}]
+   */
+  experimentalVariogram(points) {
+    const width = this.maxDistance / this.lags;
+    const bins = Array.from({ length: this.lags }, () => ({ sumH: 0, sumG: 0, pairs: 0 }));
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const h = haversine(points[i].lat, points[i].lon, points[j].lat, points[j].lon);
+        if (h >= this.maxDistance) continue;
+        const b = bins[Math.floor(h / width)];
+        b.sumH += h;
+        b.sumG += 0.5 * (points[i].value - points[j].value) ** 2;
+        b.pairs++;
+      }
+    }
+    return bins
+      .filter(b => b.pairs >= this.minPairs)
+      .map(b => ({ h: b.sumH / b.pairs, gamma: b.sumG / b.pairs, pairs: b.pairs }));
+  }
+
+  shape(type, h, range) {
+    if (h <= 0) return 0;
+    if (type === 'spherical') {
+      if (h >= range) return 1;
+      const r = h / range;
+      return 1.5 * r - 0.5 * r * r * r;
+    }
+    // exponencial con rango practico (95 % del sill)
+    return 1 - Math.exp(-3 * h / range);
+  }
+
+  gamma(variogram, h) {
+    if (h <= 0) return 0;
+    return variogram.nugget + variogram.sill * this.shape(variogram.type, h, variogram.range);
+  }
+
+  /**
+   * Ajusta el variograma de un campo de las estaciones.
+   * @returns {Object|null} {type, nugget, sill, range, sse, experimental} o null
+   *   si no hay pares/varianza suficientes (se usara IDW)
+   */
+  fit(stations, field) {
+    const points = this.dedupe(stations, field);
+    if (points.length < 5) return null;
+    const experimental = this.experimentalVariogram(points);
+    if (experimental.length < 3) return null;
+    const maxGamma = Math.max(...experimental.map(e => e.gamma));
+    if (maxGamma <= 1e-6) return null;
+
+    let best = null;
+    const hMax = experimental[experimental.length - 1].h;
+    for (const type of this.models) {
+      for (let k = 1; k <= 40; k++) {
+        const range = hMax * 1.5 * k / 40;
+        // gamma = nugget + sill * f: minimos cuadrados ponderados en (nugget, sill)
+        let sw = 0, sf = 0, sff = 0, sg = 0, sfg = 0;
+        for (const e of experimental) {
+          const f = this.shape(type, e.h, range);
+          const w = e.pairs;
+          sw += w; sf += w * f; sff += w * f * f; sg += w * e.gamma; sfg += w * f * e.gamma;
+        }
+        const det = sw * sff - sf * sf;
+        if (Math.abs(det) < 1e-12) continue;
+        let nugget = (sg * sff - sf * sfg) / det;
+        let sill = (sw * sfg - sf * sg) / det;
+        if (nugget < 0) { nugget = 0; sill = sff > 0 ? sfg / sff : 0; }
+        if (sill <= 0) continue;
+        let sse = 0;
+        for (const e of experimental) {
+          sse += e.pairs * (nugget + sill * this.shape(type, e.h, range) - e.gamma) ** 2;
+        }
+        if (!best || sse < best.sse) best = { type, nugget, sill, range, sse };
+      }
+    }
+    if (!best) return null;
+    const round = v => Math.round(v * 1000) / 1000;
+    return {
+      type: best.type,
+      nugget: round(best.nugget),
+      sill: round(best.sill),
+      range: round(best.range),
+      sse: round(best.sse),
+      stations: points.length,
+      experimental: experimental.map(e => ({ h: round(e.h), gamma: round(e.gamma), pairs: e.pairs }))
+    };
+  }
+
+  /**
+   * Sistema de kriging ordinario para un conjunto de estaciones.
+   * @returns {Object|null} predictor para predict()
+   */
+  prepare(stations, field, variogram, center) {
+    if (!variogram) return null;
+    let points = this.dedupe(stations, field);
+    if (points.length < 3) return null;
+    if (points.length > this.maxPoints && center) {
+      points = points
+        .map(p => ({ ...p, d: haversine(center.lat, center.lon, p.lat, p.lon) }))
+        .sort((a, b) => a.d - b.d)
+        .slice(0, this.maxPoints);
+    }
+    const n = points.length;
+    const size = n + 1;
+    const A = [];
+    for (let i = 0; i < size; i++) {
+      const row = new Float64Array(size);
+      for (let j = 0; j < size; j++) {
+        if (i === n || j === n) row[j] = i === n && j === n ? 0 : 1;
+        else row[j] = this.gamma(variogram, haversine(points[i].lat, points[i].lon, points[j].lat, points[j].lon));
+      }
+      A.push(row);
+    }
+    const lu = this.luDecompose(A);
+    return lu ? { points, variogram, lu, n } : null;
+  }
+
+  /**
+   * Estimacion y varianza de kriging en (lat, lon). La estimacion no se
+   * recorta a >= 0 (los residuos del kriging con tendencia son negativos)
+   */
+  predict(predictor, lat, lon) {
+    const { points, variogram, lu, n } = predictor;
+    const b = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) b[i] = this.gamma(variogram, haversine(lat, lon, points[i].lat, points[i].lon));
+    b[n] = 1;
+    const w = this.luSolve(lu, b);
+    let value = 0, variance = w[n];
+    for (let i = 0; i < n; i++) {
+      value += w[i] * points[i].value;
+      variance += w[i] * b[i];
+    }
+    return { value, variance: Math.max(0, variance) };
+  }
+
+  // ==================== ALGEBRA ====================
+
+  /**
+   * Factorizacion LU con pivoteo parcial (in situ)
+   */
+  luDecompose(A) {
+    const n = A.length;
+    const perm = Array.from({ length: n }, (_, i) => i);
+    for (let k = 0; k < n; k++) {
+      let p = k, max = Math.abs(A[k][k]);
+      for (let i = k + 1; i < n; i++) {
+        if (Math.abs(A[i][k]) > max) { max = Math.abs(A[i][k]); p = i; }
+      }
+      if (max < 1e-12) return null;
+      if (p !== k) {
+        [A[k], A[p]] = [A[p], A[k]];
+        [perm[k], perm[p]] = [perm[p], perm[k]];
+      }
+      for (let i = k + 1; i < n; i++) {
+        const f = A[i][k] / A[k][k];
+        A[i][k] = f;
+        for (let j = k + 1; j < n; j++) A[i][j] -= f * A[k][j];
+      }
+    }
+    return { A, perm };
+  }
+
+  luSolve({ A, perm }, b) {
+    const n = A.length;
+    const x = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      let s = b[perm[i]];
+      for (let j = 0; j < i; j++) s -= A[i][j] * x[j];
+      x[i] = s;
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      let s = x[i];
+      for (let j = i + 1; j < n; j++) s -= A[i][j] * x[j];
+      x[i] = s / A[i][i];
+    }
+    return x;
+  }
+}
+
+module.exports = Kriging;
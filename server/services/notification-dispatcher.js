@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+/**
+ * Despachador de Notificaciones - HidroAlerta SE
+ *
+ * Reenvia las transiciones de AlertEngine ('transition') a canales
+ * externos: webhooks HTTP, correo SMTP y bots tipo Telegram.
+ *
+ * - Suscripciones por destinatario: cuencas ('*' = todas), nivel minimo
+ *   y tipos de transicion.
+ * - Reintentos con espera exponencial (baseDelayMs * 2^n).
+ * - Deduplicacion por destinatario, canal, alerta y numero de transicion
+ *   (`seq`): una misma transicion no se reenvia aunque se repita el evento. Con
+ *   `stateFile` los envios de las ultimas `dedupHours` se guardan en disco
+ *   y sobreviven a un reinicio; sin el, un evento repetido tras reiniciar
+ *   se vuelve a enviar.
+ *
+ * Todos los extremos (URL de webhook, servidor SMTP, API del bot) son
+ * configurables para poder probar contra servidores locales. Los eventos de
+ * un simulacro (`simulation`) llevan [SIMULACRO] en el asunto y el texto.
+ */
+
+const LEVELS = ['green', 'yellow', 'orange', 'red'];
+const DEFAULT_EVENTS = ['new', 'escalated', 'downgraded', 'ended'];
+const TYPE_NAMES = {
+  new: 'Nueva alerta',
+  escalated: 'Alerta elevada',
+  downgraded: 'Alerta rebajada',
+  ended: 'Fin de alerta'
+};
+
+class NotificationDispatcher {
+  /**
+   * @param {Object} opts - {recipients, smtp, telegram, retry: {attempts, baseDelayMs},
+   *                        timeoutMs, dedupHours, enabled, stateFile}
+   */
+  constructor(opts) {
+    opts = opts || {};
+    this.recipients = opts.recipients || [];
+    this.smtp = opts.smtp || null;
+    this.telegram = opts.telegram || {};
+    this.retry = { attempts: 4, baseDelayMs: 2000, ...(opts.retry || {}) };
+    this.timeoutMs = opts.timeoutMs || 10000;
+    this.dedupHours = opts.dedupHours || 24;
+    this.enabled = opts.enabled !== false;
+    this.sent = new Map();      // clave de deduplicacion -> ms de envio
+    this.stateFile = opts.stateFile || null;
+    this.saving = Promise.resolve();
+    this.log = [];
+    this.transport = null;
+    this.senders = {
+      webhook: (channel, event) => this.sendWebhook(channel, event),
+      email: (channel, event) => this.sendEmail(channel, event),
+      telegram: (channel, event) => this.sendTelegram(channel, event)
+    };
+    this.loadSent();
+  }
+
+  /**
+   * Configuracion desde config/notifications.json (o NOTIFICATIONS_CONFIG)
+   * y variables de entorno SMTP_* / TELEGRAM_*
+   * @param {Object} [env]
+   * @param {Object} [opts] - opciones del servidor (stateFile)
+   */
+  static fromEnv(env, opts) {
+    env = env || process.env;
+    const file = env.NOTIFICATIONS_CONFIG || path.join(__dirname, '../config/notifications.json');
+    let config = {};
+    if (fs.existsSync(file)) config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new NotificationDispatcher({
+      ...config,
+      smtp: env.SMTP_HOST ? {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+        from: env.SMTP_FROM || 'hidroalerta@localhost'
+      } : null,
+      telegram: {
+        apiUrl: env.TELEGRAM_API_URL || 'https://api.telegram.org',
+        token: env.TELEGRAM_BOT_TOKEN || null
+      },
+      enabled: env.NOTIFICATIONS_ENABLED !== 'false',
+      ...(opts || {})
+    });
+  }
+
+  // ==================== DEDUPLICACION ====================
+
+  loadSent() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      Object.entries(data).forEach(([key, t]) => this.sent.set(key, t));
+      this.pruneDedup(Date.now());
+    } catch (err) {
+      console.error('[NOTIFY] Error leyendo envios previos:', err.message);
+    }
+  }
+
+  /**
+   * Guarda los envios en curso y hechos (escrituras en serie)
+   */
+  saveSent() {
+    if (!this.stateFile) return this.saving;
+    const data = JSON.stringify(Object.fromEntries(this.sent)) + '\n';
+    this.saving = this.saving
+      .then(() => fs.promises.writeFile(this.stateFile, data))
+      .catch(err => console.error('[NOTIFY] Error guardando envios:', err.message));
+    return this.saving;
+  }
+
+  /**
+   * Destinatarios suscritos a un evento de transicion
+   */
+  matches(recipient, event) {
+    const basins = recipient.basins || ['*'];
+    if (!basins.includes('*') && !basins.includes(event.basinId)) return false;
+    if (!(recipient.events || DEFAULT_EVENTS).includes(event.type)) return false;
+    // Rebajas y fin se comparan con el nivel maximo alcanzado: quien
+    // recibio la alerta recibe tambien su cierre
+    const level = event.type === 'new' || event.type === 'escalated' ? event.level : event.peakLevel;
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(recipient.minLevel || 'yellow');
+  }
+
+  /**
+   * Una transicion se identifica por su numero dentro de la alerta (`seq`):
+   * una escalada que se repite tras una rebaja es otra transicion
+   */
+  dedupKey(recipient, index, event) {
+    const transition = event.seq !== undefined ? event.seq : event.type + '|' + event.level;
+    return [recipient.id, index, event.alertId, transition].join('|');
+  }
+
+  /**
+   * Reparte un evento entre los canales suscritos. No espera a los envios:
+   * devuelve la promesa de todas las entregas (util para pruebas).
+   */
+  handle(event) {
+    if (!this.enabled) return Promise.resolve([]);
+    this.pruneDedup(Date.now());
+    const deliveries = [];
+    for (const recipient of this.recipients) {
+      if (!this.matches(recipient, event)) continue;
+      (recipient.channels || []).forEach((channel, index) => {
+        const key = this.dedupKey(recipient, index, event);
+        if (this.sent.has(key)) return;
+        this.sent.set(key, Date.now());
+        deliveries.push(this.deliver(recipient, channel, event, key));
+      });
+    }
+    if (deliveries.length > 0) this.saveSent();
+    return Promise.all(deliveries);
+  }
+
+  /**
+   * Envio con reintentos y espera exponencial
+   */
+  async deliver(recipient, channel, event, key) {
+    const sender = this.senders[channel.type];
+    const entry = {
+      recipient: recipient.id,
+      channel: channel.type,
+      alertId: event.alertId,
+      type: event.type,
+      level: event.level,
+      attempts: 0,
+      status: 'pending',
+      error: null,
+      timestamp: new Date().toISOString()
+    };
+    this.record(entry);
+    if (!sender) {
+      entry.status = 'failed';
+      entry.error = 'Canal desconocido: ' + channel.type;
+      return entry;
+    }
+
+    for (let attempt = 0; attempt < this.retry.attempts; attempt++) {
+      entry.attempts = attempt + 1;
+      try {
+        await sender(channel, event);
+        entry.status = 'sent';
+        entry.error = null;
+        return entry;
+      } catch (err) {
+        entry.error = err.message;
+        if (attempt < this.retry.attempts - 1) {
+          await new Promise(resolve => setTimeout(resolve, this.retry.baseDelayMs * Math.pow(2, attempt)));
+        }
+      }
+    }
+    entry.status = 'failed';
+    // Permitir que un evento repetido vuelva a intentarlo
+    this.sent.delete(key);
+    this.saveSent();
+    console.error('[NOTIFY] Fallo enviando ' + event.alertId + ' a ' + recipient.id +
+      ' (' + channel.type + '): ' + entry.error);
+    return entry;
+  }
+
+  record(entry) {
+    this.log.push(entry);
+    if (this.log.length > 1000) this.log = this.log.slice(-500);
+  }
+
+  pruneDedup(nowMs) {
+    const cutoff = nowMs - this.dedupHours * 3600000;
+    for (const [key, t] of this.sent) if (t < cutoff) this.sent.delete(key);
+  }
+
+  subject(event) {
+    return (event.simulation ? '[SIMULACRO] ' : '') + '[HidroAlerta] ' + TYPE_NAMES[event.type] + ' ' +
+      event.level.toUpperCase() + ' - ' + event.basinName;
+  }
+
+  text(event) {
+    return this.subject(event) + '\n' +
+      event.message + '\n' +
+      'Nivel: ' + event.previousLevel + ' -> ' + event.level +
+      ' (maximo ' + event.peakLevel + ')\n' +
+      'Inicio: ' + event.onset + '\n' +
+      'Hora: ' + event.timestamp + '\n' +
+      'Id: ' + event.alertId;
+  }
+
+  // ==================== CANALES ====================
+
+  sendWebhook(channel, event) {
+    return axios.post(channel.url, { source: 'hidroalerta-se', event }, {
+      headers: channel.headers || {},
+      timeout: this.timeoutMs
+    });
+  }
+
+  sendEmail(channel, event) {
+    if (!this.smtp) return Promise.reject(new Error('SMTP no configurado'));
+    if (!this.transport) {
+      const { from, ...transportOpts } = this.smtp;
+      this.transport = nodemailer.createTransport({
+        ...transportOpts,
+        connectionTimeout: this.timeoutMs,
+        greetingTimeout: this.timeoutMs,
+        socketTimeout: this.timeoutMs
+      });
+    }
+    return this.transport.sendMail({
+      from: this.smtp.from,
+      to: channel.to,
+      subject: this.subject(event),
+      text: this.text(event)
+    });
+  }
+
+  sendTelegram(channel, event) {
+    const apiUrl = channel.apiUrl || this.telegram.apiUrl;
+    const token = channel.token || this.telegram.token;
+    if (!token) return Promise.reject(new Error('Token de bot no configurado'));
+    return axios.post(apiUrl + '/bot' + token + '/sendMessage', {
+      chat_id: channel.chatId,
+      text: this.text(event)
+    }, { timeout: this.timeoutMs });
+  }
+
+  getLog(limit) {
+    return this.log.slice(-(limit || 100));
+  }
+}
+
+module.exports = NotificationDispatcher;
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const RadarDecoder = require('./radar-decoder');
 
 /**
  * Radar AEMET - Conversion reflectividad (dBZ) a precipitacion (mm/h)
@@ -9,6 +10,7 @@ const axios = require('axios');
 class RadarAemet {
   constructor(apiKey) {
     this.apiKey = apiKey;
+    this.decoder = new RadarDecoder();
     this.baseUrl = 'https://opendata.aemet.es/opendata/api';
     this.zrRelations = {
       marshall_palmer: { a: 200, b: 1.6, name: 'Marshall-Palmer (estratiforme)' },
@@ -41,7 +43,9 @@ class RadarAemet {
   }
 
   /**
-   * Obtiene datos de radar de AEMET
+   * Obtiene datos de radar de AEMET y decodifica la imagen en una
+   * grilla de reflectividad (frame.cells alimenta state.radarGrid).
+   * `image` es la imagen original (para grabarla).
    */
   async fetchRadarData() {
     if (!this.apiKey) return { error: 'No AEMET API key configured' };
@@ -51,10 +55,16 @@ class RadarAemet {
         { headers: { api_key: this.apiKey }, timeout: 10000 }
       );
       if (resp.data && resp.data.datos) {
-        const dataResp = await axios.get(resp.data.datos, { timeout: 10000 });
+        const dataResp = await axios.get(resp.data.datos, {
+          timeout: 10000, responseType: 'arraybuffer'
+        });
+        const lastModified = dataResp.headers && dataResp.headers['last-modified'];
+        const timestamp = lastModified
+          ? new Date(lastModified).toISOString()
+          : new Date().toISOString();
         return {
+          ...this.fromImage(Buffer.from(dataResp.data), timestamp),
           imageUrl: resp.data.datos,
-          timestamp: new Date().toISOString(),
           metadata: resp.data.metadatos || null
         };
       }
@@ -65,6 +75,27 @@ class RadarAemet {
     }
   }
 
+  /**
+   * Decodifica una imagen radar (descargada o grabada)
+   * @returns {{timestamp, frame, image}} frame null si no se pudo decodificar
+   */
+  fromImage(image, timestamp) {
+    let frame = null;
+    try {
+      frame = this.decoder.decode(image, timestamp);
+    } catch (err) {
+      console.error('[RADAR] Error decodificando imagen:', err.message);
+    }
+    return { imageUrl: null, timestamp, metadata: null, frame, image };
+  }
+
+  /**
+   * Extension de fichero de una imagen radar segun su firma
+   */
+  imageExtension(image) {
+    return image.slice(0, 4).toString('latin1') === 'GIF8' ? 'gif' : 'png';
+  }
+
   /**
    * Procesa array de valores dBZ a precipitacion
    */
@@ -0,0 +1,137 @@
+const { GifReader } = require('omggif');
+const { PNG } = require('pngjs');
+const defaultConfig = require('../config/radar.json');
+
+/**
+ * Decodificador de imagenes radar AEMET
+ *
+ * Convierte la composicion nacional (imagen con paleta de colores) en una
+ * grilla georreferenciada de reflectividad {lat, lon, dBZ} recortada al
+ * dominio del sureste. La georreferencia y la leyenda de colores se leen
+ * de config/radar.json.
+ *
+ * Cada celda de salida promedia en Z lineal (mm6/m3) los pixeles que caen
+ * dentro de ella, de modo que el remuestreo no sesga la reflectividad.
+ */
+class RadarDecoder {
+  constructor(config) {
+    this.config = config || defaultConfig;
+    this.palette = this.config.palette.map(p => ({
+      ...this.hexToRgb(p.color), dBZ: p.dBZ
+    }));
+  }
+
+  hexToRgb(hex) {
+    const v = parseInt(hex.replace('#', ''), 16);
+    return { r: (v >> 16) & 255, g: (v >> 8) & 255, b: v & 255 };
+  }
+
+  /**
+   * Lee la imagen (GIF o PNG) y devuelve pixeles RGBA
+   */
+  readImage(buffer) {
+    const sig = buffer.slice(0, 4).toString('latin1');
+    if (sig.startsWith('GIF8')) {
+      const reader = new GifReader(new Uint8Array(buffer));
+      const pixels = new Uint8Array(reader.width * reader.height * 4);
+      reader.decodeAndBlitFrameRGBA(0, pixels);
+      return { width: reader.width, height: reader.height, pixels };
+    }
+    if (sig === '\x89PNG') {
+      const png = PNG.sync.read(buffer);
+      return { width: png.width, height: png.height, pixels: png.data };
+    }
+    throw new Error('Formato de imagen radar no soportado');
+  }
+
+  /**
+   * Color de pixel -> dBZ segun la leyenda. Transparente o fuera de
+   * paleta (fondo, costas, fronteras, rotulos en blanco) se considera sin
+   * eco: la leyenda no debe incluir colores del mapa base.
+   */
+  colorToDBZ(r, g, b, a) {
+    if (a === 0) return null;
+    let best = null, bestD = Infinity;
+    for (const p of this.palette) {
+      const d = Math.abs(p.r - r) + Math.abs(p.g - g) + Math.abs(p.b - b);
+      if (d < bestD) { bestD = d; best = p; }
+    }
+    return bestD <= this.config.colorTolerance ? best.dBZ : null;
+  }
+
+  /**
+   * Coordenada vertical proyectada (grados para equirectangular,
+   * ordenada de Mercator para mercator)
+   */
+  projectLat(lat) {
+    if (this.config.projection.type !== 'mercator') return lat;
+    const phi = lat * Math.PI / 180;
+    return Math.log(Math.tan(Math.PI / 4 + phi / 2));
+  }
+
+  /**
+   * lat/lon -> pixel (fraccionario) en la imagen
+   */
+  latLonToPixel(lat, lon, width, height) {
+    const pr = this.config.projection;
+    const yN = this.projectLat(pr.north);
+    const yS = this.projectLat(pr.south);
+    return {
+      x: (lon - pr.west) / (pr.east - pr.west) * width,
+      y: (yN - this.projectLat(lat)) / (yN - yS) * height
+    };
+  }
+
+  /**
+   * Decodifica una imagen radar en una grilla de reflectividad.
+   * @param {Buffer} buffer - imagen GIF/PNG tal y como la sirve AEMET
+   * @param {string} timestamp - hora de la imagen (ISO)
+   * @returns {Object} {timestamp, resolution, bounds, rows, cols, cells:[{lat, lon, dBZ}]}
+   */
+  decode(buffer, timestamp) {
+    const { width, height, pixels } = this.readImage(buffer);
+    const dom = this.config.domain;
+    const res = this.config.resolution;
+    const rows = Math.round((dom.north - dom.south) / res);
+    const cols = Math.round((dom.east - dom.west) / res);
+    const cells = [];
+
+    for (let r = 0; r < rows; r++) {
+      const north = dom.north - r * res;
+      for (let c = 0; c < cols; c++) {
+        const west = dom.west + c * res;
+        const p0 = this.latLonToPixel(north, west, width, height);
+        const p1 = this.latLonToPixel(north - res, west + res, width, height);
+        const x0 = Math.max(0, Math.floor(p0.x)), x1 = Math.min(width, Math.max(x0 + 1, Math.floor(p1.x)));
+        const y0 = Math.max(0, Math.floor(p0.y)), y1 = Math.min(height, Math.max(y0 + 1, Math.floor(p1.y)));
+
+        let sumZ = 0, n = 0;
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            const i = (y * width + x) * 4;
+            const dBZ = this.colorToDBZ(pixels[i], pixels[i+1], pixels[i+2], pixels[i+3]);
+            if (dBZ !== null) sumZ += Math.pow(10, dBZ / 10);
+            n++;
+          }
+        }
+        const meanZ = n > 0 ? sumZ / n : 0;
+        cells.push({
+          lat: Math.round((north - res / 2) * 1000) / 1000,
+          lon: Math.round((west + res / 2) * 1000) / 1000,
+          dBZ: meanZ > 1 ? Math.round(10 * Math.log10(meanZ) * 10) / 10 : 0
+        });
+      }
+    }
+
+    return {
+      timestamp: timestamp || new Date().toISOString(),
+      resolution: res,
+      bounds: { ...dom },
+      rows,
+      cols,
+      cells
+    };
+  }
+}
+
+module.exports = RadarDecoder;
@@ -0,0 +1,229 @@
+const Geometry = require('./geometry');
+
+/**
+ * Nowcasting Radar (0-3 h) - HidroAlerta SE
+ *
+ * 1. Vectores de movimiento de los ecos por correlacion cruzada entre las
+ *    dos ultimas grillas decodificadas (RadarDecoder), por bloques, con el
+ *    vector global como respaldo donde hay pocos ecos.
+ * 2. Adveccion semi-lagrangiana hacia atras del campo de reflectividad en
+ *    pasos de 15 min hasta 180 min (persistencia lagrangiana).
+ * 3. Lluvia prevista por subcuenca (mm por paso) para el HydroEngine.
+ */
+class RadarNowcast {
+  constructor(geometry) {
+    this.geometry = geometry || new Geometry();
+    this.frames = [];
+    this.maxShift = 6;          // celdas (busqueda de desplazamiento)
+    this.tileSize = 16;         // celdas por bloque
+    this.minEchoes = 20;        // celdas con eco para confiar en un bloque
+    this.echoThreshold = 15;    // dBZ
+    this.stepMinutes = 15;
+    this.horizonMinutes = 180;
+    this.maxFrameGapMinutes = 30;
+    this.motion = null;
+  }
+
+  /**
+   * Anade una grilla decodificada {timestamp, rows, cols, resolution, bounds, cells}
+   */
+  addFrame(frame) {
+    if (!frame || !frame.cells || frame.cells.length !== frame.rows * frame.cols) return;
+    const last = this.frames[this.frames.length - 1];
+    if (last && new Date(frame.timestamp) <= new Date(last.timestamp)) return;
+    if (last && (last.rows !== frame.rows || last.cols !== frame.cols)) this.frames = [];
+    this.frames.push(frame);
+    if (this.frames.length > 2) this.frames.shift();
+    this.motion = this.frames.length === 2 ? this.estimateMotion(this.frames[0], this.frames[1]) : null;
+  }
+
+  field(frame) {
+    return frame.cells.map(c => c.dBZ || 0);
+  }
+
+  /**
+   * Correlacion de Pearson entre prev(r, c) y curr(r+dr, c+dc) en una ventana
+   */
+  correlation(prev, curr, cols, rows, win, dr, dc) {
+    let n = 0, sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+    for (let r = win.r0; r < win.r1; r++) {
+      const r2 = r + dr;
+      if (r2 < 0 || r2 >= rows) continue;
+      for (let c = win.c0; c < win.c1; c++) {
+        const c2 = c + dc;
+        if (c2 < 0 || c2 >= cols) continue;
+        const a = prev[r * cols + c], b = curr[r2 * cols + c2];
+        n++; sa += a; sb += b; saa += a * a; sbb += b * b; sab += a * b;
+      }
+    }
+    if (n < 2) return -1;
+    const cov = sab - sa * sb / n;
+    const va = saa - sa * sa / n, vb = sbb - sb * sb / n;
+    return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : -1;
+  }
+
+  bestShift(prev, curr, cols, rows, win) {
+    let best = { dr: 0, dc: 0, corr: -1 };
+    for (let dr = -this.maxShift; dr <= this.maxShift; dr++) {
+      for (let dc = -this.maxShift; dc <= this.maxShift; dc++) {
+        const corr = this.correlation(prev, curr, cols, rows, win, dr, dc);
+        if (corr > best.corr) best = { dr, dc, corr };
+      }
+    }
+    return best;
+  }
+
+  countEchoes(field, cols, win) {
+    let n = 0;
+    for (let r = win.r0; r < win.r1; r++) {
+      for (let c = win.c0; c < win.c1; c++) if (field[r * cols + c] >= this.echoThreshold) n++;
+    }
+    return n;
+  }
+
+  /**
+   * Campo de movimiento (celdas/minuto) por bloques entre dos grillas
+   */
+  estimateMotion(f0, f1) {
+    const minutes = (new Date(f1.timestamp) - new Date(f0.timestamp)) / 60000;
+    if (minutes <= 0 || minutes > this.maxFrameGapMinutes) return null;
+    const { rows, cols } = f1;
+    const prev = this.field(f0), curr = this.field(f1);
+
+    const full = { r0: 0, r1: rows, c0: 0, c1: cols };
+    let globalVec = { vr: 0, vc: 0, corr: 0 };
+    if (this.countEchoes(prev, cols, full) >= this.minEchoes) {
+      const g = this.bestShift(prev, curr, cols, rows, full);
+      globalVec = { vr: g.dr / minutes, vc: g.dc / minutes, corr: g.corr };
+    }
+
+    const tRows = Math.ceil(rows / this.tileSize), tCols = Math.ceil(cols / this.tileSize);
+    const tiles = [];
+    for (let tr = 0; tr < tRows; tr++) {
+      const row = [];
+      for (let tc = 0; tc < tCols; tc++) {
+        const win = {
+          r0: tr * this.tileSize, r1: Math.min(rows, (tr + 1) * this.tileSize),
+          c0: tc * this.tileSize, c1: Math.min(cols, (tc + 1) * this.tileSize)
+        };
+        if (this.countEchoes(prev, cols, win) < this.minEchoes) { row.push(globalVec); continue; }
+        const b = this.bestShift(prev, curr, cols, rows, win);
+        row.push(b.corr > 0.3 ? { vr: b.dr / minutes, vc: b.dc / minutes, corr: b.corr } : globalVec);
+      }
+      tiles.push(row);
+    }
+
+    return { global: globalVec, tiles, tRows, tCols, minutes, timestamp: f1.timestamp };
+  }
+
+  /**
+   * Vector de movimiento en una celda (interpolacion bilineal entre bloques)
+   */
+  motionAt(r, c) {
+    const m = this.motion;
+    const fr = Math.max(0, Math.min(m.tRows - 1, (r + 0.5) / this.tileSize - 0.5));
+    const fc = Math.max(0, Math.min(m.tCols - 1, (c + 0.5) / this.tileSize - 0.5));
+    const r0 = Math.floor(fr), c0 = Math.floor(fc);
+    const r1 = Math.min(m.tRows - 1, r0 + 1), c1 = Math.min(m.tCols - 1, c0 + 1);
+    const wr = fr - r0, wc = fc - c0;
+    const lerp = (k) =>
+      (1 - wr) * ((1 - wc) * m.tiles[r0][c0][k] + wc * m.tiles[r0][c1][k]) +
+      wr * ((1 - wc) * m.tiles[r1][c0][k] + wc * m.tiles[r1][c1][k]);
+    return { vr: lerp('vr'), vc: lerp('vc') };
+  }
+
+  sample(field, rows, cols, r, c) {
+    if (r < 0 || c < 0 || r > rows - 1 || c > cols - 1) return 0;
+    const r0 = Math.floor(r), c0 = Math.floor(c);
+    const r1 = Math.min(rows - 1, r0 + 1), c1 = Math.min(cols - 1, c0 + 1);
+    const wr = r - r0, wc = c - c0;
+    return (1 - wr) * ((1 - wc) * field[r0 * cols + c0] + wc * field[r0 * cols + c1]) +
+      wr * ((1 - wc) * field[r1 * cols + c0] + wc * field[r1 * cols + c1]);
+  }
+
+  /**
+   * Campos previstos de reflectividad: [{leadMinutes, time, cells}]
+   */
+  forecast() {
+    if (!this.motion) return [];
+    const base = this.frames[this.frames.length - 1];
+    const { rows, cols } = base;
+    const field = this.field(base);
+    const t0 = new Date(base.timestamp).getTime();
+    const vectors = [];
+    for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) vectors.push(this.motionAt(r, c));
+
+    const frames = [];
+    for (let lead = this.stepMinutes; lead <= this.horizonMinutes; lead += this.stepMinutes) {
+      const cells = base.cells.map((cell, i) => {
+        const r = Math.floor(i / cols), c = i % cols;
+        const v = vectors[i];
+        const dBZ = this.sample(field, rows, cols, r - v.vr * lead, c - v.vc * lead);
+        return { lat: cell.lat, lon: cell.lon, dBZ: Math.round(dBZ * 10) / 10 };
+      });
+      frames.push({ leadMinutes: lead, time: new Date(t0 + lead * 60000).toISOString(), cells });
+    }
+    return frames;
+  }
+
+  /**
+   * Lluvia prevista por subcuenca a partir de los campos previstos.
+   * Cada paso cubre el intervalo que termina en su hora de prevision.
+   * @returns {Object} {subId: [{start, end, mm}]} (start/end en ms)
+   */
+  subcatchmentForecast(basin, forecastFrames, radarService) {
+    const stepMs = this.stepMinutes * 60000;
+    const result = {};
+    for (const sub of basin.subcatchments || []) {
+      const b = sub.bounds;
+      const inside = sub.geometry
+        ? c => this.geometry.contains(sub.geometry, c.lat, c.lon)
+        : c => c.lat >= b.south && c.lat <= b.north && c.lon >= b.west && c.lon <= b.east;
+      const series = [];
+      for (const f of forecastFrames) {
+        let cells = f.cells.filter(c => c.lat >= b.south && c.lat <= b.north && c.lon >= b.west && c.lon <= b.east && inside(c));
+        if (cells.length === 0 && sub.center) cells = [this.nearestCell(f.cells, sub.center)];
+        const rate = cells.reduce((s, c) => s + (c.dBZ > 0 ? radarService.dBZtoRainRate(c.dBZ, 'marshall_palmer') : 0), 0) /
+          (cells.length || 1);
+        const end = new Date(f.time).getTime();
+        series.push({ start: end - stepMs, end, mm: rate * this.stepMinutes / 60 });
+      }
+      result[sub.id] = series;
+    }
+    return result;
+  }
+
+  nearestCell(cells, center) {
+    let best = cells[0], bestD = Infinity;
+    for (const c of cells) {
+      const d = (c.lat - center[0]) ** 2 + (c.lon - center[1]) ** 2;
+      if (d < bestD) { bestD = d; best = c; }
+    }
+    return best;
+  }
+
+  /**
+   * Resumen del movimiento para la API (km/h y direccion hacia la que se mueve)
+   */
+  summary() {
+    if (!this.motion) return { available: false, frames: this.frames.length };
+    const base = this.frames[this.frames.length - 1];
+    const kmPerCell = base.resolution * 111;
+    const g = this.motion.global;
+    const vN = -g.vr * kmPerCell * 60;
+    const vE = g.vc * kmPerCell * 60 * Math.cos(((base.bounds.north + base.bounds.south) / 2) * Math.PI / 180);
+    return {
+      available: true,
+      baseTime: base.timestamp,
+      horizonMinutes: this.horizonMinutes,
+      stepMinutes: this.stepMinutes,
+      globalMotion: {
+        speedKmh: Math.round(Math.sqrt(vN * vN + vE * vE) * 10) / 10,
+        directionDeg: Math.round(((Math.atan2(vE, vN) * 180 / Math.PI) + 360) % 360),
+        correlation: Math.round(g.corr * 100) / 100
+      }
+    };
+  }
+}
+
+module.exports = RadarNowcast;
@@ -0,0 +1,203 @@
+/**
+ * Acumulador de lluvia por ventanas moviles - HidroAlerta SE
+ *
+ * SUREMET (y la precipitacion interpolada por subcuenca) es un contador
+ * diario que se reinicia a medianoche. A partir de muestras consecutivas
+ * se obtienen incrementos y con ellos los acumulados en 1h, 3h, 6h, 12h,
+ * 24h y 72h.
+ *
+ * - Reinicio diario: solo si cambia el dia local (Europe/Madrid); entonces
+ *   el incremento es el valor nuevo (lluvia desde medianoche). Dentro del
+ *   dia el contador no puede bajar: los retrocesos (redondeo, correcciones
+ *   de la interpolacion) cuentan 0 y se sigue el maximo del dia, para no
+ *   contar dos veces la lluvia al recuperarse.
+ * - Huecos: si la serie se interrumpe menos de maxGapHours el incremento
+ *   se reparte uniformemente en el hueco; si es mayor se descarta, porque
+ *   no se sabe cuando cayo, y la cobertura de la serie se reinicia.
+ * - Intensidades (solo radar, mm/h): updateRate las integra en el
+ *   intervalo desde la muestra anterior en lugar de tratarlas como contador.
+ */
+
+const DEFAULT_WINDOWS = { '1h': 1, '3h': 3, '6h': 6, '12h': 12, '24h': 24, '72h': 72 };
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'Europe/Madrid', year: 'numeric', month: '2-digit', day: '2-digit'
+});
+const clockFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Europe/Madrid', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+});
+
+class RainAccumulator {
+  constructor(opts) {
+    opts = opts || {};
+    this.windows = opts.windows || DEFAULT_WINDOWS;
+    this.maxGapHours = opts.maxGapHours || 2;
+    this.retentionHours = opts.retentionHours || Math.max(...Object.values(this.windows));
+    this.series = new Map();
+  }
+
+  localDay(time) {
+    return dayFormatter.format(time);
+  }
+
+  /**
+   * Medianoche local (Europe/Madrid) anterior a `time`, en ms. La hora
+   * local de `time` da una primera estimacion con el desfase UTC de
+   * `time`; si entre medianoche y `time` hubo cambio de hora, la
+   * estimacion no cae en 00:00 local y se corrige con el desfase que
+   * rige en ella.
+   */
+  localMidnight(time) {
+    const sinceMidnight = t => {
+      const [h, m, sec] = clockFormatter.format(t).split(':').map(Number);
+      return ((h * 60 + m) * 60 + sec) * 1000;
+    };
+    const base = time - (time % 1000);
+    const guess = base - sinceMidnight(base);
+    const off = sinceMidnight(guess);
+    if (off === 0) return guess;
+    // 23:00 del dia anterior (dia de 23 h) o 01:00 (dia de 25 h)
+    return off > 12 * 3600000 ? guess + 86400000 - off : guess - off;
+  }
+
+  /**
+   * Registra una muestra del contador diario.
+   * @param {string} id - estacion o subcuenca
+   * @param {number} counter - precipitacion acumulada en el dia (mm)
+   * @param {Date|string} time - hora de la muestra
+   * @returns {number} incremento atribuido desde la muestra anterior (mm)
+   */
+  update(id, counter, time) {
+    const t = new Date(time).getTime();
+    const value = counter || 0;
+    let s = this.series.get(id);
+    if (!s) {
+      // Primera muestra: el contador es la lluvia caida desde medianoche,
+      // repartida en ese intervalo (la cobertura empieza ahora)
+      const midnight = this.localMidnight(t);
+      s = { lastValue: value, lastTime: t, since: t, coverageStart: t, increments: [] };
+      if (value > 0 && t > midnight) s.increments.push({ start: midnight, end: t, mm: value });
+      this.series.set(id, s);
+      return value;
+    }
+    if (t <= s.lastTime) return 0;
+
+    const dayChanged = this.localDay(t) !== this.localDay(s.lastTime);
+    const increment = dayChanged ? value : Math.max(0, value - s.lastValue);
+    return this.advance(s, t, increment, dayChanged ? value : Math.max(s.lastValue, value));
+  }
+
+  /**
+   * Registra una intensidad (mm/h) sostenida desde la muestra anterior,
+   * p. ej. la estimacion solo radar de una subcuenca sin estaciones.
+   * @returns {number} lluvia atribuida al intervalo (mm)
+   */
+  updateRate(id, rate, time) {
+    const t = new Date(time).getTime();
+    let s = this.series.get(id);
+    if (!s) {
+      // Sin muestra anterior no hay intervalo que integrar
+      this.series.set(id, { lastValue: 0, lastTime: t, since: t, coverageStart: t, increments: [] });
+      return 0;
+    }
+    if (t <= s.lastTime) return 0;
+
+    const dayChanged = this.localDay(t) !== this.localDay(s.lastTime);
+    const increment = Math.max(0, rate || 0) * (t - s.lastTime) / 3600000;
+    // Tras medianoche el contador del dia solo lleva la parte de hoy
+    const today = dayChanged ? increment * (t - this.localMidnight(t)) / (t - s.lastTime) : increment;
+    return this.advance(s, t, increment, (dayChanged ? 0 : s.lastValue) + today);
+  }
+
+  /**
+   * Anota el incremento de [lastTime, t] (o lo descarta tras un hueco
+   * largo) y avanza la serie
+   */
+  advance(s, t, increment, counter) {
+    const gapHours = (t - s.lastTime) / 3600000;
+
+    if (gapHours > this.maxGapHours) {
+      increment = 0;
+      s.coverageStart = t;
+    } else if (increment > 0) {
+      s.increments.push({ start: s.lastTime, end: t, mm: increment });
+    }
+
+    s.lastValue = counter;
+    s.lastTime = t;
+    const cutoff = t - this.retentionHours * 3600000;
+    while (s.increments.length > 0 && s.increments[0].end < cutoff) s.increments.shift();
+    return increment;
+  }
+
+  /**
+   * Lluvia del dia local en curso hasta la ultima muestra (mm)
+   */
+  today(id) {
+    const s = this.series.get(id);
+    return s ? Math.round(s.lastValue * 10) / 10 : 0;
+  }
+
+  /**
+   * Acumulados por ventana terminando en `time` (por defecto, ultima muestra).
+   * coverageHours: horas seguidas de muestras que respaldan los acumulados.
+   * @returns {Object|null} {totals: {'1h': mm, ...}, coverageHours}
+   */
+  windowsFor(id, time) {
+    const s = this.series.get(id);
+    if (!s) return null;
+    const now = time ? new Date(time).getTime() : s.lastTime;
+    const totals = {};
+    for (const [key, hours] of Object.entries(this.windows)) {
+      totals[key] = Math.round(this.rainBetween(id, now - hours * 3600000, now) * 10) / 10;
+    }
+    // Serie interrumpida: ninguna ventana esta completa
+    const live = now - s.lastTime <= this.maxGapHours * 3600000;
+    return {
+      totals,
+      coverageHours: live ? Math.round((now - s.coverageStart) / 360000) / 10 : 0
+    };
+  }
+
+  /**
+   * Lluvia de los `days` dias completos anteriores al dia local en curso
+   * (precipitacion antecedente para la condicion de humedad AMC).
+   * Requiere retentionHours >= (days + 1) * 24. Devuelve null si la serie
+   * no cubre todavia esos dias (p. ej. recien arrancado sin historico).
+   */
+  antecedent(id, time, days) {
+    const s = this.series.get(id);
+    if (!s) return null;
+    const end = this.localMidnight(new Date(time).getTime());
+    const from = end - days * 86400000;
+    if (s.since > from) return null;
+    return Math.round(this.rainBetween(id, from, end) * 10) / 10;
+  }
+
+  /**
+   * Lluvia (mm) caida en el intervalo [from, to] (ms), repartiendo cada
+   * incremento proporcionalmente a su solape con el intervalo
+   */
+  rainBetween(id, from, to) {
+    const s = this.series.get(id);
+    if (!s) return 0;
+    let sum = 0;
+    for (const inc of s.increments) {
+      const overlap = Math.min(inc.end, to) - Math.max(inc.start, from);
+      if (overlap > 0) sum += inc.mm * overlap / (inc.end - inc.start);
+    }
+    return sum;
+  }
+
+  /**
+   * Reconstruye las series desde registros historicos {id, timestamp, precipitation}
+   * (p. ej. TimeSeriesStore.query) tras un reinicio del servidor.
+   */
+  seed(records) {
+    records.forEach(r => this.update(r.id, r.precipitation, r.timestamp));
+  }
+}
+
+RainAccumulator.DEFAULT_WINDOWS = DEFAULT_WINDOWS;
+
+module.exports = RainAccumulator;
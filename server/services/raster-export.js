@@ -0,0 +1,187 @@
+const { PNG } = require('pngjs');
+
+/**
+ * Exportacion Raster del Campo de Precipitacion - HidroAlerta SE
+ *
+ * A partir de SpatialInterpolator.regionalField (Float32Array, fila 0 =
+ * norte, lat/lon WGS84):
+ *   - ESRI ASCII grid (.asc)
+ *   - GeoTIFF Float32 sin comprimir, EPSG:4326 (escrito a mano: una banda,
+ *     una tira, etiquetas GeoKey minimas para SIG)
+ *   - Teselas XYZ PNG 256x256 (Web Mercator) con la rampa de colores de
+ *     RadarAemet.classifyIntensity
+ */
+
+const NODATA = -9999;
+const TILE_SIZE = 256;
+
+class RasterExporter {
+  /**
+   * @param {RadarAemet} radarService - para classifyIntensity
+   */
+  constructor(radarService) {
+    this.radar = radarService;
+    this.tileAlpha = 170;
+  }
+
+  /**
+   * ESRI ASCII grid (esquina inferior izquierda, celdas cuadradas)
+   */
+  toAsciiGrid(field, values) {
+    const lines = [
+      'ncols ' + field.cols,
+      'nrows ' + field.rows,
+      'xllcorner ' + field.bounds.west,
+      'yllcorner ' + field.bounds.south,
+      'cellsize ' + field.resolution,
+      'NODATA_value ' + NODATA
+    ];
+    for (let r = 0; r < field.rows; r++) {
+      const row = [];
+      for (let c = 0; c < field.cols; c++) {
+        const v = values[r * field.cols + c];
+        row.push(Number.isFinite(v) ? Math.round(v * 100) / 100 : NODATA);
+      }
+      lines.push(row.join(' '));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * GeoTIFF little-endian, Float32, una tira, geografico WGS84
+   * @param {Object} [metadata] - {clave: valor} para GDAL_METADATA
+   * @returns {Buffer}
+   */
+  toGeoTiff(field, values, metadata) {
+    const { rows, cols, resolution: res, bounds } = field;
+    const nodata = Buffer.from(NODATA + '\0', 'ascii');
+    const gdalMetadata = metadata ? Buffer.from(this.gdalMetadataXml(metadata) + '\0', 'utf8') : null;
+    const geoKeys = [
+      1, 1, 0, 3,          // version 1.1.0, 3 claves
+      1024, 0, 1, 2,       // GTModelTypeGeoKey = Geographic
+      1025, 0, 1, 1,       // GTRasterTypeGeoKey = PixelIsArea
+      2048, 0, 1, 4326     // GeographicTypeGeoKey = WGS84
+    ];
+
+    // [tag, tipo, cuenta, valor | datos externos]
+    // tipos: 2 ASCII, 3 SHORT, 4 LONG, 12 DOUBLE
+    const tags = [
+      [256, 4, 1, cols],                        // ImageWidth
+      [257, 4, 1, rows],                        // ImageLength
+      [258, 3, 1, 32],                          // BitsPerSample
+      [259, 3, 1, 1],                           // Compression = none
+      [262, 3, 1, 1],                           // Photometric = BlackIsZero
+      [273, 4, 1, 0],                           // StripOffsets (se fija abajo)
+      [277, 3, 1, 1],                           // SamplesPerPixel
+      [278, 4, 1, rows],                        // RowsPerStrip
+      [279, 4, 1, rows * cols * 4],             // StripByteCounts
+      [284, 3, 1, 1],                           // PlanarConfiguration
+      [339, 3, 1, 3],                           // SampleFormat = IEEE float
+      [33550, 12, 3, [res, res, 0]],            // ModelPixelScaleTag
+      [33922, 12, 6, [0, 0, 0, bounds.west, bounds.north, 0]], // ModelTiepointTag
+      [34735, 3, geoKeys.length, geoKeys],      // GeoKeyDirectoryTag
+      gdalMetadata && [42112, 2, gdalMetadata.length, gdalMetadata], // GDAL_METADATA
+      [42113, 2, nodata.length, nodata]         // GDAL_NODATA
+    ].filter(Boolean);
+    const typeSize = { 2: 1, 3: 2, 4: 4, 12: 8 };
+
+    const ifdOffset = 8;
+    const ifdSize = 2 + tags.length * 12 + 4;
+    let extOffset = ifdOffset + ifdSize;
+    const external = [];
+    for (const tag of tags) {
+      const bytes = typeSize[tag[1]] * tag[2];
+      if (bytes > 4) {
+        external.push({ tag, offset: extOffset });
+        extOffset += bytes + (bytes % 2);
+      }
+    }
+    const dataOffset = extOffset;
+    tags.find(t => t[0] === 273)[3] = dataOffset;
+
+    const buf = Buffer.alloc(dataOffset + rows * cols * 4);
+    buf.write('II', 0, 'ascii');
+    buf.writeUInt16LE(42, 2);
+    buf.writeUInt32LE(ifdOffset, 4);
+    buf.writeUInt16LE(tags.length, ifdOffset);
+
+    const writeValues = (tag, pos) => {
+      const [, type, , value] = tag;
+      if (type === 2) { value.copy(buf, pos); return; }
+      const arr = Array.isArray(value) ? value : [value];
+      arr.forEach((v, i) => {
+        if (type === 3) buf.writeUInt16LE(v, pos + i * 2);
+        else if (type === 4) buf.writeUInt32LE(v, pos + i * 4);
+        else buf.writeDoubleLE(v, pos + i * 8);
+      });
+    };
+
+    tags.forEach((tag, i) => {
+      const pos = ifdOffset + 2 + i * 12;
+      buf.writeUInt16LE(tag[0], pos);
+      buf.writeUInt16LE(tag[1], pos + 2);
+      buf.writeUInt32LE(tag[2], pos + 4);
+      const ext = external.find(e => e.tag === tag);
+      if (ext) {
+        buf.writeUInt32LE(ext.offset, pos + 8);
+        writeValues(tag, ext.offset);
+      } else {
+        writeValues(tag, pos + 8);
+      }
+    });
+    buf.writeUInt32LE(0, ifdOffset + 2 + tags.length * 12);
+
+    for (let i = 0; i < rows * cols; i++) {
+      const v = values[i];
+      buf.writeFloatLE(Number.isFinite(v) ? v : NODATA, dataOffset + i * 4);
+    }
+    return buf;
+  }
+
+  gdalMetadataXml(metadata) {
+    const escape = v => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    return '<GDALMetadata>' + Object.entries(metadata)
+      .map(([k, v]) => '<Item name="' + escape(k) + '">' + escape(v) + '</Item>').join('') + '</GDALMetadata>';
+  }
+
+  hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+  /**
+   * Tesela XYZ (Web Mercator) como PNG. Las celdas sin precipitacion
+   * (clase 'none') quedan transparentes.
+   * @returns {Buffer}
+   */
+  tile(field, values, z, x, y) {
+    const png = new PNG({ width: TILE_SIZE, height: TILE_SIZE });
+    const n = Math.pow(2, z);
+    const colors = new Map();
+
+    for (let py = 0; py < TILE_SIZE; py++) {
+      const my = Math.PI * (1 - 2 * (y + (py + 0.5) / TILE_SIZE) / n);
+      const lat = Math.atan(Math.sinh(my)) * 180 / Math.PI;
+      const r = Math.floor((field.bounds.north - lat) / field.resolution);
+      for (let px = 0; px < TILE_SIZE; px++) {
+        const lon = (x + (px + 0.5) / TILE_SIZE) / n * 360 - 180;
+        const c = Math.floor((lon - field.bounds.west) / field.resolution);
+        const i = (py * TILE_SIZE + px) * 4;
+        if (r < 0 || r >= field.rows || c < 0 || c >= field.cols) continue;
+        const cls = this.radar.classifyIntensity(values[r * field.cols + c]);
+        if (cls.level === 'none') continue;
+        if (!colors.has(cls.color)) colors.set(cls.color, this.hexToRgb(cls.color));
+        const [red, green, blue] = colors.get(cls.color);
+        png.data[i] = red;
+        png.data[i + 1] = green;
+        png.data[i + 2] = blue;
+        png.data[i + 3] = this.tileAlpha;
+      }
+    }
+    return PNG.sync.write(png);
+  }
+}
+
+RasterExporter.NODATA = NODATA;
+
+module.exports = RasterExporter;
@@ -0,0 +1,72 @@
+/**
+ * Curva de Gasto - HidroAlerta SE
+ *
+ * Convierte nivel (m) en caudal (m3/s) en una seccion de aforo:
+ *
+ *   {type: 'power', segments: [{maxStage, a, h0, b}, ...]}
+ *       Q = a * (h - h0)^b por tramos de nivel (maxStage ascendente; el
+ *       ultimo tramo puede omitir maxStage)
+ *   {type: 'table', points: [[h, Q], ...]}
+ *       interpolacion lineal entre aforos
+ *
+ * Por encima del ultimo tramo o aforo se extrapola y la lectura se marca
+ * `extrapolated` (la curva no esta contrastada para esa avenida).
+ */
+class RatingCurve {
+  constructor(config) {
+    if (!config || !config.type) throw new Error('Curva de gasto sin tipo');
+    this.type = config.type;
+    this.datumOffset = config.datumOffset || 0;   // cero de escala -> cota de la curva
+    if (this.type === 'power') {
+      this.segments = (config.segments || []).slice()
+        .sort((x, y) => (x.maxStage === undefined ? Infinity : x.maxStage) -
+          (y.maxStage === undefined ? Infinity : y.maxStage));
+      if (this.segments.length === 0) throw new Error('Curva potencial sin tramos');
+      for (const s of this.segments) {
+        if (!(s.a > 0) || !(s.b > 0) || typeof s.h0 !== 'number') {
+          throw new Error('Tramo de curva invalido: se requieren a > 0, b > 0 y h0');
+        }
+      }
+    } else if (this.type === 'table') {
+      this.points = (config.points || []).slice().sort((x, y) => x[0] - y[0]);
+      if (this.points.length < 2) throw new Error('Tabla de gasto con menos de 2 aforos');
+    } else {
+      throw new Error('Tipo de curva desconocido: ' + this.type);
+    }
+  }
+
+  /**
+   * @returns {{discharge: number, extrapolated: boolean}|null} null si el nivel no es valido
+   */
+  convert(stage) {
+    if (typeof stage !== 'number' || !Number.isFinite(stage)) return null;
+    const h = stage + this.datumOffset;
+    return this.type === 'power' ? this.power(h) : this.table(h);
+  }
+
+  discharge(stage) {
+    const result = this.convert(stage);
+    return result ? result.discharge : null;
+  }
+
+  power(h) {
+    let segment = this.segments.find(s => s.maxStage === undefined || h <= s.maxStage);
+    const extrapolated = !segment;
+    if (!segment) segment = this.segments[this.segments.length - 1];
+    const depth = h - segment.h0;
+    const q = depth > 0 ? segment.a * Math.pow(depth, segment.b) : 0;
+    return { discharge: Math.round(q * 100) / 100, extrapolated };
+  }
+
+  table(h) {
+    const pts = this.points;
+    if (h <= pts[0][0]) return { discharge: pts[0][1], extrapolated: h < pts[0][0] && pts[0][1] > 0 };
+    let i = 1;
+    while (i < pts.length - 1 && h > pts[i][0]) i++;
+    const [h1, q1] = pts[i - 1], [h2, q2] = pts[i];
+    const q = q1 + (q2 - q1) * (h - h1) / (h2 - h1);
+    return { discharge: Math.round(Math.max(0, q) * 100) / 100, extrapolated: h > pts[pts.length - 1][0] };
+  }
+}
+
+module.exports = RatingCurve;
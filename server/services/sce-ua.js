@@ -0,0 +1,178 @@
+/**
+ * Optimizador SCE-UA (Shuffled Complex Evolution, Duan et al. 1992) -
+ * HidroAlerta SE
+ *
+ * Minimizacion global sin derivadas dentro de limites [lower, upper]:
+ * una poblacion repartida en complejos que evolucionan por separado con
+ * pasos simplex (reflexion / contraccion / punto aleatorio) y se mezclan
+ * en cada iteracion. Criterios de parada:
+ *   - maxEvaluations evaluaciones de la funcion
+ *   - la poblacion se concentra (rango normalizado < paramTolerance)
+ *   - la mejor solucion mejora menos de `improvementTolerance` (%) en
+ *     `stallLoops` iteraciones
+ *
+ * Con la misma semilla el resultado es reproducible.
+ */
+class SceUa {
+  constructor(opts) {
+    opts = opts || {};
+    this.complexes = opts.complexes || 4;
+    this.maxEvaluations = opts.maxEvaluations || 5000;
+    this.paramTolerance = opts.paramTolerance || 0.001;
+    this.improvementTolerance = opts.improvementTolerance || 0.01;
+    this.stallLoops = opts.stallLoops || 10;
+    this.random = SceUa.rng(opts.seed !== undefined ? opts.seed : 1);
+  }
+
+  /**
+   * Generador uniforme [0, 1) con semilla (mulberry32)
+   */
+  static rng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * @param {Function} fn - x (Array) -> valor a minimizar
+   * @param {Array<number>} lower
+   * @param {Array<number>} upper
+   * @param {Array<number>} [x0] - punto inicial (se incluye en la poblacion)
+   * @returns {{x, f, evaluations, loops, converged, reason}}
+   */
+  minimize(fn, lower, upper, x0) {
+    const n = lower.length;
+    const m = 2 * n + 1;            // puntos por complejo
+    const q = n + 1;                // puntos por subcomplejo (simplex)
+    const beta = m;                 // pasos de evolucion por complejo
+    const p = this.complexes;
+    const s = p * m;
+    let evaluations = 0;
+
+    const evaluate = x => {
+      evaluations++;
+      const f = fn(x);
+      return Number.isFinite(f) ? f : Infinity;
+    };
+    const randomPoint = (lo, hi) => lo.map((l, i) => l + this.random() * (hi[i] - l));
+    const clampIn = x => x.every((v, i) => v >= lower[i] && v <= upper[i]);
+
+    let population = [];
+    if (x0) {
+      const start = x0.map((v, i) => Math.min(upper[i], Math.max(lower[i], v)));
+      population.push({ x: start, f: evaluate(start) });
+    }
+    while (population.length < s) {
+      const x = randomPoint(lower, upper);
+      population.push({ x, f: evaluate(x) });
+    }
+    population.sort((a, b) => a.f - b.f);
+
+    const bestHistory = [population[0].f];
+    let loops = 0, reason = 'max_evaluations';
+
+    while (evaluations < this.maxEvaluations) {
+      loops++;
+      // Reparto en complejos: el complejo k recibe los puntos k, k+p, k+2p...
+      const complexes = Array.from({ length: p }, (_, k) =>
+        Array.from({ length: m }, (_, j) => population[k + p * j]));
+
+      for (const complex of complexes) {
+        for (let step = 0; step < beta && evaluations < this.maxEvaluations; step++) {
+          // Subcomplejo con probabilidad triangular (mejores puntos mas probables)
+          const chosen = new Set();
+          while (chosen.size < q) {
+            const u = this.random();
+            const idx = Math.floor(m + 0.5 - Math.sqrt((m + 0.5) ** 2 - m * (m + 1) * u));
+            chosen.add(Math.min(m - 1, Math.max(0, idx)));
+          }
+          const indices = Array.from(chosen).sort((a, b) => a - b);
+          const sub = indices.map(i => complex[i]);
+          const worst = sub[q - 1];
+          const centroid = new Array(n).fill(0);
+          for (let k = 0; k < q - 1; k++) for (let i = 0; i < n; i++) centroid[i] += sub[k].x[i] / (q - 1);
+
+          // Reflexion; fuera de limites -> punto aleatorio en el rango del complejo
+          let x = centroid.map((c, i) => 2 * c - worst.x[i]);
+          if (!clampIn(x)) x = this.complexRandom(complex, n);
+          let f = evaluate(x);
+          if (f > worst.f) {
+            // Contraccion hacia el centroide
+            x = centroid.map((c, i) => (c + worst.x[i]) / 2);
+            f = evaluate(x);
+            if (f > worst.f) {
+              x = this.complexRandom(complex, n);
+              f = evaluate(x);
+            }
+          }
+          complex[indices[q - 1]] = { x, f };
+          complex.sort((a, b) => a.f - b.f);
+        }
+      }
+
+      // Mezcla de complejos
+      population = complexes.flat().sort((a, b) => a.f - b.f);
+      bestHistory.push(population[0].f);
+
+      if (this.normalizedRange(population, lower, upper) < this.paramTolerance) {
+        reason = 'population_converged';
+        break;
+      }
+      if (bestHistory.length > this.stallLoops) {
+        const before = bestHistory[bestHistory.length - 1 - this.stallLoops];
+        const now = bestHistory[bestHistory.length - 1];
+        const change = Math.abs(before - now) / Math.max(Math.abs(before + now) / 2, 1e-12) * 100;
+        if (change < this.improvementTolerance) {
+          reason = 'no_improvement';
+          break;
+        }
+      }
+    }
+
+    return {
+      x: population[0].x,
+      f: population[0].f,
+      evaluations,
+      loops,
+      converged: reason !== 'max_evaluations',
+      reason
+    };
+  }
+
+  /**
+   * Punto aleatorio en el hipercubo que contiene el complejo
+   */
+  complexRandom(complex, n) {
+    const lo = new Array(n).fill(Infinity), hi = new Array(n).fill(-Infinity);
+    for (const pt of complex) {
+      for (let i = 0; i < n; i++) {
+        lo[i] = Math.min(lo[i], pt.x[i]);
+        hi[i] = Math.max(hi[i], pt.x[i]);
+      }
+    }
+    return lo.map((l, i) => l + this.random() * (hi[i] - l));
+  }
+
+  /**
+   * Media geometrica del rango de cada parametro relativo a sus limites
+   */
+  normalizedRange(population, lower, upper) {
+    const n = lower.length;
+    let logSum = 0;
+    for (let i = 0; i < n; i++) {
+      const span = upper[i] - lower[i];
+      if (span <= 0) continue;
+      const vals = population.map(pt => pt.x[i]);
+      const range = (Math.max(...vals) - Math.min(...vals)) / span;
+      logSum += Math.log(Math.max(range, 1e-12));
+    }
+    return Math.exp(logSum / n);
+  }
+}
+
+module.exports = SceUa;
@@ -0,0 +1,145 @@
+/**
+ * Salud de las Fuentes de Datos - HidroAlerta SE
+ *
+ * Registra para cada fuente (feeds de estaciones, radar AEMET) el ultimo
+ * intento y exito, latencia, racha de errores, numero de estaciones y
+ * edad del dato mas reciente. Sin esto una fuente caida es indistinguible
+ * de "sin lluvia": las cuencas cuyas entradas no estan al dia se marcan
+ * `degraded`.
+ *
+ * Estados: ok | empty (responde sin estaciones) | stale (dato antiguo) |
+ * down (fallando y sin exito reciente) | disabled | unknown (sin intentos)
+ */
+class SourceHealth {
+  /**
+   * @param {Object} [opts] - {now} hora en ms (virtual durante un simulacro)
+   */
+  constructor(opts) {
+    opts = opts || {};
+    this.now = opts.now || Date.now;
+    this.sources = new Map();
+  }
+
+  /**
+   * Declara una fuente. maxAgeMinutes: edad maxima del dato (y del ultimo
+   * exito) para considerarla al dia.
+   */
+  register(name, opts) {
+    opts = opts || {};
+    this.sources.set(name, {
+      name,
+      label: opts.label || name,
+      maxAgeMinutes: opts.maxAgeMinutes || 20,
+      enabled: opts.enabled !== false,
+      lastAttempt: null,
+      lastSuccess: null,
+      lastError: null,
+      lastErrorAt: null,
+      errorStreak: 0,
+      latencyMs: null,
+      count: null,
+      dataTime: null
+    });
+  }
+
+  get(name) {
+    if (!this.sources.has(name)) this.register(name);
+    return this.sources.get(name);
+  }
+
+  success(name, info) {
+    info = info || {};
+    const s = this.get(name);
+    const now = new Date(this.now()).toISOString();
+    s.lastAttempt = now;
+    s.lastSuccess = now;
+    s.errorStreak = 0;
+    if (info.latencyMs !== undefined) s.latencyMs = info.latencyMs;
+    if (info.count !== undefined) s.count = info.count;
+    if (info.dataTime) s.dataTime = new Date(info.dataTime).toISOString();
+  }
+
+  failure(name, err, info) {
+    info = info || {};
+    const s = this.get(name);
+    const now = new Date(this.now()).toISOString();
+    s.lastAttempt = now;
+    s.lastError = err && err.message ? err.message : String(err);
+    s.lastErrorAt = now;
+    s.errorStreak++;
+    if (info.latencyMs !== undefined) s.latencyMs = info.latencyMs;
+  }
+
+  /**
+   * Hora del dato mas reciente de la fuente (p. ej. la observacion mas
+   * nueva de las estaciones de una provincia)
+   */
+  observe(name, dataTime) {
+    if (dataTime === null || dataTime === undefined) return;
+    this.get(name).dataTime = new Date(dataTime).toISOString();
+  }
+
+  ageMinutes(iso, now) {
+    return iso ? Math.round((now - Date.parse(iso)) / 60000) : null;
+  }
+
+  status(name, now) {
+    const s = this.get(name);
+    now = now || this.now();
+    if (!s.enabled) return 'disabled';
+    if (!s.lastAttempt) return 'unknown';
+    const sinceSuccess = this.ageMinutes(s.lastSuccess, now);
+    if (sinceSuccess === null || sinceSuccess > s.maxAgeMinutes) return s.errorStreak > 0 ? 'down' : 'stale';
+    if (s.count === 0) return 'empty';
+    const dataAge = this.ageMinutes(s.dataTime, now);
+    if (dataAge !== null && dataAge > s.maxAgeMinutes) return 'stale';
+    return 'ok';
+  }
+
+  isFresh(name, now) {
+    return this.status(name, now) === 'ok';
+  }
+
+  /**
+   * Estado de todas las fuentes: {status: ok|degraded|down, sources: [...]}
+   */
+  report(now) {
+    now = now || this.now();
+    const sources = Array.from(this.sources.values()).map(s => ({
+      name: s.name,
+      label: s.label,
+      status: this.status(s.name, now),
+      lastAttempt: s.lastAttempt,
+      lastSuccess: s.lastSuccess,
+      lastError: s.lastError,
+      lastErrorAt: s.lastErrorAt,
+      errorStreak: s.errorStreak,
+      latencyMs: s.latencyMs,
+      count: s.count,
+      dataTime: s.dataTime,
+      dataAgeMinutes: this.ageMinutes(s.dataTime, now),
+      maxAgeMinutes: s.maxAgeMinutes
+    }));
+    const active = sources.filter(s => s.status !== 'disabled');
+    const healthy = active.filter(s => s.status === 'ok').length;
+    return {
+      status: healthy === active.length ? 'ok' : healthy === 0 ? 'down' : 'degraded',
+      timestamp: new Date(now).toISOString(),
+      sources
+    };
+  }
+
+  /**
+   * Motivos por los que una cuenca tiene entradas degradadas
+   * @param {Array<string>} sourceNames - fuentes de las que depende
+   * @returns {Array<string>} p. ej. ['suremet_MU: down']
+   */
+  degradedReasons(sourceNames, now) {
+    return sourceNames
+      .map(name => ({ name, status: this.status(name, now) }))
+      .filter(s => s.status !== 'ok' && s.status !== 'disabled')
+      .map(s => s.name + ': ' + s.status);
+  }
+}
+
+module.exports = SourceHealth;
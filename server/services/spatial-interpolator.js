@@ -1,33 +1,51 @@
+const Geometry = require('./geometry');
+const Kriging = require('./kriging');
+const Dem = require('./dem');
+const { haversine } = require('./geo-distance');
+
+const METHODS = ['idw', 'kriging', 'idw_elevation', 'regression_kriging'];
+const MERGE_METHODS = ['conditional', 'mean_field_bias', 'local_bias'];
+
 /**
  * Interpolacion Espacial y Fusion Radar-Estaciones
  *
- * Metodos: IDW, Thiessen, Fusion Radar-Pluviometro (Conditional Merging)
+ * Metodos: IDW, Kriging ordinario, Thiessen, Fusion Radar-Pluviometro
+ * (Conditional Merging, sesgo medio o sesgo local; ver mergeMethod). El metodo de interpolacion de estaciones se elige
+ * por cuenca con `interpolation` ('idw' por defecto o 'kriging').
+ * Con 'idw_elevation' / 'regression_kriging' se ajusta primero una recta
+ * precipitacion-altitud con las estaciones y se interpolan los residuos
+ * (IDW o kriging); cada celda suma la tendencia a su altitud del DEM.
  * Ahora con estimacion POR SUBCUENCA para modelo semi-distribuido.
+ * Las medias se ponderan por la fraccion de cada celda dentro del poligono
+ * de la (sub)cuenca, de modo que subcuencas vecinas no comparten celdas.
  */
 
 class SpatialInterpolator {
-  constructor() {
+  /**
+   * @param {Object} [opts] - {now: () => ms}, reloj de las marcas de tiempo
+   */
+  constructor(geometry, dem, opts) {
+    this.geometry = geometry || new Geometry();
+    this.dem = dem || new Dem();
+    this.now = (opts && opts.now) || Date.now;
+    this.kriging = new Kriging();
+    this.variograms = { precipitation: null, intensity: null, fittedAt: null };
     this.idwPower = 2;
     this.searchRadius = 50;
-    this.radarWeight = 0.4;
+    this.mergeMethod = MERGE_METHODS.includes(process.env.RADAR_MERGE) ? process.env.RADAR_MERGE : 'conditional';
+    this.radarMaxDistance = 5;    // km a la celda radar mas cercana
+    this.radarIndexes = new WeakMap();
+    this.mergeValidation = null;
     this.gridResolution = 0.02;
-  }
-
-  haversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2)**2 +
-      Math.cos(lat1*Math.PI/180) * Math.cos(lat2*Math.PI/180) *
-      Math.sin(dLon/2)**2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    this.minTrendStations = 5;
+    this.minAltitudeRange = 300;  // m entre estaciones para ajustar tendencia
   }
 
   idw(lat, lon, stations, field) {
     field = field || 'precipitation';
     let sumWV = 0, sumW = 0, exact = null;
     for (const st of stations) {
-      const d = this.haversineDistance(lat, lon, st.lat, st.lon);
+      const d = haversine(lat, lon, st.lat, st.lon);
       if (d < 0.01) { exact = st[field] || 0; break; }
       if (d > this.searchRadius) continue;
       const w = 1 / Math.pow(d, this.idwPower);
@@ -42,58 +60,232 @@ class SpatialInterpolator {
     field = field || 'precipitation';
     let minD = Infinity, nearest = null;
     for (const st of stations) {
-      const d = this.haversineDistance(lat, lon, st.lat, st.lon);
+      const d = haversine(lat, lon, st.lat, st.lon);
       if (d < minD) { minD = d; nearest = st; }
     }
     return nearest ? (nearest[field] || 0) : 0;
   }
 
-  generateGrid(bounds) {
+  /**
+   * Ajusta los variogramas del ciclo con todas las estaciones en linea
+   * (mas pares que las de una sola cuenca)
+   */
+  fitVariograms(stations) {
+    const online = (stations || []).filter(st => st.online !== false);
+    this.variograms = {
+      precipitation: this.kriging.fit(online, 'precipitation'),
+      intensity: this.kriging.fit(online, 'intensity'),
+      fittedAt: new Date(this.now()).toISOString()
+    };
+    return this.variograms;
+  }
+
+  /**
+   * Estimador puntual de estaciones: fn(lat, lon) -> {value, variance}.
+   * Kriging si se pide y hay variograma y estaciones suficientes; si no,
+   * IDW (variance null). Los modos con altitud caen al metodo base si no
+   * hay tendencia significativa.
+   */
+  estimator(stations, field, method, bounds) {
+    if (method === 'idw_elevation' || method === 'regression_kriging') {
+      const trend = this.elevationTrend(stations, field);
+      if (trend) return this.detrendedEstimator(stations, field, method, bounds, trend);
+      method = method === 'regression_kriging' ? 'kriging' : 'idw';
+    }
+    if (method === 'kriging') {
+      const predictor = this.kriging.prepare(stations, field, this.variograms[field], this.center(bounds));
+      if (predictor) {
+        const fn = (lat, lon) => {
+          const est = this.kriging.predict(predictor, lat, lon);
+          return { value: Math.max(0, est.value), variance: est.variance };
+        };
+        fn.method = 'kriging';
+        fn.kriged = true;
+        return fn;
+      }
+    }
+    const fn = (lat, lon) => ({ value: this.idw(lat, lon, stations, field), variance: null });
+    fn.method = 'idw';
+    return fn;
+  }
+
+  center(bounds) {
+    return bounds ? { lat: (bounds.north + bounds.south) / 2, lon: (bounds.east + bounds.west) / 2 } : null;
+  }
+
+  // ==================== CORRECCION OROGRAFICA ====================
+
+  /**
+   * Recta field = intercept + slope * altitud (minimos cuadrados) con las
+   * estaciones del conjunto. Solo se acepta un gradiente positivo (efecto
+   * orografico) con estaciones y desnivel suficientes.
+   * @returns {Object|null} {intercept, slope, r2, stations, minAltitude, maxAltitude}
+   */
+  elevationTrend(stations, field) {
+    const pts = stations.filter(st => Number.isFinite(st.altitude) && Number.isFinite(st[field]));
+    if (pts.length < this.minTrendStations) return null;
+    const n = pts.length;
+    const mx = pts.reduce((s, st) => s + st.altitude, 0) / n;
+    const my = pts.reduce((s, st) => s + st[field], 0) / n;
+    let sxx = 0, sxy = 0, syy = 0, minAlt = Infinity, maxAlt = -Infinity;
+    for (const st of pts) {
+      sxx += (st.altitude - mx) ** 2;
+      sxy += (st.altitude - mx) * (st[field] - my);
+      syy += (st[field] - my) ** 2;
+      minAlt = Math.min(minAlt, st.altitude);
+      maxAlt = Math.max(maxAlt, st.altitude);
+    }
+    if (maxAlt - minAlt < this.minAltitudeRange || sxx === 0 || syy === 0) return null;
+    const slope = sxy / sxx;
+    if (slope <= 0) return null;
+    return {
+      intercept: my - slope * mx,
+      slope,
+      r2: (sxy * sxy) / (sxx * syy),
+      stations: n,
+      minAltitude: minAlt,
+      maxAltitude: maxAlt
+    };
+  }
+
+  /**
+   * Tendencia a una altitud, limitada al rango de altitudes de las
+   * estaciones (no se extrapola por encima de la mas alta)
+   */
+  trendAt(trend, altitude) {
+    const z = Math.max(trend.minAltitude, Math.min(trend.maxAltitude, altitude));
+    return trend.intercept + trend.slope * z;
+  }
+
+  /**
+   * Altitud de un punto: DEM si lo cubre; si no, IDW de la altitud de las
+   * estaciones
+   */
+  elevationAt(lat, lon, stations) {
+    const z = this.dem.elevation(lat, lon);
+    return z !== null ? z : this.idw(lat, lon, stations.filter(st => Number.isFinite(st.altitude)), 'altitude');
+  }
+
+  /**
+   * Tendencia con la altitud + residuos interpolados (IDW o kriging con
+   * variograma ajustado a los residuos)
+   */
+  detrendedEstimator(stations, field, method, bounds, trend) {
+    const residuals = stations
+      .filter(st => Number.isFinite(st.altitude) && Number.isFinite(st[field]))
+      .map(st => ({ lat: st.lat, lon: st.lon, [field]: st[field] - this.trendAt(trend, st.altitude) }));
+    let residual = null;
+    if (method === 'regression_kriging') {
+      const predictor = this.kriging.prepare(
+        residuals, field, this.kriging.fit(residuals, field), this.center(bounds)
+      );
+      if (predictor) residual = (lat, lon) => this.kriging.predict(predictor, lat, lon);
+    }
+    const kriged = residual !== null;
+    if (!residual) residual = (lat, lon) => ({ value: this.idw(lat, lon, residuals, field), variance: null });
+
+    const fn = (lat, lon) => {
+      const r = residual(lat, lon);
+      const value = this.trendAt(trend, this.elevationAt(lat, lon, stations)) + r.value;
+      return { value: Math.max(0, value), variance: r.variance };
+    };
+    fn.method = method;
+    fn.kriged = kriged;
+    fn.trend = {
+      intercept: Math.round(trend.intercept * 100) / 100,
+      gradientPer100m: Math.round(trend.slope * 100 * 100) / 100,
+      r2: Math.round(trend.r2 * 1000) / 1000,
+      stations: trend.stations,
+      altitudeRange: [trend.minAltitude, trend.maxAltitude],
+      residuals: kriged ? 'kriging' : 'idw',
+      elevationSource: this.dem.source
+    };
+    return fn;
+  }
+
+  /**
+   * Banda de incertidumbre (+-1.96 sigma) de la media de una region a
+   * partir de la varianza media de kriging de sus celdas (aproximacion
+   * conservadora de la varianza de bloque)
+   */
+  uncertaintyBand(mean, meanVariance) {
+    const std = Math.sqrt(meanVariance);
+    return {
+      std: Math.round(std * 10) / 10,
+      low: Math.round(Math.max(0, mean - 1.96 * std) * 10) / 10,
+      high: Math.round((mean + 1.96 * std) * 10) / 10
+    };
+  }
+
+  /**
+   * Grilla sobre el rectangulo `bounds`. Con `geometry` cada punto lleva
+   * `weight` = fraccion de su celda dentro del poligono y se descartan los
+   * puntos con peso 0; sin ella todos pesan 1.
+   */
+  generateGrid(bounds, geometry) {
     const grid = [];
     for (let lat = bounds.south; lat <= bounds.north; lat += this.gridResolution) {
       for (let lon = bounds.west; lon <= bounds.east; lon += this.gridResolution) {
         grid.push({
           lat: Math.round(lat * 1000) / 1000,
-          lon: Math.round(lon * 1000) / 1000
+          lon: Math.round(lon * 1000) / 1000,
+          weight: 1
         });
       }
     }
-    return grid;
+    if (!geometry) return grid;
+    const weights = this.geometry.cellWeights(geometry, grid, this.gridResolution);
+    grid.forEach((pt, i) => { pt.weight = weights[i]; });
+    return grid.filter(pt => pt.weight > 0);
+  }
+
+  totalWeight(grid) {
+    return grid.reduce((s, pt) => s + pt.weight, 0) || 1;
   }
 
   /**
    * Interpola precipitacion sobre una region (subcuenca o cuenca)
    */
-  interpolateRegion(bounds, stations) {
+  interpolateRegion(bounds, stations, geometry, method) {
     if (!stations || stations.length === 0) {
       return { meanPrecip: 0, maxPrecip: 0, meanIntensity: 0, maxIntensity: 0, grid: [], stationCount: 0, method: 'none' };
     }
-    const grid = this.generateGrid(bounds);
-    let totalP = 0, totalI = 0, maxP = 0, maxI = 0;
+    const grid = this.generateGrid(bounds, geometry);
+    const estP = this.estimator(stations, 'precipitation', method, bounds);
+    const estI = this.estimator(stations, 'intensity', method, bounds);
+    let totalP = 0, totalI = 0, maxP = 0, maxI = 0, totalVarP = 0, totalVarI = 0;
     const interpGrid = grid.map(pt => {
-      const p = this.idw(pt.lat, pt.lon, stations, 'precipitation');
-      const i = this.idw(pt.lat, pt.lon, stations, 'intensity');
-      totalP += p; totalI += i;
+      const ep = estP(pt.lat, pt.lon), ei = estI(pt.lat, pt.lon);
+      const p = ep.value, i = ei.value;
+      totalP += p * pt.weight; totalI += i * pt.weight;
+      if (ep.variance !== null) totalVarP += ep.variance * pt.weight;
+      if (ei.variance !== null) totalVarI += ei.variance * pt.weight;
       if (p > maxP) maxP = p;
       if (i > maxI) maxI = i;
-      return { ...pt, precipitation: Math.round(p*10)/10, intensity: Math.round(i*10)/10 };
+      const cell = { ...pt, precipitation: Math.round(p*10)/10, intensity: Math.round(i*10)/10 };
+      if (ep.variance !== null) cell.variance = Math.round(ep.variance*100)/100;
+      return cell;
     });
-    const cnt = grid.length || 1;
-    return {
+    const cnt = this.totalWeight(grid);
+    const result = {
       meanPrecip: Math.round((totalP/cnt)*10)/10,
       maxPrecip: Math.round(maxP*10)/10,
       meanIntensity: Math.round((totalI/cnt)*10)/10,
       maxIntensity: Math.round(maxI*10)/10,
       grid: interpGrid,
-      gridPoints: cnt,
+      gridPoints: grid.length,
       stationCount: stations.length,
-      method: 'idw'
+      method: estP.method
     };
+    if (estP.kriged) result.uncertainty = this.uncertaintyBand(totalP / cnt, totalVarP / cnt);
+    if (estI.kriged) result.intensityUncertainty = this.uncertaintyBand(totalI / cnt, totalVarI / cnt);
+    if (estP.trend) result.elevationTrend = estP.trend;
+    return result;
   }
 
   // Alias de compatibilidad
   interpolateBasin(basin, stations) {
-    return this.interpolateRegion(basin.bounds, stations);
+    return this.interpolateRegion(basin.bounds, stations, basin.geometry, this.configuredMethod(basin));
   }
 
   /**
@@ -102,7 +294,7 @@ class SpatialInterpolator {
   idwFromGrid(lat, lon, grid, field) {
     let sumWV = 0, sumW = 0;
     for (const p of grid) {
-      const d = this.haversineDistance(lat, lon, p.lat, p.lon);
+      const d = haversine(lat, lon, p.lat, p.lon);
       if (d < 0.01) return p[field] || 0;
       if (d > this.searchRadius) continue;
       const w = 1 / Math.pow(d, this.idwPower);
@@ -112,86 +304,433 @@ class SpatialInterpolator {
     return sumW > 0 ? sumWV / sumW : 0;
   }
 
+  // ============================================================
+  //  FUSION RADAR-ESTACIONES
+  // ============================================================
+
+  /**
+   * Indice de celdas radar por cubos de 0.1 grados (cacheado por grilla)
+   * para muestrear la celda mas cercana a un punto
+   */
+  radarIndex(radarGrid) {
+    let index = this.radarIndexes.get(radarGrid);
+    if (index) return index;
+    index = new Map();
+    for (const cell of radarGrid) {
+      const k = Math.floor(cell.lat * 10) + ':' + Math.floor(cell.lon * 10);
+      if (!index.has(k)) index.set(k, []);
+      index.get(k).push(cell);
+    }
+    this.radarIndexes.set(radarGrid, index);
+    return index;
+  }
+
   /**
-   * Fusion Radar-Estaciones (Conditional Merging, Sinclair & Pegram 2005)
+   * Tasa radar (mm/h) de la celda mas cercana a (lat, lon), o null si no
+   * hay celda a menos de radarMaxDistance km
    */
-  fuseRadarStations(bounds, stations, radarService, radarGrid) {
+  radarAt(lat, lon, radarGrid, radarService) {
+    const index = this.radarIndex(radarGrid);
+    const bLat = Math.floor(lat * 10), bLon = Math.floor(lon * 10);
+    let minD = this.radarMaxDistance, near = null;
+    for (let i = -1; i <= 1; i++) {
+      for (let j = -1; j <= 1; j++) {
+        for (const cell of index.get((bLat + i) + ':' + (bLon + j)) || []) {
+          const d = haversine(lat, lon, cell.lat, cell.lon);
+          if (d < minD) { minD = d; near = cell; }
+        }
+      }
+    }
+    if (!near) return null;
+    return near.dBZ > 0 ? radarService.dBZtoRainRate(near.dBZ, 'marshall_palmer') : 0;
+  }
+
+  /**
+   * Sesgo medio gauge/radar (suma de estaciones / suma radar en ellas)
+   */
+  meanFieldBias(pairs) {
+    const sumR = pairs.reduce((s, p) => s + p.radar, 0);
+    const sumG = pairs.reduce((s, p) => s + p.gauge, 0);
+    if (sumR < 0.1) return 1;
+    return Math.max(0.1, Math.min(sumG / sumR, 10));
+  }
+
+  /**
+   * Ratios locales gauge/radar donde ambos miden lluvia
+   */
+  biasRatios(pairs) {
+    return pairs
+      .filter(p => p.radar > 0.1 && p.gauge > 0)
+      .map(p => ({ lat: p.lat, lon: p.lon, ratio: Math.max(0.1, Math.min(p.gauge / p.radar, 5)) }));
+  }
+
+  /**
+   * Metodo configurado de la cuenca (basins.json). Los modos con altitud
+   * necesitan el DEM: sin el, la altitud de las celdas sale de las propias
+   * estaciones y la tendencia no aporta relieve, asi que se usa el metodo
+   * base hasta que haya DEM
+   */
+  configuredMethod(basin) {
+    const method = basin.interpolation || 'idw';
+    return this.dem.source === 'dem' ? method : this.baseMethod(method);
+  }
+
+  /**
+   * Metodo pedido (o el de basins.json) frente al que se aplica: sin DEM
+   * los modos con altitud se rebajan y `fallback` lo indica
+   */
+  methodStatus(basin, requested) {
+    const configured = requested || basin.interpolation || 'idw';
+    const active = requested || this.configuredMethod(basin);
+    return {
+      configured,
+      active,
+      fallback: active !== configured ? 'sin DEM: ' + configured + ' -> ' + active : null,
+      elevationSource: this.dem.source
+    };
+  }
+
+  baseMethod(method) {
+    if (method === 'regression_kriging') return 'kriging';
+    if (method === 'idw_elevation') return 'idw';
+    return method;
+  }
+
+  /**
+   * Fusion radar-estaciones de la intensidad (mm/h, mismas unidades que
+   * la tasa radar). `merge`:
+   *   - 'conditional' (Sinclair & Pegram 2005): interpolacion de las
+   *     estaciones + (radar - radar en las estaciones interpolado con los
+   *     mismos pesos). Las estaciones conservan su valor y el radar aporta
+   *     la estructura entre ellas.
+   *   - 'mean_field_bias': radar * (suma estaciones / suma radar)
+   *   - 'local_bias': radar * IDW de los ratios estacion/radar (sesgo
+   *     medio donde no hay ratios cercanos)
+   * La precipitacion acumulada sigue siendo la de las estaciones: el radar
+   * solo da tasa instantanea.
+   */
+  fuseRadarStations(bounds, stations, radarService, radarGrid, geometry, method, merge) {
     if (!radarGrid || radarGrid.length === 0) {
-      return this.interpolateRegion(bounds, stations);
+      return this.interpolateRegion(bounds, stations, geometry, method);
     }
     if (!stations || stations.length === 0) {
-      return this.radarOnlyEstimate(bounds, radarGrid, radarService);
+      return this.radarOnlyEstimate(bounds, radarGrid, radarService, geometry);
     }
+    merge = merge || this.mergeMethod;
 
-    const radarPrecip = radarGrid.map(p => ({
-      ...p, radarMM: radarService.dBZtoRainRate(p.dBZ || 0, 'marshall_palmer')
-    }));
+    // Radar en cada estacion; sin celda radar se asume desviacion nula
+    const pairs = stations.map(st => {
+      const radar = this.radarAt(st.lat, st.lon, radarGrid, radarService);
+      const gauge = st.intensity || 0;
+      return { lat: st.lat, lon: st.lon, gauge, radar: radar === null ? gauge : radar, hasRadar: radar !== null };
+    });
+    const sampled = pairs.filter(p => p.hasRadar);
+    const bias = this.meanFieldBias(sampled);
+    const ratios = merge === 'local_bias' ? this.biasRatios(sampled) : [];
 
-    // Calcular ratios de sesgo estacion/radar
-    const biasPoints = [];
-    for (const st of stations) {
-      let minD = Infinity, nearR = null;
-      for (const rp of radarPrecip) {
-        const d = this.haversineDistance(st.lat, st.lon, rp.lat, rp.lon);
-        if (d < minD) { minD = d; nearR = rp; }
-      }
-      if (nearR && nearR.radarMM > 0.1) {
-        biasPoints.push({
-          lat: st.lat, lon: st.lon,
-          ratio: Math.min((st.precipitation || 0) / nearR.radarMM, 5)
-        });
-      } else if ((st.precipitation || 0) > 0) {
-        biasPoints.push({ lat: st.lat, lon: st.lon, ratio: 3.0 });
-      }
-    }
+    const base = this.baseMethod(method);
+    const estG = this.estimator(pairs.map(p => ({ lat: p.lat, lon: p.lon, intensity: p.gauge })), 'intensity', base, bounds);
+    const estR = merge === 'conditional'
+      ? this.estimator(pairs.map(p => ({ lat: p.lat, lon: p.lon, intensity: p.radar })), 'intensity', base, bounds)
+      : null;
+    const estP = this.estimator(stations, 'precipitation', method, bounds);
 
-    const grid = this.generateGrid(bounds);
-    let totalP = 0, maxP = 0;
+    const grid = this.generateGrid(bounds, geometry);
+    let totalP = 0, maxP = 0, totalI = 0, maxI = 0, totalVar = 0, totalVarI = 0;
     const fusedGrid = grid.map(pt => {
-      const radarVal = this.idwFromGrid(pt.lat, pt.lon, radarPrecip, 'radarMM');
-      let cf = 1.0;
-      if (biasPoints.length > 0) {
-        cf = this.idwFromGrid(pt.lat, pt.lon, biasPoints, 'ratio');
-        cf = Math.max(0.1, Math.min(cf, 5.0));
+      const radar = this.radarAt(pt.lat, pt.lon, radarGrid, radarService);
+      const g = estG(pt.lat, pt.lon);
+      let inten = g.value;
+      if (radar !== null) {
+        if (merge === 'conditional') {
+          inten = g.value + radar - estR(pt.lat, pt.lon).value;
+        } else if (merge === 'local_bias' && ratios.length > 0) {
+          const d = Math.min(...ratios.map(r => haversine(pt.lat, pt.lon, r.lat, r.lon)));
+          inten = radar * (d <= this.searchRadius ? this.idwFromGrid(pt.lat, pt.lon, ratios, 'ratio') : bias);
+        } else {
+          inten = radar * bias;
+        }
       }
-      const stVal = this.idw(pt.lat, pt.lon, stations, 'precipitation');
-      const fused = this.radarWeight * (radarVal * cf) + (1 - this.radarWeight) * stVal;
-      totalP += fused;
-      if (fused > maxP) maxP = fused;
-      return { ...pt, precipitation: Math.round(fused*10)/10 };
+      inten = Math.max(0, inten);
+      const ep = estP(pt.lat, pt.lon);
+      totalP += ep.value * pt.weight;
+      totalI += inten * pt.weight;
+      if (ep.variance !== null) totalVar += ep.variance * pt.weight;
+      // La varianza del conditional merging es la del kriging de estaciones
+      if (merge === 'conditional' && g.variance !== null) totalVarI += g.variance * pt.weight;
+      if (ep.value > maxP) maxP = ep.value;
+      if (inten > maxI) maxI = inten;
+      return {
+        ...pt,
+        precipitation: Math.round(ep.value*10)/10,
+        intensity: Math.round(inten*10)/10,
+        radar: radar === null ? null : Math.round(radar*10)/10
+      };
     });
 
-    const cnt = grid.length || 1;
-    return {
+    const cnt = this.totalWeight(grid);
+    const result = {
       meanPrecip: Math.round((totalP/cnt)*10)/10,
       maxPrecip: Math.round(maxP*10)/10,
-      grid: fusedGrid, gridPoints: cnt,
+      meanIntensity: Math.round((totalI/cnt)*10)/10,
+      maxIntensity: Math.round(maxI*10)/10,
+      grid: fusedGrid, gridPoints: grid.length,
       stationCount: stations.length,
       method: 'radar_station_fusion',
-      radarWeight: this.radarWeight
+      interpolation: estP.method,
+      merge,
+      meanFieldBias: Math.round(bias * 100) / 100,
+      stationsWithRadar: sampled.length
     };
+    if (estP.kriged) result.uncertainty = this.uncertaintyBand(totalP / cnt, totalVar / cnt);
+    if (merge === 'conditional' && estG.kriged) {
+      result.intensityUncertainty = this.uncertaintyBand(totalI / cnt, totalVarI / cnt);
+    }
+    if (estP.trend) result.elevationTrend = estP.trend;
+    return result;
   }
 
-  radarOnlyEstimate(bounds, radarGrid, radarService) {
-    const grid = this.generateGrid(bounds);
+  /**
+   * Validacion cruzada dejando una fuera (LOO) de la intensidad en las
+   * estaciones con celda radar: para cada estacion se estima su valor con
+   * las demas (IDW) por cada variante de fusion y se compara con lo
+   * medido. Solo estaciones "humedas" (lluvia en estacion o radar).
+   * @returns {Object|null} {timestamp, stations, methods: {name: {rmse, mae, bias, r}}, best}
+   */
+  crossValidateMerge(stations, radarGrid, radarService) {
+    this.mergeValidation = null;
+    if (!radarGrid || radarGrid.length === 0) return null;
+    const pairs = [];
+    for (const st of stations || []) {
+      if (st.online === false || !st.lat || !st.lon) continue;
+      const radar = this.radarAt(st.lat, st.lon, radarGrid, radarService);
+      if (radar === null) continue;
+      pairs.push({ lat: st.lat, lon: st.lon, gauge: st.intensity || 0, radar });
+    }
+    const wet = pairs.filter(p => p.gauge >= 0.1 || p.radar >= 0.1);
+    if (wet.length < 5) return null;
+
+    const sumG = pairs.reduce((s, p) => s + p.gauge, 0);
+    const sumR = pairs.reduce((s, p) => s + p.radar, 0);
+    const names = ['gauges_only', 'radar_only', ...MERGE_METHODS];
+    const errors = Object.fromEntries(names.map(n => [n, []]));
+
+    for (const target of wet) {
+      let sumW = 0, wG = 0, wR = 0, sumWB = 0, wB = 0;
+      for (const p of pairs) {
+        if (p === target) continue;
+        const d = haversine(target.lat, target.lon, p.lat, p.lon);
+        if (d > this.searchRadius) continue;
+        const w = 1 / Math.pow(Math.max(d, 0.01), this.idwPower);
+        sumW += w; wG += w * p.gauge; wR += w * p.radar;
+        if (p.radar > 0.1 && p.gauge > 0) {
+          sumWB += w;
+          wB += w * Math.max(0.1, Math.min(p.gauge / p.radar, 5));
+        }
+      }
+      if (sumW === 0) continue;
+      const restR = sumR - target.radar;
+      const bias = restR < 0.1 ? 1 : Math.max(0.1, Math.min((sumG - target.gauge) / restR, 10));
+      const est = {
+        gauges_only: wG / sumW,
+        radar_only: target.radar,
+        conditional: Math.max(0, wG / sumW + target.radar - wR / sumW),
+        mean_field_bias: target.radar * bias,
+        local_bias: target.radar * (sumWB > 0 ? wB / sumWB : bias)
+      };
+      for (const n of names) errors[n].push({ est: est[n], obs: target.gauge });
+    }
+
+    const round = v => Math.round(v * 1000) / 1000;
+    const methods = {};
+    for (const n of names) {
+      const e = errors[n];
+      if (e.length === 0) continue;
+      const mo = e.reduce((s, x) => s + x.obs, 0) / e.length;
+      const me = e.reduce((s, x) => s + x.est, 0) / e.length;
+      let se = 0, ae = 0, cov = 0, vo = 0, ve = 0;
+      for (const x of e) {
+        se += (x.est - x.obs) ** 2;
+        ae += Math.abs(x.est - x.obs);
+        cov += (x.est - me) * (x.obs - mo);
+        vo += (x.obs - mo) ** 2;
+        ve += (x.est - me) ** 2;
+      }
+      methods[n] = {
+        n: e.length,
+        rmse: round(Math.sqrt(se / e.length)),
+        mae: round(ae / e.length),
+        bias: round(me - mo),
+        r: vo > 0 && ve > 0 ? round(cov / Math.sqrt(vo * ve)) : null
+      };
+    }
+    const ranked = Object.entries(methods).sort((a, b) => a[1].rmse - b[1].rmse);
+    this.mergeValidation = {
+      timestamp: new Date(this.now()).toISOString(),
+      field: 'intensity',
+      stations: wet.length,
+      active: this.mergeMethod,
+      methods,
+      best: ranked.length > 0 ? ranked[0][0] : null
+    };
+    return this.mergeValidation;
+  }
+
+  radarOnlyEstimate(bounds, radarGrid, radarService, geometry) {
+    const grid = this.generateGrid(bounds, geometry);
     const rp = radarGrid.map(p => ({
       ...p, radarMM: radarService.dBZtoRainRate(p.dBZ || 0, 'marshall_palmer')
     }));
     let total = 0, maxP = 0;
     const result = grid.map(pt => {
       const v = this.idwFromGrid(pt.lat, pt.lon, rp, 'radarMM');
-      total += v; if (v > maxP) maxP = v;
+      total += v * pt.weight; if (v > maxP) maxP = v;
       return { ...pt, precipitation: Math.round(v*10)/10 };
     });
-    const cnt = grid.length || 1;
+    const cnt = this.totalWeight(grid);
     return {
       meanPrecip: Math.round((total/cnt)*10)/10,
       maxPrecip: Math.round(maxP*10)/10,
-      grid: result, gridPoints: cnt, stationCount: 0,
+      grid: result, gridPoints: grid.length, stationCount: 0,
       method: 'radar_only'
     };
   }
 
+  // ============================================================
+  //  CAMPO REGIONAL (RASTER SOBRE TODO EL DOMINIO SE)
+  // ============================================================
+
+  /**
+   * Campo continuo de precipitacion e intensidad sobre `domain` a
+   * gridResolution. IDW de estaciones (indexadas por cubos para no
+   * recorrer todas en cada celda) y, si hay grilla radar, fusion de la
+   * intensidad con la tasa radar de la celda que la contiene segun
+   * mergeMethod (mismas variantes que fuseRadarStations, con IDW).
+   *
+   * @param {Object} domain - {north, south, east, west}
+   * @param {Array} stations - estaciones con lat, lon, precipitation, intensity
+   * @param {Object} radarService - para dBZtoRainRate
+   * @param {Object|null} radarFrame - {bounds, resolution, rows, cols, cells}
+   * @returns {Object} {bounds, resolution, rows, cols, precipitation, intensity, ...}
+   *   (Float32Array en orden de filas, fila 0 = norte; centro de celda
+   *   lat = north - (r + 0.5) * resolution)
+   */
+  regionalField(domain, stations, radarService, radarFrame) {
+    const res = this.gridResolution;
+    const rows = Math.round((domain.north - domain.south) / res);
+    const cols = Math.round((domain.east - domain.west) / res);
+    const precipitation = new Float32Array(rows * cols);
+    const intensity = new Float32Array(rows * cols);
+    const valid = (stations || []).filter(st => st.online !== false && st.lat && st.lon);
+
+    // Cubos de 0.5 grados: basta revisar los vecinos dentro de searchRadius
+    const bucket = 0.5;
+    const buckets = new Map();
+    const keyOf = (lat, lon) => Math.floor(lat / bucket) + ':' + Math.floor(lon / bucket);
+    valid.forEach(st => {
+      const k = keyOf(st.lat, st.lon);
+      if (!buckets.has(k)) buckets.set(k, []);
+      buckets.get(k).push(st);
+    });
+    const reach = Math.ceil(this.searchRadius / (111 * bucket * 0.75));
+
+    let radarRate = null;
+    if (radarFrame && radarFrame.cells && radarFrame.cells.length === radarFrame.rows * radarFrame.cols) {
+      radarRate = radarFrame.cells.map(c => c.dBZ > 0 ? radarService.dBZtoRainRate(c.dBZ, 'marshall_palmer') : 0);
+    }
+    const rateAt = (lat, lon) => {
+      const rr = Math.floor((radarFrame.bounds.north - lat) / radarFrame.resolution);
+      const rc = Math.floor((lon - radarFrame.bounds.west) / radarFrame.resolution);
+      if (rr < 0 || rr >= radarFrame.rows || rc < 0 || rc >= radarFrame.cols) return null;
+      return radarRate[rr * radarFrame.cols + rc];
+    };
+
+    // Radar en cada estacion (sin celda: desviacion nula) y sesgos
+    const merge = this.mergeMethod;
+    const atStation = new Map();
+    let bias = 1;
+    if (radarRate) {
+      const sampled = [];
+      valid.forEach(st => {
+        const rv = rateAt(st.lat, st.lon);
+        const gauge = st.intensity || 0;
+        const pair = { lat: st.lat, lon: st.lon, gauge, radar: rv === null ? gauge : rv };
+        pair.ratio = rv !== null && rv > 0.1 && gauge > 0 ? Math.max(0.1, Math.min(gauge / rv, 5)) : null;
+        atStation.set(st, pair);
+        if (rv !== null) sampled.push(pair);
+      });
+      bias = this.meanFieldBias(sampled);
+    }
+
+    let maxP = 0, maxI = 0;
+    for (let r = 0; r < rows; r++) {
+      const lat = domain.north - (r + 0.5) * res;
+      const bLat = Math.floor(lat / bucket);
+      for (let c = 0; c < cols; c++) {
+        const lon = domain.west + (c + 0.5) * res;
+        const bLon = Math.floor(lon / bucket);
+        let sumW = 0, sumP = 0, sumI = 0, sumR = 0, sumWB = 0, sumB = 0, exact = null;
+        for (let i = -reach; i <= reach && !exact; i++) {
+          for (let j = -reach; j <= reach && !exact; j++) {
+            for (const st of buckets.get((bLat + i) + ':' + (bLon + j)) || []) {
+              const d = haversine(lat, lon, st.lat, st.lon);
+              if (d < 0.01) { exact = st; break; }
+              if (d > this.searchRadius) continue;
+              const w = 1 / Math.pow(d, this.idwPower);
+              sumW += w;
+              sumP += w * (st.precipitation || 0);
+              sumI += w * (st.intensity || 0);
+              const pair = atStation.get(st);
+              if (pair) {
+                sumR += w * pair.radar;
+                if (pair.ratio !== null) { sumWB += w; sumB += w * pair.ratio; }
+              }
+            }
+          }
+        }
+        const p = exact ? (exact.precipitation || 0) : (sumW > 0 ? sumP / sumW : 0);
+        let inten = exact ? (exact.intensity || 0) : (sumW > 0 ? sumI / sumW : 0);
+
+        const rv = radarRate ? rateAt(lat, lon) : null;
+        if (rv !== null && !exact) {
+          if (merge === 'conditional') {
+            inten = sumW > 0 ? inten + rv - sumR / sumW : rv;
+          } else if (merge === 'local_bias' && sumWB > 0) {
+            inten = rv * sumB / sumWB;
+          } else {
+            inten = rv * bias;
+          }
+          inten = Math.max(0, inten);
+        }
+
+        precipitation[r * cols + c] = p;
+        intensity[r * cols + c] = inten;
+        if (p > maxP) maxP = p;
+        if (inten > maxI) maxI = inten;
+      }
+    }
+
+    return {
+      bounds: {
+        north: domain.north,
+        south: Math.round((domain.north - rows * res) * 1e6) / 1e6,
+        west: domain.west,
+        east: Math.round((domain.west + cols * res) * 1e6) / 1e6
+      },
+      resolution: res,
+      rows,
+      cols,
+      precipitation,
+      intensity,
+      maxPrecip: Math.round(maxP * 10) / 10,
+      maxIntensity: Math.round(maxI * 10) / 10,
+      stationCount: valid.length,
+      method: radarRate ? 'idw_radar' : 'idw',
+      merge: radarRate ? merge : null,
+      timestamp: new Date(this.now()).toISOString()
+    };
+  }
+
   // ============================================================
   //  ESTIMACION POR SUBCUENCA (MODELO SEMI-DISTRIBUIDO)
   // ============================================================
@@ -208,14 +747,22 @@ class SpatialInterpolator {
    *   4. Devuelve precipitacion media y maxima intensidad por subcuenca
    *
    * @param {Object} basin - cuenca con subcatchments[]
-   * @param {Array} allStations - todas las estaciones SUREMET
+   * @param {Array} allStations - todas las estaciones
    * @param {Object} radarService - servicio radar AEMET
    * @param {Array|null} radarGrid - grilla de reflectividad
-   * @returns {Object} {subId: {precip, intensity}, mean, maxIntensity, ...}
+   * @param {string} [interpolation] - 'idw' | 'kriging' | 'idw_elevation' |
+   *   'regression_kriging' (por defecto configuredMethod(basin))
+   * @param {string} [merge] - 'conditional' | 'mean_field_bias' | 'local_bias'
+   *   (por defecto basin.radarMerge o mergeMethod)
+   * @returns {Object} {subId: {precip, intensity, uncertainty}, mean, maxIntensity,
+   *   interpolationStatus: {configured, active, fallback, elevationSource}, ...}
    */
-  estimateSubcatchmentPrecip(basin, allStations, radarService, radarGrid) {
+  estimateSubcatchmentPrecip(basin, allStations, radarService, radarGrid, interpolation, merge) {
     const margin = 0.15;
     const subs = basin.subcatchments || [];
+    const status = this.methodStatus(basin, interpolation);
+    const method = status.active;
+    merge = merge || basin.radarMerge || this.mergeMethod;
 
     // Filtrar estaciones en area general de la cuenca
     const basinStations = allStations.filter(st =>
@@ -239,12 +786,17 @@ class SpatialInterpolator {
     // Si no hay subcuencas, devolver formato compatible
     if (subs.length === 0) {
       const result = hasRadar && basinStations.length > 0
-        ? this.fuseRadarStations(basin.bounds, basinStations, radarService, basinRadar)
-        : this.interpolateRegion(basin.bounds, basinStations);
+        ? this.fuseRadarStations(basin.bounds, basinStations, radarService, radarGrid, basin.geometry, method, merge)
+        : this.interpolateRegion(basin.bounds, basinStations, basin.geometry, method);
       return {
         mean: result.meanPrecip,
-        maxIntensity: result.maxPrecip,
+        maxIntensity: result.maxIntensity || result.maxPrecip,
         method: result.method,
+        interpolation: result.interpolation || result.method,
+        interpolationStatus: status,
+        merge: result.merge || null,
+        uncertainty: result.uncertainty || null,
+        elevationTrend: result.elevationTrend || null,
         basinId: basin.id,
         stationsUsed: basinStations.length,
         subcatchmentCount: 0
@@ -275,25 +827,39 @@ class SpatialInterpolator {
         );
       }
       const subHasRadar = subRadar && subRadar.length > 0;
+      // Kriging y los modos con altitud usan todas las estaciones de la
+      // cuenca (variograma / recta con desnivel suficiente); IDW solo las
+      // cercanas a la subcuenca
+      const interpStations = method === 'idw' ? subStations : basinStations;
 
       let estimate;
       if (subHasRadar && subStations.length > 0) {
-        estimate = this.fuseRadarStations(sub.bounds, subStations, radarService, subRadar);
+        // Radar de todo el dominio: se muestrea tambien en las estaciones de fuera
+        estimate = this.fuseRadarStations(sub.bounds, interpStations, radarService, radarGrid, sub.geometry, method, merge);
       } else if (subStations.length > 0) {
-        estimate = this.interpolateRegion(sub.bounds, subStations);
+        estimate = this.interpolateRegion(sub.bounds, interpStations, sub.geometry, method);
       } else if (subHasRadar) {
-        estimate = this.radarOnlyEstimate(sub.bounds, subRadar, radarService);
+        estimate = this.radarOnlyEstimate(sub.bounds, subRadar, radarService, sub.geometry);
       } else {
         estimate = { meanPrecip: 0, maxPrecip: 0, meanIntensity: 0, maxIntensity: 0, method: 'no_data' };
       }
 
-      const precip = estimate.meanPrecip || 0;
+      // Solo radar da intensidad (mm/h), no el acumulado del dia: la
+      // integra el acumulador del servidor a partir de rainRate
+      const radarOnly = estimate.method === 'radar_only';
+      const precip = radarOnly ? 0 : estimate.meanPrecip || 0;
       const intensity = estimate.maxIntensity || estimate.maxPrecip || 0;
 
       subPrecip[sub.id] = {
         precip: precip,
+        rainRate: radarOnly ? estimate.meanPrecip : undefined,
         intensity: intensity,
         method: estimate.method,
+        interpolation: estimate.interpolation || estimate.method,
+        merge: estimate.merge || null,
+        uncertainty: estimate.uncertainty || null,
+        intensityUncertainty: estimate.intensityUncertainty || null,
+        elevationTrend: estimate.elevationTrend || null,
         stationsUsed: subStations.length,
         radarPixels: subHasRadar ? subRadar.length : 0
       };
@@ -311,7 +877,10 @@ class SpatialInterpolator {
       ...subPrecip,
       mean: meanBasinPrecip,
       maxIntensity: Math.round(globalMaxIntensity * 10) / 10,
-      method: hasRadar ? 'distributed_fusion' : 'distributed_idw',
+      method: hasRadar ? 'distributed_fusion' : 'distributed_' + method,
+      interpolation: method,
+      interpolationStatus: status,
+      merge: hasRadar ? merge : null,
       basinId: basin.id,
       stationsUsed: basinStations.length,
       subcatchmentCount: subs.length
@@ -345,4 +914,7 @@ class SpatialInterpolator {
   }
 }
 
+SpatialInterpolator.METHODS = METHODS;
+SpatialInterpolator.MERGE_METHODS = MERGE_METHODS;
+
 module.exports = SpatialInterpolator;
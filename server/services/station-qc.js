@@ -0,0 +1,276 @@
+const fs = require('fs');
+const { haversine } = require('./geo-distance');
+
+/**
+ * Control de Calidad de Estaciones - HidroAlerta SE
+ *
+ * Se ejecuta sobre las lecturas del ciclo antes de interpolar. Cada
+ * lectura recibe `qc = {status, flags, usable}`:
+ *   - rango fisico de cada variable
+ *   - picos temporales frente a la muestra anterior (contador de lluvia
+ *     que sube mas de lo posible, saltos de intensidad)
+ *   - sensor bloqueado (mismo valor durante horas)
+ *   - fecha de observacion antigua, futura o ilegible
+ *   - consistencia espacial dejando la estacion fuera: lluvia muy por
+ *     encima de todas sus vecinas (salvo que el radar la confirme) o seca
+ *     con todas las vecinas mojadas
+ *   - lista negra manual (persistida en disco)
+ *
+ * Los fallos que afectan a la lluvia dejan la estacion `rejected`
+ * (usable = false: no entra en interpolacion ni acumulados), salvo la
+ * intensidad repetida; el resto solo la marcan `suspect`.
+ */
+
+const RANGES = {
+  precipitation: [0, 500],   // mm, contador diario
+  intensity: [0, 300],       // mm/h
+  temperature: [-30, 50],
+  humidity: [0, 100],
+  pressure: [850, 1080],
+  windSpeed: [0, 250]
+};
+
+// Variables de lluvia: un fallo en ellas invalida la estacion
+const RAIN_FIELDS = ['precipitation', 'intensity'];
+
+// Flags que dejan la estacion fuera de la interpolacion. stuck_intensity
+// solo marca sospechosa: lluvia persistente o redes que publican la
+// intensidad horaria (AEMET) repiten valor sin que el sensor falle
+const REJECTING = new Set([
+  'range_precipitation', 'range_intensity', 'spike_precipitation', 'spike_intensity',
+  'stale', 'timestamp_future', 'spatial_high', 'spatial_low', 'blacklisted'
+]);
+
+const clockFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Europe/Madrid', year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+});
+
+class StationQC {
+  constructor(opts) {
+    opts = opts || {};
+    this.blacklistFile = opts.blacklistFile || null;
+    this.now = opts.now || Date.now;
+    this.maxRainRate = 200;        // mm/h equivalentes entre dos muestras
+    this.maxIntensityJump = 150;   // mm/h
+    this.stuckHours = { temperature: 6, humidity: 6, pressure: 12, intensity: 1 };
+    this.staleMinutes = 60;
+    // Redes con publicacion retrasada (AEMET horaria): {network: minutos}
+    this.staleMinutesByNetwork = opts.staleMinutesByNetwork || {};
+    this.futureMinutes = 15;
+    this.spatialRadius = 25;       // km
+    this.minNeighbours = 3;
+    this.spatialTolerance = { precipitation: 20, intensity: 10 };
+    this.spatialRatio = 3;
+    this.radarConfirmRate = 5;     // mm/h en la celda radar de la estacion
+    this.previous = new Map();
+    this.blacklist = new Map();
+    this.lastRun = null;
+    this.loadBlacklist();
+  }
+
+  // ==================== LISTA NEGRA ====================
+
+  loadBlacklist() {
+    if (!this.blacklistFile || !fs.existsSync(this.blacklistFile)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.blacklistFile, 'utf8'));
+      Object.entries(data).forEach(([id, entry]) => this.blacklist.set(id, entry));
+    } catch (err) {
+      console.error('[QC] Error leyendo lista negra:', err.message);
+    }
+  }
+
+  async saveBlacklist() {
+    if (!this.blacklistFile) return;
+    await fs.promises.writeFile(
+      this.blacklistFile, JSON.stringify(Object.fromEntries(this.blacklist), null, 2) + '\n'
+    );
+  }
+
+  async addToBlacklist(id, reason) {
+    const entry = { reason: reason || null, since: new Date(this.now()).toISOString() };
+    this.blacklist.set(id, entry);
+    await this.saveBlacklist();
+    return entry;
+  }
+
+  async removeFromBlacklist(id) {
+    const removed = this.blacklist.delete(id);
+    if (removed) await this.saveBlacklist();
+    return removed;
+  }
+
+  getBlacklist() {
+    return Array.from(this.blacklist.entries()).map(([id, entry]) => ({ id, ...entry }));
+  }
+
+  // ==================== FECHAS ====================
+
+  /**
+   * Fecha de observacion en ms. Acepta ISO con zona, o 'YYYY-MM-DD HH:MM[:SS]'
+   * y 'DD/MM/YYYY HH:MM[:SS]' en hora local de Madrid. null si no se entiende.
+   */
+  parseTimestamp(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    let m = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (m) return this.madridToUtc(+m[1], +m[2], +m[3], +m[4], +m[5], +(m[6] || 0));
+    m = text.match(/^(\d{2})\/(\d{2})\/(\d{4})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (m) return this.madridToUtc(+m[3], +m[2], +m[1], +m[4], +m[5], +(m[6] || 0));
+    const t = Date.parse(text);
+    return isNaN(t) ? null : t;
+  }
+
+  madridToUtc(y, mo, d, h, mi, s) {
+    const guess = Date.UTC(y, mo - 1, d, h, mi, s);
+    const p = {};
+    clockFormatter.formatToParts(new Date(guess)).forEach(part => { p[part.type] = +part.value; });
+    const local = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return guess - (local - guess);
+  }
+
+  // ==================== CONTROLES ====================
+
+  checkRanges(st, flags) {
+    for (const [field, [min, max]] of Object.entries(RANGES)) {
+      const v = st[field];
+      if (v === null || v === undefined) continue;
+      if (!Number.isFinite(v) || v < min || v > max) flags.push('range_' + field);
+    }
+  }
+
+  checkTime(st, observed, now, flags) {
+    if (observed === null) { flags.push('timestamp_invalid'); return; }
+    if (observed - now > this.futureMinutes * 60000) flags.push('timestamp_future');
+    else if (now - observed > (this.staleMinutesByNetwork[st.network] || this.staleMinutes) * 60000) {
+      flags.push('stale');
+    }
+  }
+
+  /**
+   * Picos y sensores bloqueados frente al historial de la estacion. Una
+   * observacion repetida (misma fecha) hereda los flags de la anterior.
+   * Un pico del contador se mantiene hasta su reinicio diario, porque el
+   * contador sigue arrastrando el valor erroneo.
+   */
+  checkTemporal(st, observed, flags) {
+    const prev = this.previous.get(st.id);
+    if (prev && observed !== null && observed === prev.observed) {
+      flags.push(...prev.flags);
+      return;
+    }
+    const temporal = [];
+    const precip = st.precipitation || 0;
+    let latched = false;
+    if (prev && observed !== null && prev.observed !== null && observed > prev.observed) {
+      const hours = Math.max(observed - prev.observed, 5 * 60000) / 3600000;
+      const delta = precip - (prev.precipitation || 0);
+      // Un contador que baja es el reinicio diario, no un pico
+      latched = delta >= 0 && (prev.latched || delta / hours > this.maxRainRate);
+      if (latched) temporal.push('spike_precipitation');
+      if (Math.abs((st.intensity || 0) - (prev.intensity || 0)) > this.maxIntensityJump) {
+        temporal.push('spike_intensity');
+      }
+    }
+
+    const since = {};
+    for (const field of Object.keys(this.stuckHours)) {
+      const v = st[field];
+      if (v === null || v === undefined || (field === 'intensity' && v === 0)) continue;
+      const last = prev && prev.since[field];
+      since[field] = last && last.value === v ? last : { value: v, time: observed };
+      if (observed !== null && since[field].time !== null &&
+          observed - since[field].time >= this.stuckHours[field] * 3600000) {
+        temporal.push('stuck_' + field);
+      }
+    }
+
+    this.previous.set(st.id, {
+      observed, precipitation: precip, intensity: st.intensity || 0, since, latched, flags: temporal
+    });
+    flags.push(...temporal);
+  }
+
+  /**
+   * Comparacion con las vecinas (sin la propia estacion) que han pasado
+   * el resto de controles
+   */
+  checkSpatial(stations, radarAt) {
+    const candidates = stations.filter(st => st.online !== false && !st.qc.flags.some(f => REJECTING.has(f)));
+    // Cubos de 0.25 grados para no comparar todas con todas
+    const buckets = new Map();
+    const key = (a, b) => a + ':' + b;
+    candidates.forEach(st => {
+      const k = key(Math.floor(st.lat * 4), Math.floor(st.lon * 4));
+      if (!buckets.has(k)) buckets.set(k, []);
+      buckets.get(k).push(st);
+    });
+
+    for (const st of candidates) {
+      const bLat = Math.floor(st.lat * 4), bLon = Math.floor(st.lon * 4);
+      const neighbours = [];
+      for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) {
+          for (const other of buckets.get(key(bLat + i, bLon + j)) || []) {
+            if (other === st) continue;
+            if (haversine(st.lat, st.lon, other.lat, other.lon) <= this.spatialRadius) neighbours.push(other);
+          }
+        }
+      }
+      if (neighbours.length < this.minNeighbours) continue;
+
+      for (const field of RAIN_FIELDS) {
+        const v = st[field] || 0;
+        const values = neighbours.map(n => n[field] || 0);
+        const max = Math.max(...values), min = Math.min(...values);
+        const tol = this.spatialTolerance[field];
+        if (v - max > tol && v > this.spatialRatio * max) {
+          const radar = radarAt ? radarAt(st.lat, st.lon) : null;
+          if (radar === null || radar < this.radarConfirmRate) st.qc.flags.push('spatial_high');
+        } else if (v === 0 && min > tol) {
+          st.qc.flags.push('spatial_low');
+        }
+      }
+    }
+  }
+
+  /**
+   * Marca las lecturas del ciclo (modifica cada estacion con `qc`)
+   * @param {Array} stations
+   * @param {Object} [opts] - {now, radarAt(lat, lon) -> mm/h | null}
+   * @returns {Object} resumen {ok, suspect, rejected}
+   */
+  check(stations, opts) {
+    opts = opts || {};
+    const now = opts.now || this.now();
+    for (const st of stations) {
+      const flags = [];
+      const observed = this.parseTimestamp(st.timestamp);
+      this.checkRanges(st, flags);
+      this.checkTime(st, observed, now, flags);
+      this.checkTemporal(st, observed, flags);
+      if (this.blacklist.has(st.id)) flags.push('blacklisted');
+      st.qc = { status: 'ok', flags, usable: true };
+    }
+    this.checkSpatial(stations, opts.radarAt || null);
+
+    const summary = { ok: 0, suspect: 0, rejected: 0 };
+    for (const st of stations) {
+      const flags = Array.from(new Set(st.qc.flags));
+      const rejected = flags.some(f => REJECTING.has(f));
+      st.qc = {
+        status: rejected ? 'rejected' : flags.length > 0 ? 'suspect' : 'ok',
+        flags,
+        usable: !rejected
+      };
+      summary[st.qc.status]++;
+    }
+    this.lastRun = { timestamp: new Date(now).toISOString(), ...summary };
+    return summary;
+  }
+}
+
+StationQC.RANGES = RANGES;
+
+module.exports = StationQC;
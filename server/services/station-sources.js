@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const SuremetAdapter = require('./adapters/suremet');
+const AemetAdapter = require('./adapters/aemet');
+const SaihChsAdapter = require('./adapters/saih-chs');
+const AvametAdapter = require('./adapters/avamet');
+const { haversine } = require('./geo-distance');
+
+const ADAPTERS = {
+  suremet: SuremetAdapter,
+  aemet: AemetAdapter,
+  saih_chs: SaihChsAdapter,
+  avamet: AvametAdapter
+};
+
+/**
+ * Fuentes de Estaciones - HidroAlerta SE
+ *
+ * Ejecuta los adaptadores activos de config/sources.json y fusiona sus
+ * estaciones. Una misma ubicacion puede publicarse en varias redes (p. ej.
+ * un pluviometro SAIH replicado en una red de aficionados): dos estaciones
+ * de redes distintas a menos de `dedupDistanceKm` y con altitudes
+ * compatibles se consideran la misma y se conserva la de mayor prioridad
+ * (menor numero; en linea antes que fuera de linea). La conservada lista
+ * las descartadas en `duplicates` ({id, network, feed}).
+ *
+ * Con `recordDir` se guarda el contenido crudo de cada feed como fixture
+ * (<feed>_<fecha>.<ext>) para probar los parsers sin red. Con `replay`
+ * (StormReplay) los feeds se leen de esas grabaciones en lugar de la red.
+ */
+class StationSources {
+  /**
+   * @param {Object} config - config/sources.json
+   * @param {SourceHealth} [health]
+   * @param {Object} [opts] - {recordDir, domain, parseTimestamp, replay} (parseTimestamp:
+   *   fecha de observacion -> ms, para la edad del dato de cada feed)
+   */
+  constructor(config, health, opts) {
+    opts = opts || {};
+    this.config = config || {};
+    this.health = health || null;
+    this.recordDir = opts.recordDir || null;
+    this.replay = opts.replay || null;
+    this.parseTimestamp = opts.parseTimestamp || (ts => { const t = Date.parse(ts); return isNaN(t) ? null : t; });
+    this.dedupDistanceKm = this.config.dedupDistanceKm !== undefined ? this.config.dedupDistanceKm : 0.3;
+    this.dedupAltitudeM = this.config.dedupAltitudeM !== undefined ? this.config.dedupAltitudeM : 50;
+    this.cache = new Map();
+    this.lastFetch = null;
+    this.lastDuplicates = 0;
+
+    this.adapters = [];
+    for (const cfg of this.config.adapters || []) {
+      const Adapter = ADAPTERS[cfg.type];
+      if (!Adapter) {
+        console.error('[SOURCES] Tipo de adaptador desconocido: ' + cfg.type);
+        continue;
+      }
+      const adapter = new Adapter({ bounds: opts.domain, ...cfg });
+      // En un simulacro basta con que haya grabaciones (sin clave ni URL)
+      adapter.enabled = cfg.enabled !== false && (this.replay ? this.replay.covers(adapter) : adapter.ready());
+      this.adapters.push(adapter);
+      if (this.health) {
+        adapter.feeds().forEach(feed => this.health.register(feed.name, {
+          label: feed.label, maxAgeMinutes: feed.maxAgeMinutes, enabled: adapter.enabled
+        }));
+      }
+    }
+    if (this.recordDir) fs.mkdirSync(this.recordDir, { recursive: true });
+  }
+
+  static create(type, config) {
+    const Adapter = ADAPTERS[type];
+    if (!Adapter) throw new Error('Tipo de adaptador desconocido: ' + type);
+    return new Adapter(config);
+  }
+
+  active() {
+    return this.adapters.filter(a => a.enabled);
+  }
+
+  async record(feedName, raw, extension) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.recordDir, `${feedName}_${stamp}.${extension}`);
+    await fs.promises.writeFile(file, typeof raw === 'string' || Buffer.isBuffer(raw) ? raw : JSON.stringify(raw));
+  }
+
+  async fetchAllStations() {
+    const recorder = this.recordDir ? (feed, raw, ext) => this.record(feed, raw, ext) : null;
+    const source = this.replay ? feed => this.replay.raw(feed.name) : null;
+    const results = await Promise.allSettled(
+      this.active().map(adapter => adapter.fetch(this.health, recorder, source)
+        .then(stations => stations.map(st => ({ ...st, priority: adapter.priority }))))
+    );
+    const all = results
+      .filter(r => r.status === 'fulfilled')
+      .flatMap(r => r.value);
+    // Edad del dato antes de fusionar: un feed absorbido sigue observado
+    if (this.health) {
+      for (const [feed, t] of Object.entries(this.newestByFeed(all))) this.health.observe(feed, t);
+    }
+    const stations = this.deduplicate(all);
+    this.lastDuplicates = all.length - stations.length;
+    this.lastFetch = new Date();
+    stations.forEach(s => this.cache.set(s.id, s));
+    return stations;
+  }
+
+  /**
+   * Estaciones co-localizadas de redes distintas -> una sola. Altitud 0 se
+   * trata como desconocida (no descarta el emparejamiento).
+   */
+  deduplicate(stations) {
+    const sorted = stations.slice().sort((a, b) =>
+      (a.priority - b.priority) || ((b.online ? 1 : 0) - (a.online ? 1 : 0)));
+    const cellSize = 0.01;  // ~1 km, mayor que dedupDistanceKm
+    const key = (i, j) => i + ':' + j;
+    const buckets = new Map();
+    const kept = [];
+
+    for (const st of sorted) {
+      const ci = Math.floor(st.lat / cellSize), cj = Math.floor(st.lon / cellSize);
+      let match = null;
+      for (let di = -1; di <= 1 && !match; di++) {
+        for (let dj = -1; dj <= 1 && !match; dj++) {
+          for (const other of buckets.get(key(ci + di, cj + dj)) || []) {
+            if (other.network === st.network) continue;
+            if (st.altitude && other.altitude &&
+                Math.abs(st.altitude - other.altitude) > this.dedupAltitudeM) continue;
+            if (haversine(st.lat, st.lon, other.lat, other.lon) <= this.dedupDistanceKm) {
+              match = other;
+              break;
+            }
+          }
+        }
+      }
+      if (match) {
+        match.duplicates.push({ id: st.id, network: st.network, feed: st.feed });
+        continue;
+      }
+      const entry = { ...st, duplicates: [] };
+      const k = key(ci, cj);
+      if (!buckets.has(k)) buckets.set(k, []);
+      buckets.get(k).push(entry);
+      kept.push(entry);
+    }
+    return kept;
+  }
+
+  getCached() {
+    return Array.from(this.cache.values());
+  }
+
+  /**
+   * Feeds activos con estaciones (ultimas conocidas) dentro de bounds + margin
+   */
+  feedsIn(bounds, margin) {
+    margin = margin || 0;
+    const feeds = new Set();
+    for (const s of this.cache.values()) {
+      if (s.lat >= bounds.south - margin && s.lat <= bounds.north + margin &&
+          s.lon >= bounds.west - margin && s.lon <= bounds.east + margin) {
+        feeds.add(s.feed);
+        // Las estaciones fusionadas tambien dependen de su red
+        s.duplicates.forEach(d => feeds.add(d.feed));
+      }
+    }
+    return this.active().flatMap(a => a.feeds().map(f => f.name)).filter(name => feeds.has(name));
+  }
+
+  /**
+   * Observacion mas reciente por feed (ms), para la edad del dato
+   */
+  newestByFeed(stations) {
+    const newest = {};
+    for (const s of stations) {
+      const t = this.parseTimestamp(s.timestamp);
+      if (t !== null && (newest[s.feed] === undefined || t > newest[s.feed])) newest[s.feed] = t;
+    }
+    return newest;
+  }
+
+  staleMinutesByNetwork() {
+    return Object.fromEntries(this.adapters.map(a => [a.network, a.staleMinutes]));
+  }
+}
+
+StationSources.ADAPTERS = ADAPTERS;
+
+module.exports = StationSources;
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+// <feed>_<hora ISO con - en lugar de : y .>.<ext>, como los graba StationSources.record
+const FILE_PATTERN = /^(.+)_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.(\w+)$/;
+
+/**
+ * Reproduccion de Episodios (simulacro) - HidroAlerta SE
+ *
+ * Alimenta el ciclo de actualizacion con las grabaciones de un episodio
+ * pasado en lugar de las fuentes en vivo, con el reloj virtualizado:
+ *
+ *   - el archivo es un directorio con el formato de SOURCE_RECORD_DIR
+ *     (`<feed>_<hora>.<ext>`): feeds de estaciones, aforos y la imagen
+ *     radar (`aemet_radar`). En cada ciclo cada feed recibe su grabacion
+ *     mas reciente; sin grabacion en `maxSnapshotAgeMinutes` el feed falla
+ *     como fallaria en vivo
+ *   - la hora virtual avanza `speed` veces mas rapido que la real, en
+ *     ciclos de 5 min con radar cada 10 min, como el cron
+ *   - pausa, reanudacion y cambio de velocidad en marcha
+ *
+ * Todo lo que produce el servidor durante la reproduccion va marcado como
+ * simulacro (`status()`).
+ */
+class StormReplay extends EventEmitter {
+  /**
+   * @param {Object} opts - {dir, from, to, speed, name, dataDir, maxSnapshotAgeMinutes}
+   */
+  constructor(opts) {
+    super();
+    opts = opts || {};
+    if (!opts.dir) throw new Error('Falta el directorio de grabaciones del episodio');
+    this.dir = opts.dir;
+    this.name = opts.name || path.basename(path.resolve(opts.dir));
+    this.dataDir = opts.dataDir || null;
+    this.speed = opts.speed || 60;
+    this.cycleMinutes = 5;
+    this.radarMinutes = 10;
+    this.maxSnapshotAgeMinutes = opts.maxSnapshotAgeMinutes || 60;
+
+    this.index = this.scan();
+    const times = Array.from(this.index.values()).flatMap(list => list.map(s => s.t));
+    if (times.length === 0) throw new Error('Sin grabaciones en ' + this.dir);
+    this.from = opts.from ? new Date(opts.from).getTime() : Math.min(...times);
+    this.to = opts.to ? new Date(opts.to).getTime() : Math.max(...times);
+    if (isNaN(this.from) || isNaN(this.to) || this.from > this.to) {
+      throw new Error('Ventana del simulacro invalida');
+    }
+
+    this.state = 'idle';       // idle | running | paused | finished
+    this.cycleTime = this.from; // hora virtual del ciclo en curso
+    this.stepStartedAt = null;  // hora real en que empezo el ciclo en curso
+    this.pausedAt = null;       // hora virtual congelada en pausa
+    this.cycles = 0;
+    this.busy = false;          // ciclo en ejecucion
+    this.timer = null;
+    this.handlers = null;
+  }
+
+  /**
+   * Simulacro desde REPLAY_DIR, REPLAY_FROM, REPLAY_TO, REPLAY_SPEED,
+   * REPLAY_NAME y REPLAY_DATA_DIR. null sin REPLAY_DIR.
+   */
+  static fromEnv(env) {
+    env = env || process.env;
+    if (!env.REPLAY_DIR) return null;
+    const replay = new StormReplay({
+      dir: env.REPLAY_DIR,
+      from: env.REPLAY_FROM || undefined,
+      to: env.REPLAY_TO || undefined,
+      speed: env.REPLAY_SPEED ? parseFloat(env.REPLAY_SPEED) : undefined,
+      name: env.REPLAY_NAME || undefined
+    });
+    // Almacen propio: el simulacro no se mezcla con el historico real
+    replay.dataDir = env.REPLAY_DATA_DIR || path.join(env.DATA_DIR || path.join(__dirname, '../data'),
+      'replay', new Date(replay.from).toISOString().slice(0, 16).replace(/:/g, '') +
+      '_' + new Date().toISOString().slice(0, 19).replace(/:/g, ''));
+    return replay;
+  }
+
+  // ==================== ARCHIVO ====================
+
+  /**
+   * Indice feed -> grabaciones [{t, file}] ordenadas por hora
+   */
+  scan() {
+    const index = new Map();
+    for (const file of fs.readdirSync(this.dir)) {
+      const m = file.match(FILE_PATTERN);
+      if (!m) continue;
+      const t = Date.parse(`${m[2]}T${m[3]}:${m[4]}:${m[5]}.${m[6]}Z`);
+      if (!index.has(m[1])) index.set(m[1], []);
+      index.get(m[1]).push({ t, file: path.join(this.dir, file) });
+    }
+    for (const list of index.values()) list.sort((a, b) => a.t - b.t);
+    return index;
+  }
+
+  has(feedName) {
+    return this.index.has(feedName);
+  }
+
+  /**
+   * true si el archivo tiene grabaciones de algun feed del adaptador
+   */
+  covers(adapter) {
+    return adapter.feeds().some(feed => this.has(feed.name));
+  }
+
+  /**
+   * Grabacion vigente de un feed en la hora virtual: la ultima hecha hasta
+   * medio ciclo despues (el cron graba unos segundos tras la hora en punto)
+   * @returns {{time: string, data: string|Buffer}}
+   */
+  snapshot(feedName, binary) {
+    const now = this.now();
+    const limit = now + this.cycleMinutes * 30000;
+    const list = this.index.get(feedName) || [];
+    let found = null;
+    for (const s of list) {
+      if (s.t > limit) break;
+      found = s;
+    }
+    if (!found || now - found.t > this.maxSnapshotAgeMinutes * 60000) {
+      throw new Error('Sin grabacion de ' + feedName + ' para ' + new Date(now).toISOString());
+    }
+    return {
+      time: new Date(found.t).toISOString(),
+      data: fs.readFileSync(found.file, binary ? undefined : 'utf8')
+    };
+  }
+
+  /**
+   * Contenido crudo de un feed (sustituye a fetchRaw del adaptador)
+   */
+  async raw(feedName) {
+    return this.snapshot(feedName).data;
+  }
+
+  // ==================== RELOJ ====================
+
+  /**
+   * Hora virtual (ms): la del ciclo en curso mas lo transcurrido desde su
+   * inicio a la velocidad de reproduccion, sin pasar al ciclo siguiente
+   */
+  now() {
+    if (this.state === 'paused') return this.pausedAt;
+    if (this.state !== 'running' || this.stepStartedAt === null) return this.cycleTime;
+    const elapsed = (Date.now() - this.stepStartedAt) * this.speed;
+    return this.cycleTime + Math.min(elapsed, this.stepMs - 1);
+  }
+
+  get stepMs() {
+    return this.cycleMinutes * 60000;
+  }
+
+  // ==================== REPRODUCCION ====================
+
+  /**
+   * Arranca la reproduccion
+   * @param {Object} handlers - {cycle: async (), radar: async ()}
+   */
+  start(handlers) {
+    this.handlers = handlers;
+    this.state = 'running';
+    this.emit('state', this.status());
+    this.step();
+  }
+
+  async step() {
+    if (this.state !== 'running') return;
+    this.stepStartedAt = Date.now();
+    this.busy = true;
+    try {
+      if ((this.cycleTime - this.from) % (this.radarMinutes * 60000) === 0) await this.handlers.radar();
+      await this.handlers.cycle();
+      this.cycles++;
+    } finally {
+      this.busy = false;
+    }
+    this.schedule();
+  }
+
+  /**
+   * Programa el ciclo siguiente segun lo que queda del actual a la
+   * velocidad vigente (de inmediato si el ciclo tarda mas)
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    if (this.state !== 'running' || this.busy) return;
+    const remaining = Math.max(0, (this.cycleTime + this.stepMs - this.now()) / this.speed);
+    this.timer = setTimeout(() => {
+      if (this.cycleTime + this.stepMs > this.to) return this.finish();
+      this.cycleTime += this.stepMs;
+      this.step();
+    }, remaining);
+  }
+
+  finish() {
+    this.state = 'finished';
+    this.stepStartedAt = null;
+    console.log('[REPLAY] Simulacro ' + this.name + ' terminado (' + this.cycles + ' ciclos)');
+    this.emit('state', this.status());
+  }
+
+  pause() {
+    if (this.state !== 'running') return false;
+    this.pausedAt = this.now();
+    this.state = 'paused';
+    clearTimeout(this.timer);
+    this.emit('state', this.status());
+    return true;
+  }
+
+  resume() {
+    if (this.state !== 'paused') return false;
+    this.state = 'running';
+    this.stepStartedAt = Date.now() - (this.pausedAt - this.cycleTime) / this.speed;
+    this.pausedAt = null;
+    this.emit('state', this.status());
+    this.schedule();
+    return true;
+  }
+
+  /**
+   * Cambia la velocidad sin saltos en la hora virtual
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) throw new Error('speed debe ser un numero positivo');
+    const now = this.now();
+    this.speed = speed;
+    if (this.state === 'running') {
+      this.stepStartedAt = Date.now() - (now - this.cycleTime) / speed;
+      this.schedule();
+    }
+    this.emit('state', this.status());
+  }
+
+  /**
+   * Marca de simulacro de respuestas y mensajes
+   */
+  status() {
+    const now = this.now();
+    return {
+      active: true,
+      name: this.name,
+      state: this.state,
+      virtualTime: new Date(now).toISOString(),
+      from: new Date(this.from).toISOString(),
+      to: new Date(this.to).toISOString(),
+      speed: this.speed,
+      progress: this.to > this.from
+        ? Math.round(Math.min(1, Math.max(0, (now - this.from) / (this.to - this.from))) * 1000) / 1000
+        : 1,
+      cycles: this.cycles,
+      feeds: Array.from(this.index.keys())
+    };
+  }
+}
+
+module.exports = StormReplay;
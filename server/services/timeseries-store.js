@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const RESAMPLE_INTERVALS = {
+  '5min': 5 * 60000,
+  hourly: 3600000,
+  daily: 86400000
+};
+
+// Ventana maxima de consulta (dias): un dia de muestras crudas son miles de
+// registros por estacion, asi que los periodos largos van agregados por dia
+const MAX_WINDOW_DAYS = {
+  raw: 31,
+  '5min': 31,
+  hourly: 31,
+  daily: 366
+};
+
+/**
+ * Ventana from/to (y resample) de los parametros de una consulta de
+ * historico. Sin `to` termina en `now`; sin `from` abarca `defaultHours`.
+ * @param {Object} query - req.query
+ * @param {number} now - hora actual en ms (req.now, la virtual en un simulacro)
+ * @param {Object} [opts] - {defaultHours: 24, resample: true, maxDays}
+ * @returns {Object} {from, to, resample} o {error}
+ */
+function parseWindow(query, now, opts) {
+  opts = opts || {};
+  const to = query.to ? new Date(query.to) : new Date(now);
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - (opts.defaultHours || 24) * 3600000);
+  const resample = opts.resample === false ? undefined : query.resample;
+  if (isNaN(from) || isNaN(to) || from > to) return { error: 'Ventana from/to invalida' };
+  if (resample && !RESAMPLE_INTERVALS[resample]) return { error: 'resample debe ser 5min, hourly o daily' };
+  const maxDays = opts.maxDays || MAX_WINDOW_DAYS[resample || 'raw'];
+  if (to - from > maxDays * 86400000) {
+    const hint = opts.maxDays || resample === 'daily' ? '' : ' (' + MAX_WINDOW_DAYS.daily + ' con resample=daily)';
+    return { error: 'Ventana maxima de ' + maxDays + ' dias' + hint };
+  }
+  return { from, to, resample };
+}
+
+/**
+ * Almacen persistente de series temporales - HidroAlerta SE
+ *
+ * Ficheros JSONL de solo anadir, particionados por tipo y dia (UTC):
+ *   data/stations/2024-10-29.jsonl  - muestras de estaciones
+ *   data/basins/2024-10-29.jsonl    - resultados del modelo por cuenca
+ *   data/alerts/2024-10-29.jsonl    - alertas emitidas
+ *   data/gauges/2024-10-29.jsonl    - nivel y caudal observados en aforos
+ *
+ * Cada linea es un registro con al menos {timestamp, id}.
+ */
+class TimeSeriesStore {
+  constructor(dir) {
+    this.dir = dir || path.join(__dirname, '../data');
+    this.kinds = ['stations', 'basins', 'alerts', 'gauges'];
+    this.lastStationSample = new Map();
+    this.kinds.forEach(k => fs.mkdirSync(path.join(this.dir, k), { recursive: true }));
+  }
+
+  dayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  fileFor(kind, day) {
+    return path.join(this.dir, kind, day + '.jsonl');
+  }
+
+  /**
+   * Anade registros al fichero del dia que corresponda a su timestamp
+   */
+  async append(kind, records) {
+    if (!this.kinds.includes(kind)) throw new Error('Tipo de serie desconocido: ' + kind);
+    if (!records || records.length === 0) return 0;
+    const byDay = new Map();
+    for (const rec of records) {
+      const day = this.dayKey(rec.timestamp);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(JSON.stringify(rec));
+    }
+    for (const [day, lines] of byDay) {
+      await fs.promises.appendFile(this.fileFor(kind, day), lines.join('\n') + '\n');
+    }
+    return records.length;
+  }
+
+  /**
+   * Guarda las muestras de estaciones del ciclo. Solo se escribe una
+   * muestra si la estacion ha reportado un dato nuevo (fecha distinta).
+   */
+  appendStations(stations, cycleTime) {
+    const records = [];
+    for (const s of stations) {
+      if (this.lastStationSample.get(s.id) === s.timestamp) continue;
+      this.lastStationSample.set(s.id, s.timestamp);
+      records.push({
+        timestamp: cycleTime,
+        id: s.id,
+        province: s.province,
+        network: s.network,
+        observedAt: s.timestamp,
+        precipitation: s.precipitation,
+        intensity: s.intensity,
+        temperature: s.temperature,
+        humidity: s.humidity,
+        pressure: s.pressure,
+        windSpeed: s.windSpeed,
+        windDir: s.windDir,
+        online: s.online,
+        qc: s.qc ? s.qc.status : undefined,
+        qcFlags: s.qc && s.qc.flags.length > 0 ? s.qc.flags : undefined
+      });
+    }
+    return this.append('stations', records);
+  }
+
+  /**
+   * Guarda el resultado de calculateBasinDistributed de una cuenca
+   */
+  appendBasinResult(basin, hydroResult, cycleTime) {
+    return this.append('basins', [{
+      timestamp: cycleTime,
+      id: basin.id,
+      method: hydroResult.method,
+      currentFlow: hydroResult.currentFlow,
+      peakFlow: hydroResult.peakFlow,
+      peakTime: hydroResult.peakTime,
+      rawCurrentFlow: hydroResult.raw ? hydroResult.raw.currentFlow : undefined,
+      rawPeakFlow: hydroResult.raw ? hydroResult.raw.peakFlow : undefined,
+      precipitation: basin.precipitation,
+      intensity: basin.intensity,
+      subcatchments: (hydroResult.subcatchmentResults || []).map(sr => ({
+        subId: sr.subId,
+        precipitation: sr.precipitation,
+        intensity: sr.intensity,
+        effectiveRainfall: sr.effectiveRainfall,
+        peakFlow: sr.peakFlow,
+        routedPeak: sr.routedPeak
+      }))
+    }]);
+  }
+
+  /**
+   * Guarda eventos de transicion de alertas (AlertEngine 'transition')
+   */
+  appendAlerts(alerts) {
+    return this.append('alerts', alerts.map(a => ({ id: a.basinId, ...a })));
+  }
+
+  /**
+   * Guarda lecturas de aforos (GaugeNetwork.ingest); timestamp = hora de observacion
+   */
+  appendGauges(records) {
+    return this.append('gauges', records);
+  }
+
+  /**
+   * Lee registros de un tipo en la ventana [from, to].
+   * @param {string} kind - stations | basins | alerts | gauges
+   * @param {Object} opts - {id, from, to} (from/to: Date o ISO)
+   * @returns {Promise<Array>} registros ordenados por timestamp
+   */
+  async query(kind, opts) {
+    opts = opts || {};
+    const to = opts.to ? new Date(opts.to) : new Date();
+    const from = opts.from ? new Date(opts.from) : new Date(to.getTime() - 24 * 3600000);
+    const idToken = opts.id ? '"id":' + JSON.stringify(opts.id) + ',' : null;
+    const results = [];
+
+    for (const day of this.daysBetween(from, to)) {
+      const file = this.fileFor(kind, day);
+      if (!fs.existsSync(file)) continue;
+      const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line || (idToken && !line.includes(idToken))) continue;
+        let rec;
+        try { rec = JSON.parse(line); } catch (err) { continue; }
+        if (opts.id && rec.id !== opts.id) continue;
+        const t = new Date(rec.timestamp);
+        if (t >= from && t <= to) results.push(rec);
+      }
+    }
+    return results.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Serie temporal de un elemento con remuestreo opcional.
+   * @param {string} kind - stations | basins | gauges
+   * @param {string} id - id de estacion, cuenca o aforo
+   * @param {Object} opts - {from, to, resample: '5min' | 'hourly' | 'daily'}
+   * @param {Object} aggregations - {campo: 'last' | 'max' | 'mean'} por campo
+   * @returns {Promise<Array>} puntos {timestamp, ...campos}
+   */
+  async series(kind, id, opts, aggregations) {
+    const records = await this.query(kind, { id, from: opts.from, to: opts.to });
+    const fields = Object.keys(aggregations);
+    if (!opts.resample) {
+      return records.map(r => {
+        const point = { timestamp: r.timestamp };
+        fields.forEach(f => { point[f] = r[f]; });
+        return point;
+      });
+    }
+    return this.resample(records, RESAMPLE_INTERVALS[opts.resample], aggregations);
+  }
+
+  /**
+   * Agrupa registros en intervalos fijos (alineados a UTC) y agrega cada
+   * campo segun su naturaleza: acumulados -> last, caudal/intensidad -> max
+   */
+  resample(records, intervalMs, aggregations) {
+    const buckets = new Map();
+    for (const r of records) {
+      const t = Math.floor(new Date(r.timestamp).getTime() / intervalMs) * intervalMs;
+      if (!buckets.has(t)) buckets.set(t, []);
+      buckets.get(t).push(r);
+    }
+    const points = [];
+    for (const [t, recs] of buckets) {
+      const point = { timestamp: new Date(t).toISOString(), samples: recs.length };
+      for (const [field, agg] of Object.entries(aggregations)) {
+        const vals = recs.map(r => r[field]).filter(v => typeof v === 'number' && !isNaN(v));
+        if (vals.length === 0) { point[field] = null; continue; }
+        if (agg === 'max') point[field] = Math.max(...vals);
+        else if (agg === 'mean') point[field] = Math.round(vals.reduce((a, b) => a + b, 0) / vals.length * 100) / 100;
+        else point[field] = vals[vals.length - 1];
+      }
+      points.push(point);
+    }
+    return points.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  daysBetween(from, to) {
+    const days = [];
+    const d = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+    while (d <= to) {
+      days.push(d.toISOString().slice(0, 10));
+      d.setUTCDate(d.getUTCDate() + 1);
+    }
+    return days;
+  }
+
+  /**
+   * Elimina ficheros de dias anteriores a la retencion configurada
+   */
+  prune(retentionDays) {
+    const cutoff = this.dayKey(Date.now() - retentionDays * 86400000);
+    let removed = 0;
+    for (const kind of this.kinds) {
+      for (const f of fs.readdirSync(path.join(this.dir, kind))) {
+        if (f.endsWith('.jsonl') && f.slice(0, 10) < cutoff) {
+          fs.unlinkSync(path.join(this.dir, kind, f));
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+TimeSeriesStore.RESAMPLE_INTERVALS = RESAMPLE_INTERVALS;
+TimeSeriesStore.MAX_WINDOW_DAYS = MAX_WINDOW_DAYS;
+TimeSeriesStore.parseWindow = parseWindow;
+
+module.exports = TimeSeriesStore;
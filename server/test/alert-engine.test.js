@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AlertEngine = require('../services/alert-engine');
+
+const T0 = Date.parse('2024-10-19T10:00:00.000Z');
+const MIN = 60000;
+
+/**
+ * Motor con reloj controlado y una cuenca sin prevision (solo caudal).
+ * step(minutos, caudal) evalua un ciclo y devuelve sus transiciones.
+ */
+function scenario(opts) {
+  let now = T0;
+  const engine = new AlertEngine({ hysteresis: 0.1, minDurationMinutes: 30, now: () => now, ...(opts || {}) });
+  const basin = {
+    id: 'segura_principal', name: 'Rio Segura', currentFlow: 0, hydroResult: {},
+    thresholds: { yellow: 50, orange: 150, red: 300 }
+  };
+  const basins = new Map([[basin.id, basin]]);
+  const events = [];
+  engine.on('transition', ev => events.push(ev));
+  const step = (minutes, flow) => {
+    now = T0 + minutes * MIN;
+    basin.currentFlow = flow;
+    const before = events.length;
+    const alerts = engine.evaluate(basins);
+    return { alerts, events: events.slice(before) };
+  };
+  return { engine, step, events };
+}
+
+test('alerta nueva, escalada inmediata y numeracion de transiciones', () => {
+  const { step } = scenario();
+  assert.deepStrictEqual(step(0, 10).events, []);
+
+  const [created] = step(5, 60).events;
+  assert.strictEqual(created.type, 'new');
+  assert.strictEqual(created.level, 'yellow');
+  assert.strictEqual(created.previousLevel, 'green');
+  assert.strictEqual(created.alertId, 'segura_principal-20241019T1005');
+  assert.strictEqual(created.seq, 0);
+
+  // Subir no espera a la duracion minima
+  const { events: [escalated], alerts } = step(10, 160);
+  assert.strictEqual(escalated.type, 'escalated');
+  assert.strictEqual(escalated.level, 'orange');
+  assert.strictEqual(escalated.previousLevel, 'yellow');
+  assert.strictEqual(escalated.seq, 1);
+  assert.strictEqual(alerts[0].peakLevel, 'orange');
+  assert.deepStrictEqual(alerts[0].escalations.map(e => e.to), ['orange']);
+});
+
+test('histeresis y duracion minima antes de bajar', () => {
+  const { step } = scenario();
+  step(0, 60);
+  step(5, 160);
+  // 140 esta bajo el umbral naranja pero sobre 150 * 0.9
+  assert.deepStrictEqual(step(10, 140).events, []);
+  // Bajo la histeresis, pero el nivel solo lleva 10 minutos
+  assert.deepStrictEqual(step(15, 100).events, []);
+  assert.deepStrictEqual(step(34, 100).events, []);
+
+  const [downgraded] = step(35, 100).events;
+  assert.strictEqual(downgraded.type, 'downgraded');
+  assert.strictEqual(downgraded.level, 'yellow');
+  assert.strictEqual(downgraded.previousLevel, 'orange');
+  assert.strictEqual(downgraded.peakLevel, 'orange');
+  assert.strictEqual(downgraded.seq, 2);
+});
+
+test('fin de la alerta y una nueva con otro id', () => {
+  const { step, engine } = scenario();
+  step(0, 60);
+  assert.deepStrictEqual(step(20, 10).events, []);
+
+  const { events: [ended], alerts } = step(30, 10);
+  assert.strictEqual(ended.type, 'ended');
+  assert.strictEqual(ended.level, 'green');
+  assert.strictEqual(ended.previousLevel, 'yellow');
+  assert.strictEqual(ended.seq, 1);
+  assert.deepStrictEqual(alerts, []);
+  assert.strictEqual(engine.getActive('segura_principal'), null);
+
+  const [again] = step(70, 60).events;
+  assert.strictEqual(again.type, 'new');
+  assert.strictEqual(again.alertId, 'segura_principal-20241019T1110');
+  assert.strictEqual(again.seq, 0);
+});
+
+test('restoreHistory reabre la alerta y sigue la numeracion', () => {
+  const first = scenario();
+  first.step(0, 60);
+  first.step(5, 160);
+  first.step(35, 100);
+
+  const { engine, step } = scenario();
+  engine.restoreHistory(first.events.map(ev => JSON.parse(JSON.stringify(ev))));
+  const alert = engine.getActive('segura_principal');
+  assert.strictEqual(alert.id, 'segura_principal-20241019T1000');
+  assert.strictEqual(alert.level, 'yellow');
+  assert.strictEqual(alert.peakLevel, 'orange');
+  assert.strictEqual(alert.lastChange, first.events[2].timestamp);
+  assert.deepStrictEqual(alert.escalations.map(e => [e.from, e.to]), [['yellow', 'orange']]);
+  assert.strictEqual(engine.getHistory().length, 3);
+
+  // La misma alerta continua: la escalada siguiente es el mensaje 3
+  const [escalated] = step(40, 160).events;
+  assert.strictEqual(escalated.alertId, 'segura_principal-20241019T1000');
+  assert.strictEqual(escalated.seq, 3);
+});
+
+test('restoreHistory sin numeracion guardada y con alertas ya terminadas', () => {
+  const { engine } = scenario();
+  const base = { alertId: 'segura_principal-20241018T0800', basinId: 'segura_principal', basinName: 'Rio Segura',
+    onset: '2024-10-18T08:00:00.000Z', message: 'm' };
+  engine.restoreHistory([
+    { ...base, type: 'new', level: 'yellow', previousLevel: 'green', timestamp: '2024-10-18T08:00:00.000Z' },
+    { ...base, type: 'ended', level: 'green', previousLevel: 'yellow', timestamp: '2024-10-18T09:00:00.000Z' },
+    { ...base, alertId: 'segura_principal-20241019T0900', type: 'new', level: 'orange', previousLevel: 'green',
+      onset: '2024-10-19T09:00:00.000Z', timestamp: '2024-10-19T09:00:00.000Z' },
+    { ...base, alertId: 'segura_principal-20241019T0900', type: 'escalated', level: 'red', previousLevel: 'orange',
+      onset: '2024-10-19T09:00:00.000Z', timestamp: '2024-10-19T09:30:00.000Z' }
+  ]);
+  const alert = engine.getActive('segura_principal');
+  assert.strictEqual(alert.id, 'segura_principal-20241019T0900');
+  assert.strictEqual(alert.level, 'red');
+  assert.strictEqual(engine.sequence.get(alert.id), 2);
+  assert.strictEqual(engine.sequence.has('segura_principal-20241018T0800'), false);
+});
+
+test('parseAlertId: cuenca y minuto de inicio', () => {
+  assert.deepStrictEqual(AlertEngine.parseAlertId('rambla_albujon-20241019T1035'), {
+    basinId: 'rambla_albujon', onset: new Date('2024-10-19T10:35:00.000Z')
+  });
+  assert.strictEqual(AlertEngine.parseAlertId('rambla_albujon'), null);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStringPromise } = require('xml2js');
+const CapExporter = require('../services/cap-exporter');
+
+const BASIN = {
+  id: 'rambla_albujon', name: 'Rambla del Albujon',
+  bounds: { north: 37.85, south: 37.6, east: -0.75, west: -1.25 }, subcatchments: []
+};
+const BASE = {
+  alertId: 'rambla_albujon-20241019T1000',
+  basinId: 'rambla_albujon',
+  basinName: 'Rambla del Albujon',
+  onset: '2024-10-19T10:00:00.000Z'
+};
+// Ciclo de vida completo: nueva, escalada, rebaja y fin
+const EVENTS = [
+  { ...BASE, type: 'new', seq: 0, level: 'yellow', previousLevel: 'green', peakLevel: 'yellow',
+    message: 'AVISO AMARILLO: Precipitaciones significativas', timestamp: '2024-10-19T10:00:00.000Z' },
+  { ...BASE, type: 'escalated', seq: 1, level: 'red', previousLevel: 'yellow', peakLevel: 'red',
+    message: 'ALERTA ROJA: Riesgo extremo de riada', timestamp: '2024-10-19T10:20:00.000Z' },
+  { ...BASE, type: 'downgraded', seq: 2, level: 'orange', previousLevel: 'red', peakLevel: 'red',
+    message: 'ALERTA NARANJA: Riesgo alto de crecida', timestamp: '2024-10-19T11:30:00.000Z' },
+  { ...BASE, type: 'ended', seq: 3, level: 'green', previousLevel: 'orange', peakLevel: 'red',
+    message: 'ALERTA NARANJA: Riesgo alto de crecida', timestamp: '2024-10-19T13:00:00.000Z' }
+];
+
+const cap = new CapExporter({ sender: 'cap@hidroalerta.example' });
+
+async function build(index, event) {
+  const xml = cap.build(event || EVENTS[index], EVENTS.slice(0, index), BASIN, null);
+  return (await parseStringPromise(xml, { explicitArray: false })).alert;
+}
+
+test('msgType por tipo de transicion', async () => {
+  const types = [];
+  for (let i = 0; i < EVENTS.length; i++) types.push((await build(i)).msgType);
+  assert.deepStrictEqual(types, ['Alert', 'Update', 'Update', 'Cancel']);
+});
+
+test('identificador por seq y referencias a los mensajes previos', async () => {
+  const created = await build(0);
+  assert.strictEqual(created.identifier, 'hidroalerta-se.rambla_albujon-20241019T1000.0');
+  assert.strictEqual(created.references, undefined);
+  assert.strictEqual(created.sent, '2024-10-19T10:00:00+00:00');
+
+  const ended = await build(3);
+  assert.strictEqual(ended.identifier, 'hidroalerta-se.rambla_albujon-20241019T1000.3');
+  assert.deepStrictEqual(ended.references.split(' '), [
+    'cap@hidroalerta.example,hidroalerta-se.rambla_albujon-20241019T1000.0,2024-10-19T10:00:00+00:00',
+    'cap@hidroalerta.example,hidroalerta-se.rambla_albujon-20241019T1000.1,2024-10-19T10:20:00+00:00',
+    'cap@hidroalerta.example,hidroalerta-se.rambla_albujon-20241019T1000.2,2024-10-19T11:30:00+00:00'
+  ]);
+});
+
+test('severidad del nivel y fin de alerta', async () => {
+  const red = await build(1);
+  assert.strictEqual(red.status, 'Actual');
+  assert.strictEqual(red.info.severity, 'Extreme');
+  assert.strictEqual(red.info.responseType, 'Evacuate');
+  assert.strictEqual(red.info.urgency, 'Immediate');
+  assert.strictEqual(red.info.area.areaDesc, 'Rambla del Albujon');
+  assert.strictEqual(red.info.area.polygon, '37.6,-1.25 37.85,-1.25 37.85,-0.75 37.6,-0.75 37.6,-1.25');
+
+  const ended = await build(3);
+  assert.strictEqual(ended.info.responseType, 'AllClear');
+  assert.strictEqual(ended.info.urgency, 'Past');
+  assert.strictEqual(ended.info.event, 'Alerta naranja por crecida');
+  assert.strictEqual(ended.info.instruction, undefined);
+});
+
+test('simulacro: status Exercise con nota', async () => {
+  const exercise = await build(0, { ...EVENTS[0], simulation: true });
+  assert.strictEqual(exercise.status, 'Exercise');
+  assert.match(exercise.note, /^SIMULACRO/);
+  assert.strictEqual((await build(0)).note, undefined);
+});
+
+test('eventos guardados sin seq se numeran por su posicion', async () => {
+  const legacy = EVENTS.map(({ seq, ...ev }) => ev);
+  const xml = cap.build(legacy[2], legacy.slice(0, 2), BASIN, null);
+  const alert = (await parseStringPromise(xml, { explicitArray: false })).alert;
+  assert.strictEqual(alert.identifier, 'hidroalerta-se.rambla_albujon-20241019T1000.2');
+  assert.match(alert.references, /\.0,.*\.1,/);
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const NotificationDispatcher = require('../services/notification-dispatcher');
+
+const EVENT = {
+  type: 'new',
+  alertId: 'segura_principal-20241019T10',
+  seq: 0,
+  basinId: 'segura_principal',
+  basinName: 'Rio Segura - Cuenca Principal',
+  level: 'orange',
+  previousLevel: 'green',
+  peakLevel: 'orange',
+  onset: '2024-10-19T10:00:00.000Z',
+  message: 'ALERTA NARANJA: Riesgo alto de crecida',
+  timestamp: '2024-10-19T10:00:00.000Z'
+};
+
+/**
+ * Servidor HTTP local que registra las peticiones; `failures` respuestas
+ * 500 antes de aceptar
+ */
+async function httpStandIn(failures) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body), at: Date.now() });
+      res.statusCode = requests.length <= (failures || 0) ? 500 : 200;
+      res.end('{"ok":true}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: 'http://127.0.0.1:' + server.address().port };
+}
+
+/**
+ * Servidor SMTP minimo (sin TLS ni autenticacion) que guarda los mensajes
+ */
+async function smtpStandIn() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '', data = null, envelope = { to: [] };
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, data: data.join('\n') });
+            data = null;
+            envelope = { to: [] };
+            socket.write('250 OK queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') socket.write('250 localhost\r\n');
+        else if (cmd === 'MAIL') { envelope.from = line; socket.write('250 OK\r\n'); }
+        else if (cmd === 'RCPT') { envelope.to.push(line); socket.write('250 OK\r\n'); }
+        else if (cmd === 'DATA') { data = []; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (cmd === 'QUIT') { socket.end('221 Bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, messages, port: server.address().port };
+}
+
+function dispatcher(channels, opts) {
+  return new NotificationDispatcher({
+    recipients: [{ id: 'guardia', basins: ['*'], minLevel: 'yellow', channels }],
+    retry: { attempts: 3, baseDelayMs: 20 },
+    timeoutMs: 2000,
+    ...(opts || {})
+  });
+}
+
+test('webhook: POST con el evento y las cabeceras del canal', async t => {
+  const hook = await httpStandIn();
+  t.after(() => hook.server.close());
+  const notifier = dispatcher([{ type: 'webhook', url: hook.url + '/hook', headers: { 'X-Token': 'abc' } }]);
+
+  const [entry] = await notifier.handle(EVENT);
+  assert.strictEqual(entry.status, 'sent');
+  assert.strictEqual(entry.attempts, 1);
+  assert.strictEqual(hook.requests.length, 1);
+  assert.strictEqual(hook.requests[0].url, '/hook');
+  assert.strictEqual(hook.requests[0].headers['x-token'], 'abc');
+  assert.deepStrictEqual(hook.requests[0].body, { source: 'hidroalerta-se', event: EVENT });
+});
+
+test('email: mensaje SMTP con asunto y texto de la alerta', async t => {
+  const smtp = await smtpStandIn();
+  t.after(() => smtp.server.close());
+  const notifier = dispatcher([{ type: 'email', to: 'guardia@ejemplo.org' }], {
+    smtp: { host: '127.0.0.1', port: smtp.port, secure: false, ignoreTLS: true, from: 'hidroalerta@localhost' }
+  });
+  t.after(() => notifier.transport && notifier.transport.close());
+
+  const [entry] = await notifier.handle(EVENT);
+  assert.strictEqual(entry.status, 'sent', entry.error);
+  assert.strictEqual(smtp.messages.length, 1);
+  const msg = smtp.messages[0];
+  assert.match(msg.from, /hidroalerta@localhost/);
+  assert.deepStrictEqual(msg.to, ['RCPT TO:<guardia@ejemplo.org>']);
+  assert.match(msg.data, /Subject: \[HidroAlerta\] Nueva alerta ORANGE - Rio Segura - Cuenca Principal/);
+  assert.match(msg.data, /Id: segura_principal-20241019T10/);
+});
+
+test('bot: sendMessage con el chat y el texto', async t => {
+  const api = await httpStandIn();
+  t.after(() => api.server.close());
+  const notifier = dispatcher([{ type: 'telegram', chatId: '-100123' }], {
+    telegram: { apiUrl: api.url, token: 'TOKEN' }
+  });
+
+  const [entry] = await notifier.handle({ ...EVENT, simulation: true });
+  assert.strictEqual(entry.status, 'sent');
+  assert.strictEqual(api.requests[0].url, '/botTOKEN/sendMessage');
+  assert.strictEqual(api.requests[0].body.chat_id, '-100123');
+  assert.match(api.requests[0].body.text, /^\[SIMULACRO\] \[HidroAlerta\] Nueva alerta ORANGE/);
+});
+
+test('reintentos con espera exponencial hasta aceptar', async t => {
+  const hook = await httpStandIn(2);
+  t.after(() => hook.server.close());
+  const notifier = dispatcher([{ type: 'webhook', url: hook.url }]);
+
+  const [entry] = await notifier.handle(EVENT);
+  assert.strictEqual(entry.status, 'sent');
+  assert.strictEqual(entry.attempts, 3);
+  const [a, b, c] = hook.requests.map(r => r.at);
+  // Esperas de baseDelayMs y 2 * baseDelayMs
+  assert.ok(b - a >= 20, 'primera espera ' + (b - a));
+  assert.ok(c - b >= 40, 'segunda espera ' + (c - b));
+});
+
+test('tras agotar los reintentos la transicion se puede volver a enviar', async t => {
+  const hook = await httpStandIn(10);
+  t.after(() => hook.server.close());
+  const notifier = dispatcher([{ type: 'webhook', url: hook.url }]);
+
+  const [entry] = await notifier.handle(EVENT);
+  assert.strictEqual(entry.status, 'failed');
+  assert.strictEqual(entry.attempts, 3);
+  assert.strictEqual(notifier.sent.size, 0);
+  const [again] = await notifier.handle(EVENT);
+  assert.strictEqual(again.attempts, 3);
+  assert.strictEqual(hook.requests.length, 6);
+});
+
+test('deduplicacion: una transicion repetida no se reenvia, tampoco tras reiniciar', async t => {
+  const hook = await httpStandIn();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+  t.after(() => {
+    hook.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const stateFile = path.join(dir, 'notifications-sent.json');
+  const channels = [{ type: 'webhook', url: hook.url }];
+
+  const notifier = dispatcher(channels, { stateFile });
+  await notifier.handle(EVENT);
+  assert.deepStrictEqual(await notifier.handle(EVENT), []);
+  await notifier.saving;
+
+  const restarted = dispatcher(channels, { stateFile });
+  assert.deepStrictEqual(await restarted.handle(EVENT), []);
+  // Otra transicion de la misma alerta si se envia
+  const [escalated] = await restarted.handle({ ...EVENT, type: 'escalated', level: 'red', seq: 1 });
+  assert.strictEqual(escalated.status, 'sent');
+  assert.strictEqual(hook.requests.length, 2);
+});
+
+test('deduplicacion: una escalada repetida tras una rebaja si se envia', async t => {
+  const hook = await httpStandIn();
+  t.after(() => hook.server.close());
+  const notifier = dispatcher([{ type: 'webhook', url: hook.url }]);
+
+  const yellow = { ...EVENT, level: 'yellow', peakLevel: 'yellow' };
+  await notifier.handle(yellow);
+  await notifier.handle({ ...yellow, type: 'escalated', level: 'orange', previousLevel: 'yellow', peakLevel: 'orange', seq: 1 });
+  await notifier.handle({ ...yellow, type: 'downgraded', level: 'yellow', previousLevel: 'orange', peakLevel: 'orange', seq: 2 });
+  const again = await notifier.handle({
+    ...yellow, type: 'escalated', level: 'orange', previousLevel: 'yellow', peakLevel: 'orange', seq: 3
+  });
+  assert.strictEqual(again.length, 1);
+  assert.strictEqual(again[0].status, 'sent');
+  assert.strictEqual(hook.requests.length, 4);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const RadarDecoder = require('../services/radar-decoder');
+
+/**
+ * Imagen de ejemplo (1600x1200 GIF, proyeccion y dominio de
+ * config/radar.json) con fondo transparente y:
+ *   - rojo #ff0000 (54 dBZ) en 38.0-38.2 N, 1.3-1.1 W
+ *   - azul #0000ff (24 dBZ) en 37.5-37.7 N, 2.0-1.8 W
+ *   - rotulo blanco en 38.8-39.0 N, 3.0-2.6 W
+ *   - linea de costa gris a 37.6 N entre 1.0 W y 0
+ */
+const IMAGE = path.join(__dirname, 'fixtures', 'aemet_radar_2024-10-19T10-00-00-000Z.gif');
+
+const decoder = new RadarDecoder();
+const grid = decoder.decode(fs.readFileSync(IMAGE), '2024-10-19T10:00:00.000Z');
+const inBox = (c, north, south, west, east) => c.lat < north && c.lat > south && c.lon > west && c.lon < east;
+
+test('grilla del dominio a 0.04 grados', () => {
+  assert.strictEqual(grid.rows, 70);
+  assert.strictEqual(grid.cols, 95);
+  assert.strictEqual(grid.cells.length, 70 * 95);
+  assert.deepStrictEqual(grid.cells[0], { lat: 39.38, lon: -3.68, dBZ: 0 });
+});
+
+test('celdas dentro de cada eco con el dBZ de la leyenda', () => {
+  const red = grid.cells.filter(c => inBox(c, 38.16, 38.0, -1.26, -1.1));
+  assert.strictEqual(red.length, 16);
+  red.forEach(c => assert.strictEqual(c.dBZ, 54));
+  const blue = grid.cells.filter(c => inBox(c, 37.68, 37.52, -1.98, -1.82));
+  assert.strictEqual(blue.length, 16);
+  blue.forEach(c => assert.strictEqual(c.dBZ, 24));
+});
+
+test('los bordes promedian en Z lineal con los pixeles sin eco', () => {
+  const edge = grid.cells.find(c => c.lat === 38.18 && c.lon === -1.2);
+  assert.ok(edge.dBZ > 50 && edge.dBZ < 54);
+  // Fuera de los dos bloques (y su borde) no hay eco
+  const wet = grid.cells.filter(c => c.dBZ > 0);
+  assert.ok(wet.every(c => inBox(c, 38.22, 37.98, -1.32, -1.08) || inBox(c, 37.72, 37.48, -2.02, -1.78)));
+});
+
+test('rotulos blancos y costa no son eco', () => {
+  assert.strictEqual(decoder.colorToDBZ(255, 255, 255, 255), null);
+  assert.strictEqual(decoder.colorToDBZ(128, 128, 128, 255), null);
+  const label = grid.cells.filter(c => inBox(c, 39.0, 38.8, -3.0, -2.6));
+  assert.ok(label.length > 0);
+  label.forEach(c => assert.strictEqual(c.dBZ, 0));
+  const coast = grid.cells.filter(c => inBox(c, 37.64, 37.56, -1.0, 0));
+  coast.forEach(c => assert.strictEqual(c.dBZ, 0));
+});
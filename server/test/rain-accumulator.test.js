@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RainAccumulator = require('../services/rain-accumulator');
+
+const acc = new RainAccumulator();
+const midnight = iso => new Date(acc.localMidnight(Date.parse(iso))).toISOString();
+
+test('medianoche local en horario de invierno y de verano', () => {
+  assert.strictEqual(midnight('2024-01-15T10:30:15.250Z'), '2024-01-14T23:00:00.000Z');
+  assert.strictEqual(midnight('2024-07-15T21:59:59.000Z'), '2024-07-14T22:00:00.000Z');
+  assert.strictEqual(midnight('2024-07-14T22:00:00.000Z'), '2024-07-14T22:00:00.000Z');
+});
+
+test('medianoche local en los dias de cambio de hora', () => {
+  // 29-03-2026: de 02:00 CET a 03:00 CEST, el dia tiene 23 h
+  assert.strictEqual(midnight('2026-03-29T10:00:00.000Z'), '2026-03-28T23:00:00.000Z');
+  assert.strictEqual(midnight('2026-03-29T21:59:00.000Z'), '2026-03-28T23:00:00.000Z');
+  // 25-10-2026: de 03:00 CEST a 02:00 CET, el dia tiene 25 h
+  assert.strictEqual(midnight('2026-10-25T10:00:00.000Z'), '2026-10-24T22:00:00.000Z');
+  assert.strictEqual(midnight('2026-10-25T22:59:00.000Z'), '2026-10-24T22:00:00.000Z');
+  // Hora repetida (02:30 CEST y 02:30 CET)
+  assert.strictEqual(midnight('2026-10-25T00:30:00.000Z'), '2026-10-24T22:00:00.000Z');
+  assert.strictEqual(midnight('2026-10-25T01:30:00.000Z'), '2026-10-24T22:00:00.000Z');
+});
+
+test('antecedente: dias completos hasta la medianoche de un dia de 25 h', () => {
+  const rain = new RainAccumulator({ retentionHours: 7 * 24 });
+  rain.update('s', 0, '2026-10-20T22:00:00.000Z');
+  // 5 mm a las 22:30-23:00 locales del 24 (CEST)
+  rain.update('s', 0, '2026-10-24T20:30:00.000Z');
+  rain.update('s', 5, '2026-10-24T21:00:00.000Z');
+  rain.update('s', 5, '2026-10-24T21:30:00.000Z');
+  // 10 mm a las 00:00-00:30 locales del 25: ya es el dia en curso
+  rain.update('s', 0, '2026-10-24T22:00:00.000Z');
+  rain.update('s', 10, '2026-10-24T22:30:00.000Z');
+  rain.update('s', 10, '2026-10-25T10:00:00.000Z');
+  assert.strictEqual(rain.antecedent('s', '2026-10-25T10:00:00.000Z', 1), 5);
+});
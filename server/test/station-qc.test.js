@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StationQC = require('../services/station-qc');
+
+const T0 = Date.parse('2024-10-19T10:00:00.000Z');
+const MIN = 60000;
+
+/**
+ * Lectura de una estacion aislada (sin vecinas: sin control espacial)
+ * `minutes` despues de T0, revisada con la hora del ciclo igual a la de
+ * observacion (nunca antigua)
+ */
+function reading(qc, minutes, values) {
+  const time = T0 + minutes * MIN;
+  const st = {
+    id: 'murcia', network: 'suremet', lat: 37.98, lon: -1.13, online: true,
+    precipitation: 0, intensity: 0, temperature: 18, humidity: 80, pressure: 1010,
+    timestamp: new Date(time).toISOString(), ...values
+  };
+  qc.check([st], { now: time });
+  return st.qc;
+}
+
+test('intensidad repetida una hora: sospechosa pero utilizable', () => {
+  const qc = new StationQC();
+  for (let m = 0; m < 60; m += 10) {
+    assert.strictEqual(reading(qc, m, { precipitation: 2 * m / 10, intensity: 12 }).status, 'ok');
+  }
+  const stuck = reading(qc, 60, { precipitation: 12, intensity: 12 });
+  assert.deepStrictEqual(stuck.flags, ['stuck_intensity']);
+  assert.strictEqual(stuck.status, 'suspect');
+  assert.strictEqual(stuck.usable, true);
+  // Otro valor reinicia la cuenta
+  assert.strictEqual(reading(qc, 70, { precipitation: 14, intensity: 13 }).status, 'ok');
+});
+
+test('intensidad 0 repetida no es sensor bloqueado', () => {
+  const qc = new StationQC();
+  for (let m = 0; m <= 120; m += 30) assert.strictEqual(reading(qc, m, {}).status, 'ok');
+});
+
+test('temperatura repetida seis horas: sospechosa', () => {
+  const qc = new StationQC();
+  for (let m = 0; m < 360; m += 60) assert.strictEqual(reading(qc, m, {}).status, 'ok', 'minuto ' + m);
+  const stuck = reading(qc, 360, { humidity: 81, pressure: 1011 });
+  assert.deepStrictEqual(stuck.flags, ['stuck_temperature']);
+  assert.strictEqual(stuck.usable, true);
+});
+
+test('pico del contador: rechazada hasta el reinicio diario', () => {
+  const qc = new StationQC();
+  reading(qc, 0, { precipitation: 5 });
+  // 30 mm en 5 minutos son 360 mm/h
+  const spike = reading(qc, 5, { precipitation: 35 });
+  assert.deepStrictEqual(spike.flags, ['spike_precipitation']);
+  assert.strictEqual(spike.status, 'rejected');
+  assert.strictEqual(spike.usable, false);
+  // El contador sigue arrastrando el valor erroneo
+  assert.deepStrictEqual(reading(qc, 10, { precipitation: 35.2 }).flags, ['spike_precipitation']);
+  // Misma observacion repetida: mismos flags
+  assert.deepStrictEqual(reading(qc, 10, { precipitation: 35.2 }).flags, ['spike_precipitation']);
+  // Reinicio del contador (baja): vuelve a ser valida
+  assert.strictEqual(reading(qc, 15, { precipitation: 0 }).status, 'ok');
+});
+
+test('subida posible del contador y salto de intensidad', () => {
+  const qc = new StationQC();
+  reading(qc, 0, { precipitation: 5, intensity: 10 });
+  // 15 mm en 5 minutos son 180 mm/h, por debajo de maxRainRate
+  assert.strictEqual(reading(qc, 5, { precipitation: 20, intensity: 100 }).status, 'ok');
+  const jump = reading(qc, 10, { precipitation: 25, intensity: 260 });
+  assert.deepStrictEqual(jump.flags, ['spike_intensity']);
+  assert.strictEqual(jump.usable, false);
+});
+
+test('lista negra con la hora del reloj configurado', async () => {
+  const qc = new StationQC({ now: () => T0 });
+  const entry = await qc.addToBlacklist('murcia', 'pluviometro obstruido');
+  assert.deepStrictEqual(entry, { reason: 'pluviometro obstruido', since: '2024-10-19T10:00:00.000Z' });
+  const blacklisted = reading(qc, 0, {});
+  assert.deepStrictEqual(blacklisted.flags, ['blacklisted']);
+  assert.strictEqual(blacklisted.usable, false);
+});
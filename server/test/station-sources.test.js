@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const StationSources = require('../services/station-sources');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+// Columnas del export SAIH de la fixture (en produccion, config/sources.json)
+const SAIH_CONFIG = {
+  type: 'saih_chs',
+  url: 'http://localhost/saih.csv',
+  format: 'csv',
+  delimiter: ';',
+  fields: {
+    id: 'codigo', name: 'denominacion', lat: 'latitud', lon: 'longitud', altitude: 'cota',
+    timestamp: 'fecha', precipitation: 'lluvia_dia', intensity: 'lluvia_hora'
+  }
+};
+
+const SHAPE = [
+  'id', 'name', 'province', 'lat', 'lon', 'altitude', 'temperature', 'tempMax', 'tempMin',
+  'humidity', 'pressure', 'precipitation', 'intensity', 'windSpeed', 'windDir', 'timestamp', 'online'
+];
+
+function assertShape(station) {
+  assert.deepStrictEqual(SHAPE.filter(key => !(key in station)), []);
+  assert.strictEqual(typeof station.id, 'string');
+  assert.ok(Number.isFinite(station.lat) && Number.isFinite(station.lon));
+  assert.ok(station.precipitation >= 0 && station.intensity >= 0);
+  assert.ok(!isNaN(Date.parse(station.timestamp)));
+}
+
+/**
+ * Estaciones de un feed como las deja StationSources.fetchAllStations
+ */
+async function parseFeed(type, config, file) {
+  const adapter = StationSources.create(type, config);
+  const feed = adapter.feeds()[0];
+  const stations = await adapter.parse(fixture(file), feed);
+  return stations.map(st => ({ ...st, network: adapter.network, feed: feed.name, priority: adapter.priority }));
+}
+
+test('SUREMET: XML por provincia', async () => {
+  const stations = await parseFeed('suremet', { provinces: ['MU'], priority: 3 },
+    'suremet_MU_2024-10-19T10-00-00-000Z.xml');
+  // La estacion sin coordenadas se descarta
+  assert.strictEqual(stations.length, 3);
+  stations.forEach(assertShape);
+
+  const palmar = stations.find(s => s.id === 'Murcia - El Palmar');
+  assert.strictEqual(palmar.province, 'MU');
+  assert.strictEqual(palmar.precipitation, 42.6);
+  assert.strictEqual(palmar.intensity, 18.4);
+  assert.strictEqual(palmar.altitude, 78);
+  assert.strictEqual(palmar.online, true);
+
+  const caravaca = stations.find(s => s.id === 'Caravaca de la Cruz');
+  assert.strictEqual(caravaca.online, false);
+  assert.strictEqual(caravaca.temperature, null);
+});
+
+test('AEMET: registros horarios agregados por estacion', async () => {
+  const bounds = { north: 39.4, south: 36.6, east: 0.1, west: -3.7 };
+  const stations = await parseFeed('aemet', { apiKey: 'x', bounds },
+    'aemet_stations_2024-10-19T10-00-00-000Z.json');
+  // Madrid queda fuera del dominio
+  assert.deepStrictEqual(stations.map(s => s.id).sort(), ['aemet_7031', 'aemet_7178I']);
+  stations.forEach(assertShape);
+
+  const murcia = stations.find(s => s.id === 'aemet_7178I');
+  assert.strictEqual(murcia.timestamp, '2024-10-19T00:00:00.000Z');
+  // Dia local 19 (Europe/Madrid, UTC+2): horas que terminan a las 23 y 00 UTC
+  assert.strictEqual(murcia.precipitation, 21.7);
+  assert.strictEqual(murcia.intensity, 12.3);
+  assert.strictEqual(murcia.windSpeed, 25.2);
+  assert.strictEqual(murcia.tempMax, 17.5);
+});
+
+test('SAIH CHS: CSV mapeado con coma decimal y campos entrecomillados', async () => {
+  const stations = await parseFeed('saih_chs', SAIH_CONFIG, 'saih_chs_2024-10-19T10-00-00-000Z.csv');
+  assert.strictEqual(stations.length, 2);
+  stations.forEach(assertShape);
+
+  const palmar = stations.find(s => s.id === 'saih_06A01P');
+  assert.strictEqual(palmar.name, 'Murcia; El Palmar');
+  assert.strictEqual(palmar.lat, 37.9363);
+  assert.strictEqual(palmar.precipitation, 43);
+  assert.strictEqual(palmar.intensity, 18);
+  assert.strictEqual(palmar.temperature, null);
+});
+
+test('deduplicate: estaciones co-localizadas de redes distintas', async () => {
+  const suremet = await parseFeed('suremet', { provinces: ['MU'], priority: 3 },
+    'suremet_MU_2024-10-19T10-00-00-000Z.xml');
+  const saih = await parseFeed('saih_chs', { ...SAIH_CONFIG, priority: 1 },
+    'saih_chs_2024-10-19T10-00-00-000Z.csv');
+  const aemet = await parseFeed('aemet', { apiKey: 'x', priority: 1 },
+    'aemet_stations_2024-10-19T10-00-00-000Z.json');
+  const sources = new StationSources({ dedupDistanceKm: 0.3, dedupAltitudeM: 50, adapters: [] });
+
+  const merged = sources.deduplicate([...suremet, ...saih, ...aemet]);
+  // El Palmar SUREMET (a ~30 m y 2 m de desnivel) se absorbe en el SAIH
+  assert.strictEqual(merged.length, suremet.length + saih.length + aemet.length - 1);
+  const palmar = merged.find(s => s.id === 'saih_06A01P');
+  assert.deepStrictEqual(palmar.duplicates, [{ id: 'Murcia - El Palmar', network: 'suremet', feed: 'suremet_MU' }]);
+  assert.ok(!merged.some(s => s.id === 'Murcia - El Palmar'));
+  // Murcia AEMET esta a ~7 km: no es la misma estacion
+  assert.deepStrictEqual(merged.find(s => s.id === 'aemet_7178I').duplicates, []);
+});
+
+test('deduplicate: misma red o desnivel excesivo no se fusionan', () => {
+  const sources = new StationSources({ dedupDistanceKm: 0.3, dedupAltitudeM: 50, adapters: [] });
+  const base = { lat: 37.9361, lon: -1.1586, online: true, priority: 1 };
+  const merged = sources.deduplicate([
+    { ...base, id: 'a', network: 'suremet', altitude: 78 },
+    { ...base, id: 'b', network: 'suremet', altitude: 78 },
+    { ...base, id: 'c', network: 'saih', altitude: 300 },
+    { ...base, id: 'd', network: 'avamet', altitude: 0, priority: 2 }
+  ]);
+  // d (altitud desconocida) se fusiona con la primera de otra red
+  assert.deepStrictEqual(merged.map(s => s.id), ['a', 'b', 'c']);
+  assert.deepStrictEqual(merged[0].duplicates.map(d => d.id), ['d']);
+});
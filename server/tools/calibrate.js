@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Calibracion offline de una cuenca con eventos historicos del almacen
+ * (lluvia por subcuenca en data/basins y caudal observado en data/gauges).
+ * No modifica basins.json: escribe una propuesta con la habilidad antes y
+ * despues en data/calibration/ y, con --basins-out, una copia de
+ * basins.json con los parametros aplicados para revisarla.
+ *
+ *   npm run calibrate -- --basin segura_principal --events eventos.json
+ *   npm run calibrate -- --basin segura_principal --event 2019-09-11T00:00Z,2019-09-16T00:00Z
+ *
+ * Opciones:
+ *   --events <fichero>      [{name, from, to}, ...]
+ *   --event <from,to>       un unico evento (repetible)
+ *   --gauge <id>            aforo (por defecto el de control de la cuenca)
+ *   --objective nse|kge     (por defecto kge)
+ *   --params cn,tc,...      cn, tc, storageCoeff, K, X, reaches (todos)
+ *   --subcatchments a,b     solo esas subcuencas
+ *   --max-evals <n>         evaluaciones de SCE-UA (5000)
+ *   --complexes <n>         complejos de SCE-UA (4)
+ *   --seed <n>              semilla (1)
+ *   --data-dir <dir>        almacen (DATA_DIR o server/data)
+ *   --out <fichero>         propuesta (data/calibration/<cuenca>-<fecha>.json)
+ *   --basins-out <fichero>  copia de basins.json con la propuesta aplicada
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const HydroEngine = require('../services/hydro-engine');
+const TimeSeriesStore = require('../services/timeseries-store');
+const Calibrator = require('../services/calibrator');
+const basins = require('../config/basins.json');
+const gaugesConfig = require('../config/gauges.json');
+
+function parseArgs(argv) {
+  const args = { event: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (!key.startsWith('--')) throw new Error('Argumento inesperado: ' + key);
+    const name = key.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const value = argv[++i];
+    if (value === undefined) throw new Error('Falta valor para ' + key);
+    if (name === 'event') args.event.push(value);
+    else args[name] = value;
+  }
+  return args;
+}
+
+function loadEvents(args) {
+  const events = args.events ? JSON.parse(fs.readFileSync(args.events, 'utf8')) : [];
+  for (const e of args.event) {
+    const [from, to] = e.split(',');
+    events.push({ from, to });
+  }
+  return events;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const basin = basins.find(b => b.id === args.basin);
+  if (!basin) {
+    console.error('Uso: calibrate --basin <' + basins.map(b => b.id).join('|') + '> --events <fichero> | --event <from,to>');
+    process.exit(2);
+  }
+  const events = loadEvents(args);
+  if (events.length === 0) throw new Error('Sin eventos: usa --events o --event');
+  const gauges = (gaugesConfig.gauges || []).filter(g => g.basinId === basin.id);
+  const gauge = args.gauge
+    ? gauges.find(g => g.id === args.gauge)
+    : gauges.find(g => g.controlPoint) || gauges[0];
+  if (!gauge) throw new Error('La cuenca ' + basin.id + ' no tiene aforo' + (args.gauge ? ' ' + args.gauge : ''));
+  if (args.objective && !['nse', 'kge'].includes(args.objective)) throw new Error('objective debe ser nse o kge');
+
+  const dataDir = args.dataDir || process.env.DATA_DIR || path.join(__dirname, '../data');
+  const store = new TimeSeriesStore(dataDir);
+  const calibrator = new Calibrator(new HydroEngine(), {
+    objective: args.objective,
+    params: args.params ? args.params.split(',') : undefined,
+    subcatchments: args.subcatchments ? args.subcatchments.split(',') : undefined
+  });
+
+  const prepared = [];
+  for (const event of events) {
+    const ev = await calibrator.loadEvent(store, basin, gauge.id, event);
+    console.log('[CALIB] Evento ' + ev.name + ': ' + ev.observations + ' pasos con caudal observado, ' +
+      ev.meanSubcatchmentRain + ' mm medios por subcuenca');
+    prepared.push(ev);
+  }
+
+  const started = Date.now();
+  const proposal = calibrator.calibrate(basin, prepared, {
+    maxEvaluations: args.maxEvals ? parseInt(args.maxEvals, 10) : undefined,
+    complexes: args.complexes ? parseInt(args.complexes, 10) : undefined,
+    seed: args.seed !== undefined ? parseInt(args.seed, 10) : undefined
+  });
+  proposal.gaugeId = gauge.id;
+
+  const out = args.out || path.join(dataDir, 'calibration',
+    basin.id + '-' + proposal.generatedAt.slice(0, 19).replace(/:/g, '') + '.json');
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(proposal, null, 2) + '\n');
+  if (args.basinsOut) {
+    fs.writeFileSync(args.basinsOut, JSON.stringify(Calibrator.applyProposal(basins, proposal), null, 2) + '\n');
+  }
+
+  const { before, after } = proposal.skill;
+  console.log('[CALIB] ' + proposal.optimizer.evaluations + ' evaluaciones en ' +
+    Math.round((Date.now() - started) / 1000) + ' s (' + proposal.optimizer.reason + '), objetivo ' + proposal.objective);
+  console.log('[CALIB] NSE ' + before.overall.nse + ' -> ' + after.overall.nse +
+    ' | KGE ' + before.overall.kge + ' -> ' + after.overall.kge +
+    ' | PBIAS ' + before.overall.pbias + ' -> ' + after.overall.pbias + ' %');
+  console.log('[CALIB] Propuesta: ' + out + (args.basinsOut ? ' | basins.json calibrado: ' + args.basinsOut : ''));
+}
+
+main().catch(err => {
+  console.error('[CALIB] ' + err.message);
+  process.exit(1);
+});
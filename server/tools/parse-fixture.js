@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Convierte un fichero grabado de una fuente (SOURCE_RECORD_DIR) con el
+ * parser de su adaptador, sin red. Usa la configuracion del adaptador en
+ * config/sources.json (columnas de los feeds mapeados).
+ *
+ *   npm run parse-fixture -- <tipo> <fichero> [provincia]
+ *   npm run parse-fixture -- suremet test/fixtures/suremet_MU_2024-10-19T10-00-00-000Z.xml MU
+ */
+const fs = require('fs');
+const StationSources = require('../services/station-sources');
+const sourcesConfig = require('../config/sources.json');
+
+async function main() {
+  const [type, file, province] = process.argv.slice(2);
+  if (!type || !file) {
+    console.error('Uso: parse-fixture <' + Object.keys(StationSources.ADAPTERS).join('|') + '> <fichero> [provincia]');
+    process.exit(2);
+  }
+  const config = (sourcesConfig.adapters || []).find(a => a.type === type) || { type };
+  const adapter = StationSources.create(type, config);
+  const feed = { ...adapter.feeds()[0], province: province || (adapter.feeds()[0] || {}).province };
+  const stations = await adapter.parse(fs.readFileSync(file, 'utf8'), feed);
+  console.log(JSON.stringify({ type, network: adapter.network, count: stations.length, stations }, null, 2));
+}
+
+main().catch(err => {
+  console.error('[FIXTURE] ' + err.message);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Genera poligonos sin solapes para las subcuencas cuyos rectangulos
+ * `bounds` de config/basins.json se solapan dentro de una misma cuenca.
+ *
+ * No son divisorias reales: cada zona compartida se asigna a la subcuenca
+ * de menor superficie (el afluente se recorta de la subcuenca que lo
+ * contiene) y el resto del rectangulo queda para la mayor. Sirven para que
+ * la mascara de interpolacion no cuente dos veces las mismas celdas hasta
+ * disponer de las capas de la confederacion. Cada Feature lleva
+ * `derivedFrom: "bounds"`.
+ *
+ *   node tools/split-bounds.js > config/geometry/subcatchments.geojson
+ */
+const Geometry = require('../services/geometry');
+const basinsConfig = require('../config/basins.json');
+
+const geometry = new Geometry();
+
+function overlaps(a, b) {
+  return a.west < b.east && b.west < a.east && a.south < b.north && b.south < a.north;
+}
+
+/**
+ * Celdas [i, j] de la particion por los bordes de todos los rectangulos
+ * que pertenecen a cada subcuenca (la de menor area entre las que la cubren)
+ */
+function assignCells(subs, xs, ys) {
+  const owned = new Map(subs.map(s => [s.id, []]));
+  for (let i = 0; i < xs.length - 1; i++) {
+    for (let j = 0; j < ys.length - 1; j++) {
+      const cx = (xs[i] + xs[i + 1]) / 2, cy = (ys[j] + ys[j + 1]) / 2;
+      let owner = null;
+      for (const s of subs) {
+        const b = s.bounds;
+        if (cx < b.west || cx > b.east || cy < b.south || cy > b.north) continue;
+        if (!owner || s.area < owner.area) owner = s;
+      }
+      if (owner) owned.get(owner.id).push([i, j]);
+    }
+  }
+  return owned;
+}
+
+/**
+ * Anillos del contorno de un conjunto de celdas: aristas antihorarias de
+ * cada celda, sin las compartidas, encadenadas. Exteriores antihorarios,
+ * huecos horarios (RFC 7946).
+ */
+function traceRings(cells, xs, ys) {
+  const edges = new Map();
+  const key = (a, b) => a.join(',') + '>' + b.join(',');
+  for (const [i, j] of cells) {
+    const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+    corners.forEach((a, k) => {
+      const b = corners[(k + 1) % 4];
+      if (edges.has(key(b, a))) edges.delete(key(b, a));
+      else edges.set(key(a, b), [a, b]);
+    });
+  }
+  const from = new Map();
+  for (const [a, b] of edges.values()) {
+    const k = a.join(',');
+    if (!from.has(k)) from.set(k, []);
+    from.get(k).push(b);
+  }
+
+  const rings = [];
+  while (from.size > 0) {
+    const [startKey, nexts] = from.entries().next().value;
+    let prev = startKey.split(',').map(Number);
+    const ring = [prev];
+    let next = nexts.shift();
+    if (nexts.length === 0) from.delete(startKey);
+    while (next.join(',') !== startKey) {
+      ring.push(next);
+      const k = next.join(',');
+      const options = from.get(k);
+      // En un vertice compartido en diagonal, girar a la izquierda
+      // mantiene separados los dos contornos
+      let pick = 0;
+      if (options.length > 1) {
+        const dir = [next[0] - prev[0], next[1] - prev[1]];
+        pick = options.findIndex(o => dir[0] * (o[1] - next[1]) - dir[1] * (o[0] - next[0]) > 0);
+        if (pick < 0) pick = 0;
+      }
+      prev = next;
+      next = options.splice(pick, 1)[0];
+      if (options.length === 0) from.delete(k);
+    }
+    // Sin vertices intermedios en los lados rectos
+    const simplified = ring.filter((p, n) => {
+      const a = ring[(n + ring.length - 1) % ring.length], b = ring[(n + 1) % ring.length];
+      return (p[0] - a[0]) * (b[1] - p[1]) - (p[1] - a[1]) * (b[0] - p[0]) !== 0;
+    });
+    const coords = simplified.map(([i, j]) => [xs[i], ys[j]]);
+    coords.push(coords[0]);
+    rings.push(coords);
+  }
+  return rings;
+}
+
+function signedArea(ring) {
+  let s = 0;
+  for (let k = 0; k < ring.length - 1; k++) s += ring[k][0] * ring[k + 1][1] - ring[k + 1][0] * ring[k][1];
+  return s / 2;
+}
+
+function toGeometry(rings) {
+  const outers = rings.filter(r => signedArea(r) > 0).map(r => [r]);
+  for (const hole of rings.filter(r => signedArea(r) < 0)) {
+    const [lon, lat] = hole[0];
+    const owner = outers.find(p => geometry.inRing(p[0], lat + 1e-9, lon + 1e-9)) || outers[0];
+    owner.push(hole);
+  }
+  return outers.length === 1
+    ? { type: 'Polygon', coordinates: outers[0] }
+    : { type: 'MultiPolygon', coordinates: outers };
+}
+
+function main() {
+  const features = [];
+  for (const basin of basinsConfig.basins || basinsConfig) {
+    const subs = (basin.subcatchments || []).filter(s => s.bounds);
+    const overlapping = subs.filter(s => subs.some(o => o !== s && overlaps(s.bounds, o.bounds)));
+    if (overlapping.length === 0) continue;
+
+    const xs = [...new Set(subs.flatMap(s => [s.bounds.west, s.bounds.east]))].sort((a, b) => a - b);
+    const ys = [...new Set(subs.flatMap(s => [s.bounds.south, s.bounds.north]))].sort((a, b) => a - b);
+    const owned = assignCells(subs, xs, ys);
+    for (const sub of overlapping) {
+      const cells = owned.get(sub.id);
+      if (cells.length === 0) {
+        console.error('[GEOMETRY] ' + sub.id + ' queda cubierta por subcuencas menores, se omite');
+        continue;
+      }
+      features.push({
+        type: 'Feature',
+        properties: { id: sub.id, name: sub.name, basinId: basin.id, derivedFrom: 'bounds' },
+        geometry: toGeometry(traceRings(cells, xs, ys))
+      });
+    }
+  }
+  // Una Feature por linea
+  process.stdout.write('{"type":"FeatureCollection","features":[\n' +
+    features.map(f => JSON.stringify(f)).join(',\n') + '\n]}\n');
+}
+
+main();